@@ -0,0 +1,603 @@
+/*
+  arcade.js
+
+  an arcade of canvas games sharing one canvas, with a menu to pick
+  which one to play. it keeps a stack of states like the space
+  invaders Game does, and gives the games in it what they all need:
+  the controls, the sounds, pausing and high scores.
+
+  a game joins the arcade with 'registerArcadeGame', giving the state
+  it starts in. the states are just like the Game's, with 'update',
+  'draw', 'actionDown' and so on, and are given the arcade. it uses
+  frameloop.js, input.js, sounds.js and highscores.js, and asks for
+  the initials for a high score with the name entry state from
+  spaceinvaders.js. this must be loaded before the games, which
+  register themselves.
+
+*/
+
+//  The games in the arcade, in the order they're shown on the menu.
+var ARCADE_GAMES = [];
+
+//  Adds a game to the arcade. 'game' has an 'id' (which its high
+//  scores are kept under), a 'name' and 'description' for the menu,
+//  and 'start', which is given the arcade and returns the state the
+//  game starts in.
+function registerArcadeGame(game) {
+    ARCADE_GAMES.push(game);
+}
+
+//  Returns the game in the arcade with an id, or null.
+function arcadeGame(id) {
+    for(var i=0; i<ARCADE_GAMES.length; i++) {
+        if(ARCADE_GAMES[i].id === id) {
+            return ARCADE_GAMES[i];
+        }
+    }
+    return null;
+}
+
+//  The controls every game in the arcade shares, before the player
+//  changes them. 'menu' goes back to the menu.
+var ARCADE_CONTROLS = {
+    left: ['key:ArrowLeft', 'button:14', 'axis:0-'],
+    right: ['key:ArrowRight', 'button:15', 'axis:0+'],
+    up: ['key:ArrowUp', 'button:12', 'axis:1-'],
+    down: ['key:ArrowDown', 'button:13', 'axis:1+'],
+    fire: ['key:Space', 'button:0'],
+    pause: ['key:KeyP', 'button:9'],
+    mute: ['key:KeyM', 'button:8'],
+    menu: ['key:Escape', 'button:1']
+};
+
+//  The events the arcade sends to its listeners (see 'Arcade.on'),
+//  and what each is given:
+//
+//  gameStart   a game is picked: {id}
+//  gameOver    a game ends: {id, score}
+//  muteChange  the arcade is muted or unmuted: {mute}
+var ARCADE_EVENTS = ['gameStart', 'gameOver', 'muteChange'];
+
+/*
+    Arcade
+
+    Runs the games on 'canvas'. Call 'start' to show the menu (or the
+    game the page's url asks for, with 'game=<id>'), and 'stop' to
+    stop.
+
+    Like the Game, it draws in logical pixels ('width' by 'height'),
+    scaled so at least 'minimumWidth' by 'minimumHeight' fit on the
+    canvas.
+*/
+function Arcade(canvas) {
+    this.canvas = canvas;
+    this.width = 0;
+    this.height = 0;
+    this.minimumWidth = 480;
+    this.minimumHeight = 420;
+    this.fps = 50;
+
+    //  The state stack, and the loop the arcade runs on once it's
+    //  started.
+    this.stateStack = [];
+    this.loop = null;
+    this.loopEntry = null;
+
+    //  The controls, the actions held down and the inputs holding
+    //  them, as in the Game.
+    this.controls = new InputMap('arcade.controls', ARCADE_CONTROLS);
+    this.actions = {};
+    this.heldInputs = {};
+    this.gamepadInputs = [];
+
+    //  The sounds all the games play, and the high score table of
+    //  each game, by its id, once it's been asked for.
+    this.sounds = new Sounds('arcade.volume');
+    this.scoreTables = {};
+
+    //  The functions listening for each event (see ARCADE_EVENTS), and
+    //  the listeners added to the page while the arcade is running,
+    //  as [target, type, listener, options].
+    this.eventListeners = {};
+    this.pageListeners = [];
+}
+
+//  Starts the arcade, on 'loop' (a FrameLoop) if it's given, or on a
+//  loop of its own.
+Arcade.prototype.start = function(loop) {
+    var arcade = this;
+    this.sounds.init();
+    this.resize();
+
+    //  Go straight to the game the page asked for, if there is one.
+    var picked = /game=([^&#]+)/.exec(window.location.href);
+    if(picked && arcadeGame(decodeURIComponent(picked[1]))) {
+        this.launch(decodeURIComponent(picked[1]));
+    } else {
+        this.showMenu();
+    }
+
+    //  Listen for keyboard events. Stop the keys the arcade uses from
+    //  scrolling the page.
+    this.listen(window, 'keydown', function(e) {
+        if(arcade.controls.actionFor('key:' + e.code)) {
+            e.preventDefault();
+        }
+        arcade.inputDown('key:' + e.code);
+    });
+    this.listen(window, 'keyup', function(e) {
+        arcade.inputUp('key:' + e.code);
+    });
+
+    //  Pass taps and pointers on the canvas to the state, in logical
+    //  pixels.
+    this.listen(this.canvas, 'pointerdown', function(e) {
+        arcade.pointer('pointerDown', e);
+    });
+    this.listen(this.canvas, 'pointermove', function(e) {
+        arcade.pointer('pointerMove', e);
+    });
+
+    //  Pause when the page is hidden, and fit the canvas again when the
+    //  page changes size.
+    this.listen(document, 'visibilitychange', function() {
+        if(document.hidden) {
+            arcade.pause();
+        }
+    });
+    this.listen(window, 'resize', function() {
+        arcade.resize();
+    });
+
+    this.loop = loop || new FrameLoop();
+    this.loopEntry = this.loop.add(1 / this.fps, function(dt) {
+        arcade.update(dt);
+    }, function() {
+        arcade.draw();
+    });
+    this.loop.start();
+};
+
+//  Stops the arcade, leaving the game being played.
+Arcade.prototype.stop = function() {
+    if(this.loop) {
+        this.loop.remove(this.loopEntry);
+        this.loopEntry = null;
+    }
+    this.pageListeners.forEach(function(added) {
+        added[0].removeEventListener(added[1], added[2], added[3]);
+    });
+    this.pageListeners = [];
+    this.sounds.stopListening();
+    while(this.currentState()) {
+        this.popState();
+    }
+};
+
+//  Adds a listener to the page, to be taken away when the arcade stops.
+Arcade.prototype.listen = function(target, type, listener, options) {
+    target.addEventListener(type, listener, options);
+    this.pageListeners.push([target, type, listener, options]);
+};
+
+//  Fits the arcade to the canvas, as 'Game.resize' does, and lets the
+//  state know.
+Arcade.prototype.resize = function() {
+    var canvas = this.canvas;
+    var cssWidth = canvas.clientWidth || canvas.width;
+    var cssHeight = canvas.clientHeight || canvas.height;
+    var scale = Math.min(cssWidth / this.minimumWidth, cssHeight / this.minimumHeight);
+    var pixelRatio = window.devicePixelRatio || 1;
+    this.width = cssWidth / scale;
+    this.height = cssHeight / scale;
+    canvas.width = Math.round(cssWidth * pixelRatio);
+    canvas.height = Math.round(cssHeight * pixelRatio);
+    var state = this.currentState();
+    if(state && state.resize) {
+        state.resize(this);
+    }
+};
+
+//  Calls 'listener' with the details of an event (one of
+//  ARCADE_EVENTS) each time it happens.
+Arcade.prototype.on = function(event, listener) {
+    if(ARCADE_EVENTS.indexOf(event) === -1) {
+        throw new Error("There's no '" + event + "' event.");
+    }
+    (this.eventListeners[event] = this.eventListeners[event] || []).push(listener);
+};
+
+//  Stops calling 'listener' for an event.
+Arcade.prototype.off = function(event, listener) {
+    var listeners = this.eventListeners[event] || [];
+    var index = listeners.indexOf(listener);
+    if(index !== -1) {
+        listeners.splice(index, 1);
+    }
+};
+
+//  Tells the listeners for an event about it. A listener that goes
+//  wrong is logged, rather than stopping the arcade.
+Arcade.prototype.emit = function(event, details) {
+    var listeners = (this.eventListeners[event] || []).slice();
+    for(var i=0; i<listeners.length; i++) {
+        try {
+            listeners[i](details);
+        } catch(e) {
+            console.log("A listener for '" + event + "' went wrong.");
+            console.log(e);
+        }
+    }
+};
+
+Arcade.prototype.currentState = function() {
+    return this.stateStack.length > 0 ? this.stateStack[this.stateStack.length - 1] : null;
+};
+
+Arcade.prototype.moveToState = function(state) {
+
+    //  Leave the state we're in, then enter the new one.
+    if(this.currentState()) {
+        if(this.currentState().leave) {
+            this.currentState().leave(this);
+        }
+        this.stateStack.pop();
+    }
+    if(state.enter) {
+        state.enter(this);
+    }
+    this.stateStack.push(state);
+};
+
+Arcade.prototype.pushState = function(state) {
+    if(state.enter) {
+        state.enter(this);
+    }
+    this.stateStack.push(state);
+};
+
+Arcade.prototype.popState = function() {
+    if(this.currentState()) {
+        if(this.currentState().leave) {
+            this.currentState().leave(this);
+        }
+        this.stateStack.pop();
+    }
+};
+
+//  Leaves whatever is being played and goes back to the menu.
+Arcade.prototype.showMenu = function() {
+    while(this.currentState()) {
+        this.popState();
+    }
+    this.actions = {};
+    this.heldInputs = {};
+    this.pushState(new ArcadeMenuState());
+};
+
+//  Starts playing the game with an id, from the beginning.
+Arcade.prototype.launch = function(id) {
+    var game = arcadeGame(id);
+    while(this.currentState()) {
+        this.popState();
+    }
+    this.actions = {};
+    this.heldInputs = {};
+    this.pushState(game.start(this));
+    this.emit('gameStart', {id: id});
+};
+
+//  Pauses the game being played, if it can be paused.
+Arcade.prototype.pause = function() {
+    var state = this.currentState();
+    if(state && state.pausable) {
+        this.pushState(new ArcadePauseState());
+    }
+};
+
+//  Mutes or unmutes the arcade, or toggles it if 'mute' isn't given.
+Arcade.prototype.mute = function(mute) {
+    this.sounds.setMute(mute === true || mute === false ? mute : !this.sounds.mute);
+    this.emit('muteChange', {mute: this.sounds.mute});
+};
+
+//  Returns the high score table of the game with an id. The tables
+//  are kept under the same keys as the games keep them on their own,
+//  so the scores are the same in the arcade or out of it.
+Arcade.prototype.scoreTable = function(id) {
+    if(!this.scoreTables[id]) {
+        this.scoreTables[id] = new HighScoreTable(id + '.highscores', 10);
+    }
+    return this.scoreTables[id];
+};
+
+//  Saves a score ('entry' has the 'score' and 'level') to a game's
+//  high score table, asking for the player's initials first, if it's
+//  good enough to get in. 'done' (optional) is called with where it
+//  came in the table, or -1 if it didn't.
+Arcade.prototype.saveScore = function(id, entry, done) {
+    var table = this.scoreTable(id);
+    done = done || function() {};
+    entry.date = new Date().toISOString();
+    if(!table.qualifies(entry.score)) {
+        done(-1);
+        return;
+    }
+    this.pushState(new NameEntryState(entry, done, null, table));
+};
+
+//  Steps the arcade forward by 'dt' seconds.
+Arcade.prototype.update = function(dt) {
+    this.pollGamepads();
+    var state = this.currentState();
+    if(state && state.update) {
+        state.update(this, dt);
+    }
+};
+
+//  Draws the state, in logical pixels.
+Arcade.prototype.draw = function() {
+    var state = this.currentState();
+    if(state && state.draw) {
+        var ctx = this.canvas.getContext("2d");
+        ctx.setTransform(this.canvas.width / this.width, 0, 0, this.canvas.height / this.height, 0, 0);
+        state.draw(this, 1 / this.fps, ctx);
+    }
+};
+
+//  Checks the gamepads, as 'Game.pollGamepads' does.
+Arcade.prototype.pollGamepads = function() {
+    if(typeof navigator === 'undefined' || !navigator.getGamepads) {
+        return;
+    }
+    var inputs = readGamepads(navigator.getGamepads());
+    var i;
+    for(i=0; i<this.gamepadInputs.length; i++) {
+        if(inputs.indexOf(this.gamepadInputs[i]) === -1) {
+            this.inputUp(this.gamepadInputs[i]);
+        }
+    }
+    for(i=0; i<inputs.length; i++) {
+        if(this.gamepadInputs.indexOf(inputs[i]) === -1) {
+            this.inputDown(inputs[i]);
+        }
+    }
+    this.gamepadInputs = inputs;
+};
+
+//  Inform the arcade an input (named as in InputMap) is down. The
+//  state gets first go at it, as in the Game, then it starts the
+//  action it's bound to.
+Arcade.prototype.inputDown = function(input) {
+    if(this.heldInputs[input]) {
+        return;
+    }
+    var state = this.currentState();
+    if(state && state.inputDown && state.inputDown(this, input)) {
+        return;
+    }
+    this.heldInputs[input] = true;
+    var action = this.controls.actionFor(input);
+    if(action && !this.actions[action]) {
+        this.actionDown(action);
+    }
+};
+
+//  Inform the arcade an input is up. States that take inputs down can
+//  take them up too.
+Arcade.prototype.inputUp = function(input) {
+    var state = this.currentState();
+    if(state && state.inputUp && state.inputUp(this, input)) {
+        return;
+    }
+    if(!this.heldInputs[input]) {
+        return;
+    }
+    delete this.heldInputs[input];
+    var action = this.controls.actionFor(input);
+    if(!action || !this.actions[action]) {
+        return;
+    }
+    for(var held in this.heldInputs) {
+        if(this.controls.actionFor(held) === action) {
+            return;
+        }
+    }
+    this.actionUp(action);
+};
+
+//  Starts an action. Going to the menu, pausing and muting are the
+//  same in every game, so the arcade does them.
+Arcade.prototype.actionDown = function(action) {
+    this.actions[action] = true;
+    if(action === 'menu') {
+        this.showMenu();
+        return;
+    }
+    if(action === 'pause' && this.currentState() instanceof ArcadePauseState) {
+        this.popState();
+        return;
+    }
+    if(action === 'pause') {
+        this.pause();
+        return;
+    }
+    if(action === 'mute') {
+        this.mute();
+        return;
+    }
+    var state = this.currentState();
+    if(state && state.actionDown) {
+        state.actionDown(this, action);
+    }
+};
+
+//  Stops an action.
+Arcade.prototype.actionUp = function(action) {
+    delete this.actions[action];
+    var state = this.currentState();
+    if(state && state.actionUp) {
+        state.actionUp(this, action);
+    }
+};
+
+//  Passes a pointer event on the canvas to the state's 'pointerDown'
+//  or 'pointerMove', with where it is in logical pixels.
+Arcade.prototype.pointer = function(type, e) {
+    var state = this.currentState();
+    if(state && state[type]) {
+        var rect = this.canvas.getBoundingClientRect();
+        state[type](this, (e.clientX - rect.left) * this.width / rect.width,
+            (e.clientY - rect.top) * this.height / rect.height);
+    }
+};
+
+/*
+    Arcade Menu State
+
+    Lists the games, with the best score in each, to pick one to play.
+*/
+function ArcadeMenuState() {
+    this.selected = 0;
+}
+
+//  Where the first game is listed, and how far apart they are.
+ArcadeMenuState.prototype.top = function(arcade) {
+    return arcade.height / 2 - ARCADE_GAMES.length * 30;
+};
+
+var ARCADE_MENU_SPACING = 60;
+
+ArcadeMenuState.prototype.draw = function(arcade, dt, ctx) {
+
+    //  Clear the background.
+    ctx.clearRect(0, 0, arcade.width, arcade.height);
+
+    ctx.textBaseline="middle";
+    ctx.textAlign="center";
+    ctx.fillStyle = '#ffffff';
+    ctx.font="30px Arial";
+    ctx.fillText("Arcade", arcade.width / 2, this.top(arcade) - 50);
+
+    for(var i=0; i<ARCADE_GAMES.length; i++) {
+        var game = ARCADE_GAMES[i];
+        var y = this.top(arcade) + i * ARCADE_MENU_SPACING;
+        var best = arcade.scoreTable(game.id).entries[0];
+        ctx.fillStyle = i === this.selected ? '#ffff33' : '#ffffff';
+        ctx.font="20px Arial";
+        ctx.fillText((i === this.selected ? "> " : "") + game.name, arcade.width / 2, y);
+        ctx.font="12px Arial";
+        ctx.fillText(game.description + (best ? " Best: " + best.score + " (" + best.name + ")" : ""),
+            arcade.width / 2, y + 20);
+    }
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font="14px Arial";
+    ctx.fillText("Up and down to choose, 'Space' or tap to play, 'Escape' comes back here.",
+        arcade.width / 2, this.top(arcade) + ARCADE_GAMES.length * ARCADE_MENU_SPACING + 10);
+};
+
+ArcadeMenuState.prototype.actionDown = function(arcade, action) {
+    if(action === 'up') {
+        this.selected = (this.selected + ARCADE_GAMES.length - 1) % ARCADE_GAMES.length;
+    } else if(action === 'down') {
+        this.selected = (this.selected + 1) % ARCADE_GAMES.length;
+    } else if(action === 'fire' && ARCADE_GAMES.length > 0) {
+        arcade.launch(ARCADE_GAMES[this.selected].id);
+    }
+};
+
+//  Tapping a game plays it.
+ArcadeMenuState.prototype.pointerDown = function(arcade, x, y) {
+    var index = Math.round((y - 10 - this.top(arcade)) / ARCADE_MENU_SPACING);
+    if(index >= 0 && index < ARCADE_GAMES.length) {
+        arcade.launch(ARCADE_GAMES[index].id);
+    }
+};
+
+/*
+    Arcade Pause State
+
+    Pauses a game that's 'pausable', until 'pause' is pressed again.
+*/
+function ArcadePauseState() {
+
+}
+
+ArcadePauseState.prototype.draw = function(arcade, dt, ctx) {
+
+    //  Clear the background.
+    ctx.clearRect(0, 0, arcade.width, arcade.height);
+
+    ctx.font="14px Arial";
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline="middle";
+    ctx.textAlign="center";
+    ctx.fillText("Paused", arcade.width / 2, arcade.height/2);
+};
+
+//  Tapping carries on, as there's no pause key on a phone.
+ArcadePauseState.prototype.pointerDown = function(arcade) {
+    arcade.popState();
+};
+
+/*
+    Arcade Game Over State
+
+    Ends a game in the arcade with a score. Games can move to it when
+    they're over, rather than having their own. It saves the score to
+    the game's table, then offers to play again.
+*/
+function ArcadeGameOverState(id, score, level) {
+    this.id = id;
+    this.score = score;
+    this.level = level || 1;
+
+    //  Where the score came in the high score table, once it's saved.
+    this.rank = null;
+}
+
+ArcadeGameOverState.prototype.enter = function(arcade) {
+    arcade.emit('gameOver', {id: this.id, score: this.score});
+};
+
+ArcadeGameOverState.prototype.update = function(arcade, dt) {
+
+    //  Save the score. This is done here rather than in 'enter' as we
+    //  can't push a state while we're still being moved to.
+    if(this.rank === null) {
+        var self = this;
+        this.rank = -1;
+        arcade.saveScore(this.id, {name: '', score: this.score, level: this.level}, function(rank) {
+            self.rank = rank;
+        });
+    }
+};
+
+ArcadeGameOverState.prototype.draw = function(arcade, dt, ctx) {
+
+    //  Clear the background.
+    ctx.clearRect(0, 0, arcade.width, arcade.height);
+
+    ctx.textBaseline="middle";
+    ctx.textAlign="center";
+    ctx.fillStyle = '#ffffff';
+    ctx.font="30px Arial";
+    ctx.fillText("Game Over!", arcade.width / 2, arcade.height/2 - 60);
+    ctx.font="16px Arial";
+    ctx.fillText("You scored " + this.score + " and got to level " + this.level, arcade.width / 2, arcade.height/2 - 20);
+    if(this.rank >= 0) {
+        ctx.fillText("That's number " + (this.rank + 1) + " on the high score table!", arcade.width / 2, arcade.height/2);
+    }
+    ctx.fillText("Press 'Space' or tap to play again, 'Escape' for the menu.", arcade.width / 2, arcade.height/2 + 40);
+};
+
+ArcadeGameOverState.prototype.actionDown = function(arcade, action) {
+    if(action === 'fire') {
+        arcade.launch(this.id);
+    }
+};
+
+ArcadeGameOverState.prototype.pointerDown = function(arcade) {
+    arcade.launch(this.id);
+};
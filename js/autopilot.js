@@ -0,0 +1,226 @@
+/*
+  autopilot.js
+
+  a computer player for space invaders. it looks at the simulation
+  (from spaceinvaders-core.js) the way a player looks at the screen,
+  and picks the input for a ship each step: it gets out of the way of
+  bombs, lines up on the invaders at the front of the formation and
+  fires when a shot will hit.
+
+  the game uses it for the demo that plays behind the title, and
+  scripts/soak.js uses it in node to see how far it gets at each
+  difficulty. it doesn't change the simulation, so a game it plays is
+  the same as one a player would have played with the same keys.
+
+*/
+
+/*
+    Autopilot
+
+    Plays a ship. 'options' can change how well it plays:
+
+    lookahead: how many seconds ahead it sees bombs coming, and plans
+      its moves for. The less it has, the later it dodges.
+    margin: how many pixels it keeps between the ship and a bomb.
+*/
+function Autopilot(options) {
+    options = options || {};
+    this.lookahead = options.lookahead === undefined ? 1.5 : options.lookahead;
+    this.margin = options.margin === undefined ? 4 : options.margin;
+}
+
+//  The moves it thinks about: how long it holds left or right for
+//  before it stops, in seconds (as a fraction of the lookahead).
+var AUTOPILOT_HOLDS = [0.05, 0.1, 0.2, 0.35, 0.5, 0.75, 1];
+
+//  Returns the input for ship 'index' (the first ship if it isn't
+//  given) for the next step of 'sim', as {left, right, fire}.
+Autopilot.prototype.decide = function(sim, index) {
+    index = index || 0;
+    var ship = sim.ships[index];
+    var input = {left: false, right: false, fire: false};
+    if(!ship || !ship.alive || sim.status !== 'playing') {
+        return input;
+    }
+
+    //  Pick something to shoot and go to where the shot has to be
+    //  fired from, unless a bomb is in the way.
+    var target = this.chooseTarget(sim, index);
+    var goal = target ? target.x : ship.x;
+    var catchable = this.catchablePowerUp(sim, ship);
+    if(catchable && (!target || target.blocked)) {
+        goal = catchable.x;
+    }
+    var move = this.planMove(sim, ship, goal);
+    input.left = move < 0;
+    input.right = move > 0;
+
+    //  Fire when lined up with the target, if the ship can fire.
+    //  Rockets that wouldn't get through a shield are saved.
+    if(target && !target.blocked && Math.abs(ship.x - target.x) < target.width / 2 - 2) {
+        input.fire = sim.canFire(index);
+    }
+    return input;
+};
+
+//  Returns where the ship should be to shoot one of the invaders at
+//  the front of the formation (or the mothership), as {x, width,
+//  blocked}, or null if there's nothing to shoot. It leads each one
+//  by how far it moves while the rocket gets there, and goes for the
+//  closest that hasn't already got a rocket on its way. 'blocked' is
+//  set if a shield is in the way, which it only picks if they all are.
+Autopilot.prototype.chooseTarget = function(sim, index) {
+    var ship = sim.ships[index];
+
+    //  The front invader of each file.
+    var front = {};
+    for(var i=0; i<sim.invaders.length; i++) {
+        var invader = sim.invaders[i];
+        if(!front[invader.file] || invader.y > front[invader.file].y) {
+            front[invader.file] = invader;
+        }
+    }
+    var candidates = [];
+    for(var file in front) {
+        candidates.push({entity: front[file], velocity: sim.invaderVelocity.x});
+    }
+    if(sim.mothership) {
+        candidates.push({entity: sim.mothership, velocity: sim.mothership.velocity});
+    }
+
+    var best = null, bestCost = Infinity;
+    for(i=0; i<candidates.length; i++) {
+        var entity = candidates[i].entity;
+        var travel = Math.max(0, (ship.y - 12 - entity.y) / sim.config.rocketVelocity);
+        var x = entity.x + candidates[i].velocity * travel;
+        if(x < sim.bounds.left || x > sim.bounds.right || this.rocketOnItsWay(sim, index, x, entity)) {
+            continue;
+        }
+        var blocked = this.shieldBetween(sim, x, ship.y - 12, entity.y);
+        var cost = Math.abs(x - ship.x) + (blocked ? sim.width : 0);
+        if(cost < bestCost) {
+            best = {x: x, width: entity.width, blocked: blocked};
+            bestCost = cost;
+        }
+    }
+    return best;
+};
+
+//  Returns true if one of the ship's rockets is already going to hit
+//  'entity' when it's at x.
+Autopilot.prototype.rocketOnItsWay = function(sim, index, x, entity) {
+    for(var i=0; i<sim.rockets.length; i++) {
+        var rocket = sim.rockets[i];
+        if(rocket.player === index && rocket.y > entity.y && Math.abs(rocket.x - x) < entity.width / 2) {
+            return true;
+        }
+    }
+    return false;
+};
+
+//  Returns true if there's a shield in the way straight up (or down)
+//  from x, between y0 and y1.
+Autopilot.prototype.shieldBetween = function(sim, x, y0, y1) {
+    for(var i=0; i<sim.shields.length; i++) {
+        var shield = sim.shields[i];
+        if(Math.abs(x - shield.x) < shield.width / 2 && shield.solidAlong(x, y0, x, y1)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+//  Returns a falling power up the ship can get under in time, or null.
+Autopilot.prototype.catchablePowerUp = function(sim, ship) {
+    for(var i=0; i<sim.powerUps.length; i++) {
+        var powerUp = sim.powerUps[i];
+        var time = (ship.y - powerUp.y) / powerUp.velocity;
+        if(time > 0 && Math.abs(powerUp.x - ship.x) / sim.shipSpeed < time) {
+            return powerUp;
+        }
+    }
+    return null;
+};
+
+//  Returns which way to move the ship this step (-1 left, 1 right or
+//  0 to stay) to get towards 'goal' without being hit. It tries
+//  holding each way for a while then stopping, and picks the move
+//  that's hit by the fewest bombs (the soonest counting most), then
+//  the one that ends up closest to the goal.
+Autopilot.prototype.planMove = function(sim, ship, goal) {
+    var bombs = this.incomingBombs(sim, ship);
+    var best = 0, bestDanger = Infinity, bestDistance = Infinity;
+    for(var direction=-1; direction<=1; direction++) {
+        var holds = direction === 0 ? [0] : AUTOPILOT_HOLDS;
+        for(var h=0; h<holds.length; h++) {
+            var hold = holds[h] * this.lookahead;
+            var danger = 0;
+            for(var i=0; i<bombs.length; i++) {
+                var bomb = bombs[i];
+                if(this.bombHits(sim, ship, bomb, direction, hold)) {
+                    danger += 1 / (bomb.arrives + 0.1);
+                }
+            }
+            var distance = Math.abs(this.shipAt(sim, ship, direction, hold, hold) - goal);
+            if(danger < bestDanger || (danger === bestDanger && distance < bestDistance)) {
+                best = direction;
+                bestDanger = danger;
+                bestDistance = distance;
+            }
+        }
+    }
+
+    //  Don't jiggle about once it's there.
+    if(bestDanger === 0 && Math.abs(goal - ship.x) < sim.shipSpeed / 100) {
+        return 0;
+    }
+    return best;
+};
+
+//  Returns the bombs that could hit the ship within the lookahead,
+//  with when they get to the top and bottom of the ship ('arrives'
+//  and 'leaves', in seconds). Bombs that a shield will stop, or that
+//  will go through the ship while it can't be hit, are left out.
+Autopilot.prototype.incomingBombs = function(sim, ship) {
+    var top = ship.y - ship.height / 2, bottom = ship.y + ship.height / 2;
+    var bombs = [];
+    for(var i=0; i<sim.bombs.length; i++) {
+        var bomb = sim.bombs[i];
+        if(bomb.y > bottom || bomb.velocity <= 0) {
+            continue;
+        }
+        var arrives = Math.max(0, (top - bomb.y) / bomb.velocity);
+        var leaves = (bottom - bomb.y) / bomb.velocity;
+        if(arrives > this.lookahead || leaves < ship.invulnerable ||
+            (bomb.y < top && this.shieldBetween(sim, bomb.x, bomb.y, top))) {
+            continue;
+        }
+        bombs.push({x: bomb.x, arrives: arrives, leaves: leaves});
+    }
+    return bombs;
+};
+
+//  Returns true if a bomb hits the ship when it moves 'direction' for
+//  'hold' seconds and then stops. The ship only goes one way, so it
+//  passes under everything between where it is as the bomb arrives
+//  and where it is as the bomb leaves.
+Autopilot.prototype.bombHits = function(sim, ship, bomb, direction, hold) {
+    var reach = ship.width / 2 + this.margin;
+    var arrives = this.shipAt(sim, ship, direction, hold, bomb.arrives);
+    var leaves = this.shipAt(sim, ship, direction, hold, bomb.leaves);
+    return bomb.x > Math.min(arrives, leaves) - reach && bomb.x < Math.max(arrives, leaves) + reach;
+};
+
+//  Returns where the ship is 'time' seconds from now, when it moves
+//  'direction' for 'hold' seconds and then stops.
+Autopilot.prototype.shipAt = function(sim, ship, direction, hold, time) {
+    var x = ship.x + direction * sim.shipSpeed * Math.min(hold, time);
+    return Math.max(sim.bounds.left, Math.min(sim.bounds.right, x));
+};
+
+//  In node, export the autopilot so it can play the simulation there.
+if(typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Autopilot: Autopilot
+    };
+}
@@ -0,0 +1,293 @@
+/*
+  breakout.js
+
+  breakout, for the arcade (see arcade.js): bounce the ball off the
+  paddle to knock out the wall of bricks. each wall knocked out is
+  built again, with the ball going faster. the ball is tested along
+  its whole path with the tests in collisions.js, which must be loaded
+  first, so it can't go through a brick when it's fast.
+
+*/
+
+//  How breakout is played. The play area is 'width' by 'height', the
+//  speeds are in pixels a second, and 'brickPoints' are the points for
+//  a brick in each row, from the top.
+var BREAKOUT_CONFIG = {
+    width: 400,
+    height: 300,
+    lives: 3,
+    paddleWidth: 60,
+    paddleHeight: 8,
+    paddleSpeed: 300,
+    ballSize: 6,
+    ballSpeed: 180,
+    ballSpeedUp: 1.15,
+    maxBallSpeed: 400,
+    maxBounceAngle: Math.PI / 3,
+    brickRows: 5,
+    brickColumns: 10,
+    brickHeight: 12,
+    brickGap: 2,
+    brickTop: 40,
+    brickPoints: [50, 40, 30, 20, 10]
+};
+
+//  The colour of the bricks in each row, from the top.
+var BREAKOUT_COLOURS = ['#ff3333', '#ff9933', '#ffff33', '#33ff33', '#3399ff'];
+
+/*
+    Breakout State
+
+    Plays breakout, from the first wall until the last ball is lost,
+    then moves to the arcade's game over. Everything is kept in the
+    play area's own pixels, which is drawn in the middle of the
+    arcade.
+*/
+function BreakoutState() {
+    this.config = BREAKOUT_CONFIG;
+    this.level = 1;
+    this.score = 0;
+    this.lives = this.config.lives;
+
+    //  Where the play area is drawn in the arcade.
+    this.left = 0;
+    this.top = 0;
+
+    //  The paddle, the ball and the bricks left, which are boxes
+    //  centred on their x, y as in collisions.js. The ball has a
+    //  velocity, and sits on the paddle until it's served.
+    this.paddle = null;
+    this.ball = null;
+    this.bricks = [];
+}
+
+//  The arcade pauses it with the 'pause' action.
+BreakoutState.prototype.pausable = true;
+
+BreakoutState.prototype.enter = function(arcade) {
+    this.resize(arcade);
+    var config = this.config;
+    this.paddle = {x: config.width / 2, y: config.height - 20, width: config.paddleWidth, height: config.paddleHeight};
+    this.buildWall();
+    this.serve();
+};
+
+//  Keeps the play area in the middle of the arcade.
+BreakoutState.prototype.resize = function(arcade) {
+    this.left = (arcade.width - this.config.width) / 2;
+    this.top = (arcade.height - this.config.height) / 2;
+};
+
+//  Builds a new wall of bricks.
+BreakoutState.prototype.buildWall = function() {
+    var config = this.config;
+    var width = config.width / config.brickColumns;
+    this.bricks = [];
+    for(var row=0; row<config.brickRows; row++) {
+        for(var column=0; column<config.brickColumns; column++) {
+            this.bricks.push({
+                x: (column + 0.5) * width,
+                y: config.brickTop + (row + 0.5) * config.brickHeight,
+                width: width - config.brickGap,
+                height: config.brickHeight - config.brickGap,
+                row: row
+            });
+        }
+    }
+};
+
+//  Puts a new ball on the paddle, waiting to be served.
+BreakoutState.prototype.serve = function() {
+    var size = this.config.ballSize;
+    this.ball = {x: this.paddle.x, y: this.paddle.y - (this.paddle.height + size) / 2, width: size, height: size,
+        velocityX: 0, velocityY: 0, served: false};
+};
+
+//  Sends the ball off the paddle, up and a little to one side.
+BreakoutState.prototype.launch = function() {
+    var ball = this.ball;
+    if(ball.served) {
+        return;
+    }
+    var speed = Math.min(this.config.ballSpeed * Math.pow(this.config.ballSpeedUp, this.level - 1),
+        this.config.maxBallSpeed);
+    var angle = (Math.random() - 0.5) * this.config.maxBounceAngle;
+    ball.velocityX = Math.sin(angle) * speed;
+    ball.velocityY = -Math.cos(angle) * speed;
+    ball.served = true;
+};
+
+BreakoutState.prototype.update = function(arcade, dt) {
+    var config = this.config;
+    var paddle = this.paddle;
+    var ball = this.ball;
+
+    //  Move the paddle, keeping it in the play area.
+    if(arcade.actions.left) {
+        paddle.x -= config.paddleSpeed * dt;
+    }
+    if(arcade.actions.right) {
+        paddle.x += config.paddleSpeed * dt;
+    }
+    paddle.x = Math.max(paddle.width / 2, Math.min(config.width - paddle.width / 2, paddle.x));
+
+    //  Until it's served, the ball goes where the paddle goes.
+    if(!ball.served) {
+        ball.x = paddle.x;
+        return;
+    }
+
+    //  Move the ball, bouncing it off the walls and the roof.
+    ball.previousX = ball.x;
+    ball.previousY = ball.y;
+    ball.x += ball.velocityX * dt;
+    ball.y += ball.velocityY * dt;
+    var radius = ball.width / 2;
+    if(ball.x < radius || ball.x > config.width - radius) {
+        ball.x = Math.max(radius, Math.min(config.width - radius, ball.x));
+        ball.velocityX = -ball.velocityX;
+    }
+    if(ball.y < radius) {
+        ball.y = radius;
+        ball.velocityY = -ball.velocityY;
+    }
+
+    this.hitBricks(arcade);
+    this.hitPaddle(arcade);
+
+    //  If the ball gets past the paddle, it's lost.
+    if(ball.y - radius > config.height) {
+        arcade.sounds.playSound('explosion');
+        this.lives--;
+        if(this.lives <= 0) {
+            arcade.moveToState(new ArcadeGameOverState('breakout', this.score, this.level));
+            return;
+        }
+        this.serve();
+    }
+
+    //  Once the wall is knocked out, build a new one, and go faster.
+    if(this.bricks.length === 0) {
+        this.level++;
+        this.buildWall();
+        this.serve();
+    }
+};
+
+//  Returns a box grown by the size of the ball, so the ball's path
+//  (from its centre) touches it when the ball touches the box.
+BreakoutState.prototype.reach = function(box) {
+    return {x: box.x, y: box.y, width: box.width + this.ball.width, height: box.height + this.ball.height};
+};
+
+//  Knocks out the first brick the ball touched this step, bouncing
+//  the ball off it.
+BreakoutState.prototype.hitBricks = function(arcade) {
+    var ball = this.ball;
+    var first = -1, firstAt = 2;
+    for(var i=0; i<this.bricks.length; i++) {
+        var at = sweepEntityPath(ball, this.reach(this.bricks[i]));
+        if(at !== -1 && at < firstAt) {
+            first = i;
+            firstAt = at;
+        }
+    }
+    if(first === -1) {
+        return;
+    }
+
+    //  Put the ball back where it touched, and bounce it away from the
+    //  side it touched: the top or bottom, unless it came in from the
+    //  side.
+    var brick = this.reach(this.bricks[first]);
+    ball.x = ball.previousX + (ball.x - ball.previousX) * firstAt;
+    ball.y = ball.previousY + (ball.y - ball.previousY) * firstAt;
+    var fromSide = ball.previousY > brick.y - brick.height / 2 && ball.previousY < brick.y + brick.height / 2;
+    if(fromSide) {
+        ball.velocityX = (ball.x < brick.x ? -1 : 1) * Math.abs(ball.velocityX);
+    } else {
+        ball.velocityY = (ball.y < brick.y ? -1 : 1) * Math.abs(ball.velocityY);
+    }
+
+    this.score += this.config.brickPoints[this.bricks[first].row] * this.level;
+    this.bricks.splice(first, 1);
+    arcade.sounds.playSound('bang');
+};
+
+//  Bounces the ball off the paddle, more to one side the further from
+//  the middle it hits.
+BreakoutState.prototype.hitPaddle = function(arcade) {
+    var ball = this.ball;
+    var paddle = this.paddle;
+    if(ball.velocityY <= 0 || sweepEntityPath(ball, this.reach(paddle)) === -1) {
+        return;
+    }
+    var speed = Math.sqrt(ball.velocityX * ball.velocityX + ball.velocityY * ball.velocityY);
+    var offset = Math.max(-1, Math.min(1, (ball.x - paddle.x) / (paddle.width / 2)));
+    var angle = offset * this.config.maxBounceAngle;
+    ball.velocityX = Math.sin(angle) * speed;
+    ball.velocityY = -Math.cos(angle) * speed;
+    ball.y = paddle.y - (paddle.height + ball.height) / 2;
+    arcade.sounds.playSound('shoot');
+};
+
+BreakoutState.prototype.actionDown = function(arcade, action) {
+    if(action === 'fire') {
+        this.launch();
+    }
+};
+
+//  On a phone, the paddle follows the finger, and a tap serves.
+BreakoutState.prototype.pointerDown = function(arcade, x, y) {
+    this.pointerMove(arcade, x, y);
+    this.launch();
+};
+
+BreakoutState.prototype.pointerMove = function(arcade, x, y) {
+    this.paddle.x = x - this.left;
+};
+
+BreakoutState.prototype.draw = function(arcade, dt, ctx) {
+    var config = this.config;
+
+    //  Clear the background, and draw everything in the play area.
+    ctx.clearRect(0, 0, arcade.width, arcade.height);
+    ctx.save();
+    ctx.translate(this.left, this.top);
+    ctx.strokeStyle = '#666666';
+    ctx.strokeRect(0, 0, config.width, config.height);
+
+    for(var i=0; i<this.bricks.length; i++) {
+        var brick = this.bricks[i];
+        ctx.fillStyle = BREAKOUT_COLOURS[brick.row % BREAKOUT_COLOURS.length];
+        ctx.fillRect(brick.x - brick.width / 2, brick.y - brick.height / 2, brick.width, brick.height);
+    }
+
+    var paddle = this.paddle;
+    var ball = this.ball;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(paddle.x - paddle.width / 2, paddle.y - paddle.height / 2, paddle.width, paddle.height);
+    ctx.fillRect(ball.x - ball.width / 2, ball.y - ball.height / 2, ball.width, ball.height);
+
+    //  Draw the info under the play area.
+    ctx.font="14px Arial";
+    ctx.textBaseline="middle";
+    ctx.textAlign="left";
+    ctx.fillText("Lives: " + this.lives, 0, config.height + 15);
+    ctx.textAlign="right";
+    ctx.fillText("Score: " + this.score + ", Level: " + this.level, config.width, config.height + 15);
+    if(!ball.served) {
+        ctx.textAlign="center";
+        ctx.fillText("Press 'Space' or tap to serve.", config.width / 2, config.height / 2 + 40);
+    }
+    ctx.restore();
+};
+
+registerArcadeGame({
+    id: 'breakout',
+    name: "Breakout",
+    description: "Knock out the wall of bricks.",
+    start: function(arcade) {
+        return new BreakoutState();
+    }
+});
@@ -0,0 +1,182 @@
+/*
+  collisions.js
+
+  the collision tests the space invaders simulation uses. everything
+  is a box centred on its x, y with a width and height, or a point if
+  it hasn't got a size (like rockets and bombs).
+
+  a collision grid sorts boxes into cells so only the ones near each
+  other are tested, which keeps the tests quick with hundreds of
+  things on the screen. the swept tests check the whole path a point
+  took over a step, so fast shots can't jump over what they hit.
+
+*/
+
+//  Returns the box around an entity, as its left, top, right and
+//  bottom edges. Entities without a size are a point.
+function entityBox(entity) {
+    var halfWidth = (entity.width || 0) / 2;
+    var halfHeight = (entity.height || 0) / 2;
+    return {
+        left: entity.x - halfWidth,
+        top: entity.y - halfHeight,
+        right: entity.x + halfWidth,
+        bottom: entity.y + halfHeight
+    };
+}
+
+//  Returns the box around the path from x0, y0 to x1, y1.
+function pathBox(x0, y0, x1, y1) {
+    return {
+        left: Math.min(x0, x1),
+        top: Math.min(y0, y1),
+        right: Math.max(x0, x1),
+        bottom: Math.max(y0, y1)
+    };
+}
+
+//  Returns true if two boxes overlap. Boxes that only touch don't.
+function boxesOverlap(a, b) {
+    return a.right > b.left && a.left < b.right && a.bottom > b.top && a.top < b.bottom;
+}
+
+//  Returns true if two entities overlap.
+function entitiesOverlap(a, b) {
+    return boxesOverlap(entityBox(a), entityBox(b));
+}
+
+//  Returns how far along the path from x0, y0 to x1, y1 (from 0 at
+//  the start to 1 at the end) it first touches an entity, or -1 if
+//  it doesn't. A path starting in the entity touches it at 0.
+function sweepEntity(x0, y0, x1, y1, entity) {
+    var box = entityBox(entity);
+    var enter = 0, exit = 1;
+    var starts = [x0, y0], moves = [x1 - x0, y1 - y0];
+    var mins = [box.left, box.top], maxes = [box.right, box.bottom];
+
+    //  Narrow down when the path is between the edges on each axis.
+    for(var axis=0; axis<2; axis++) {
+        if(moves[axis] === 0) {
+            if(starts[axis] < mins[axis] || starts[axis] > maxes[axis]) {
+                return -1;
+            }
+            continue;
+        }
+        var near = (mins[axis] - starts[axis]) / moves[axis];
+        var far = (maxes[axis] - starts[axis]) / moves[axis];
+        if(near > far) {
+            var swap = near;
+            near = far;
+            far = swap;
+        }
+        enter = Math.max(enter, near);
+        exit = Math.min(exit, far);
+        if(enter > exit) {
+            return -1;
+        }
+    }
+    return enter;
+}
+
+//  Returns how far along an entity's path over the last step it
+//  first touches 'target', or -1 if it doesn't. Entities that have
+//  only just appeared haven't got a path yet, so are just where they
+//  are.
+function sweepEntityPath(entity, target) {
+    var x0 = entity.previousX !== undefined ? entity.previousX : entity.x;
+    var y0 = entity.previousY !== undefined ? entity.previousY : entity.y;
+    return sweepEntity(x0, y0, entity.x, entity.y, target);
+}
+
+/*
+    Collision Grid
+
+    Sorts boxes into square cells 'cellSize' across, so that finding
+    what might be hit only looks at the cells around the place being
+    checked. Each box is added with a number (like its index in a
+    list), which is what queries return.
+
+    The grid is cleared and filled again each step, as things move,
+    so it keeps its cells to fill again rather than making new ones.
+*/
+function CollisionGrid(cellSize) {
+    this.cellSize = cellSize;
+
+    //  The numbers of the boxes in each cell, by the cell's key (see
+    //  'cellKey'), and the keys of the cells with any in.
+    this.cells = {};
+    this.used = [];
+}
+
+//  Cells are keyed by their column and row as a single number. Any
+//  in the first GRID_SPAN cells either side of 0 get a key of their
+//  own, which is a lot further than anything goes off the screen.
+var GRID_SPAN = 4096;
+
+CollisionGrid.prototype.cellKey = function(column, row) {
+    return (row + GRID_SPAN) * GRID_SPAN * 2 + column + GRID_SPAN;
+};
+
+//  Empties the grid.
+CollisionGrid.prototype.clear = function() {
+    for(var i=0; i<this.used.length; i++) {
+        this.cells[this.used[i]].length = 0;
+    }
+    this.used.length = 0;
+};
+
+//  Adds a box to the grid, as 'number'.
+CollisionGrid.prototype.insert = function(number, box) {
+    var size = this.cellSize;
+    var lastColumn = Math.floor(box.right / size), lastRow = Math.floor(box.bottom / size);
+    for(var row=Math.floor(box.top / size); row<=lastRow; row++) {
+        for(var column=Math.floor(box.left / size); column<=lastColumn; column++) {
+            var key = this.cellKey(column, row);
+            var cell = this.cells[key] || (this.cells[key] = []);
+            if(cell.length === 0) {
+                this.used.push(key);
+            }
+            cell.push(number);
+        }
+    }
+};
+
+//  Adds a list of entities to the grid, each as its index.
+CollisionGrid.prototype.insertEntities = function(entities) {
+    for(var i=0; i<entities.length; i++) {
+        this.insert(i, entityBox(entities[i]));
+    }
+};
+
+//  Returns the numbers of the boxes in the cells a box covers, in
+//  order, each once. They might not overlap the box, but nothing
+//  that isn't returned does.
+CollisionGrid.prototype.query = function(box) {
+    var size = this.cellSize;
+    var found = [];
+    var lastColumn = Math.floor(box.right / size), lastRow = Math.floor(box.bottom / size);
+    for(var row=Math.floor(box.top / size); row<=lastRow; row++) {
+        for(var column=Math.floor(box.left / size); column<=lastColumn; column++) {
+            var cell = this.cells[this.cellKey(column, row)];
+            for(var i=0; cell && i<cell.length; i++) {
+                if(found.indexOf(cell[i]) === -1) {
+                    found.push(cell[i]);
+                }
+            }
+        }
+    }
+    return found.sort(function(a, b) { return a - b; });
+};
+
+//  In node, export the collision tests so the simulation can use them.
+if(typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        entityBox: entityBox,
+        pathBox: pathBox,
+        boxesOverlap: boxesOverlap,
+        entitiesOverlap: entitiesOverlap,
+        sweepEntity: sweepEntity,
+        sweepEntityPath: sweepEntityPath,
+        CollisionGrid: CollisionGrid
+    };
+}
@@ -0,0 +1,161 @@
+/*
+  effects.js
+
+  the visual effects played over the game: bits of debris, sparks and
+  smoke flying out of things that are hit, and the screen shaking.
+
+  they're only for show, so they use Math.random rather than the
+  simulation's random numbers, and a game plays (and replays) the same
+  with them or without them.
+
+*/
+
+/*
+    Particle System
+
+    Keeps up to 'limit' particles. They're made once and used again
+    as old ones die, so nothing is created while the game is running.
+    When they're all in use, new ones take the place of the ones
+    closest to dying. A limit of 0 turns particles off.
+*/
+function ParticleSystem(limit) {
+    this.particles = [];
+    for(var i=0; i<limit; i++) {
+        this.particles.push(new Particle());
+    }
+
+    //  The number of particles alive, which are the first ones in the
+    //  list.
+    this.alive = 0;
+}
+
+//  The kinds of particles, for 'emit'. 'speed' is in pixels a second,
+//  'life' in seconds, 'gravity' in pixels a second per second, and
+//  'drag' is the fraction of their speed they lose each second.
+//  Smoke grows as it fades, the rest shrink.
+var PARTICLE_KINDS = {
+    debris: {count: 12, minSpeed: 20, maxSpeed: 90, minLife: 0.4, maxLife: 0.9, size: 3, gravity: 120, drag: 0.5, grows: false},
+    sparks: {count: 10, minSpeed: 60, maxSpeed: 160, minLife: 0.15, maxLife: 0.4, size: 2, gravity: 0, drag: 2, grows: false},
+    smoke: {count: 6, minSpeed: 5, maxSpeed: 25, minLife: 0.6, maxLife: 1.2, size: 6, gravity: -20, drag: 1, grows: true}
+};
+
+//  Sends out particles of a kind (a key of PARTICLE_KINDS) from x, y,
+//  in one of 'colours' each. 'scale' changes how many there are.
+ParticleSystem.prototype.emit = function(kind, x, y, colours, scale) {
+    var type = PARTICLE_KINDS[kind];
+    var count = Math.round(type.count * (scale === undefined ? 1 : scale));
+    colours = [].concat(colours);
+    for(var i=0; i<count && this.particles.length > 0; i++) {
+        var particle = this.take();
+        var angle = Math.random() * Math.PI * 2;
+        var speed = type.minSpeed + Math.random() * (type.maxSpeed - type.minSpeed);
+        particle.x = x;
+        particle.y = y;
+        particle.velocityX = Math.cos(angle) * speed;
+        particle.velocityY = Math.sin(angle) * speed;
+        particle.life = particle.lifetime = type.minLife + Math.random() * (type.maxLife - type.minLife);
+        particle.size = type.size;
+        particle.gravity = type.gravity;
+        particle.drag = type.drag;
+        particle.grows = type.grows;
+        particle.colour = colours[Math.floor(Math.random() * colours.length)];
+    }
+};
+
+//  Returns a particle to use: a dead one if there is one, or the
+//  living one with the least life left.
+ParticleSystem.prototype.take = function() {
+    if(this.alive < this.particles.length) {
+        return this.particles[this.alive++];
+    }
+    var dying = this.particles[0];
+    for(var i=1; i<this.particles.length; i++) {
+        if(this.particles[i].life < dying.life) {
+            dying = this.particles[i];
+        }
+    }
+    return dying;
+};
+
+//  Moves the particles on by 'dt' seconds. Dead ones are swapped to
+//  the end of the living ones, to be used again.
+ParticleSystem.prototype.update = function(dt) {
+    for(var i=0; i<this.alive; i++) {
+        var particle = this.particles[i];
+        particle.life -= dt;
+        if(particle.life <= 0) {
+            this.alive--;
+            this.particles[i] = this.particles[this.alive];
+            this.particles[this.alive] = particle;
+            i--;
+            continue;
+        }
+        var slow = Math.max(0, 1 - particle.drag * dt);
+        particle.velocityX *= slow;
+        particle.velocityY = particle.velocityY * slow + particle.gravity * dt;
+        particle.x += particle.velocityX * dt;
+        particle.y += particle.velocityY * dt;
+    }
+};
+
+//  Draws the particles, fading out as they die.
+ParticleSystem.prototype.draw = function(ctx) {
+    for(var i=0; i<this.alive; i++) {
+        var particle = this.particles[i];
+        var left = particle.life / particle.lifetime;
+        var size = particle.size * (particle.grows ? 2 - left : 0.5 + left / 2);
+        ctx.globalAlpha = left;
+        ctx.fillStyle = particle.colour;
+        ctx.fillRect(particle.x - size / 2, particle.y - size / 2, size, size);
+    }
+    ctx.globalAlpha = 1;
+};
+
+//  Gets rid of all of the particles.
+ParticleSystem.prototype.clear = function() {
+    this.alive = 0;
+};
+
+//  A particle, which is set up by 'emit'.
+function Particle() {
+    this.x = 0;
+    this.y = 0;
+    this.velocityX = 0;
+    this.velocityY = 0;
+    this.life = 0;
+    this.lifetime = 1;
+    this.size = 1;
+    this.gravity = 0;
+    this.drag = 0;
+    this.grows = false;
+    this.colour = '#ffffff';
+}
+
+/*
+    Screen Shake
+
+    Shakes the screen when something big happens. Each 'shake' adds
+    to how hard it's shaking (in pixels), which dies away over a
+    moment. 'strength' scales every shake, 0 turns it off.
+*/
+function ScreenShake(strength) {
+    this.strength = strength;
+    this.amount = 0;
+    this.x = 0;
+    this.y = 0;
+}
+
+//  Shakes the screen by up to 'amount' pixels. It never shakes more
+//  than twice as hard as the biggest shake.
+ScreenShake.prototype.shake = function(amount) {
+    amount *= this.strength;
+    this.amount = Math.min(this.amount + amount, Math.max(this.amount, amount * 2));
+};
+
+//  Moves the shake on by 'dt' seconds, picking where the screen is
+//  shaken to.
+ScreenShake.prototype.update = function(dt) {
+    this.amount = Math.max(0, this.amount - this.amount * 6 * dt - 2 * dt);
+    this.x = (Math.random() * 2 - 1) * this.amount;
+    this.y = (Math.random() * 2 - 1) * this.amount;
+};
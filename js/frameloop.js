@@ -0,0 +1,129 @@
+/*
+  frameloop.js
+
+  a loop built on requestAnimationFrame, that everything animated on
+  a page (like the starfield and the game) can share, so it all
+  updates and draws together.
+
+*/
+
+/*
+    Frame Loop
+
+    Call 'add' with an update and a draw function for each thing to
+    animate, then 'start'. Every frame, update is called with the
+    seconds since the last frame, then draw is called.
+
+    Give 'add' a timestep to update in fixed steps of that many
+    seconds instead, as many as fit in the time that has passed. Draw
+    is then called with how far (from 0 to 1) we are from the last
+    step to the next one, so it can draw things part way between
+    them and keep the movement smooth.
+*/
+function FrameLoop() {
+    this.entries = [];
+    this.running = false;
+    this.frameId = 0;
+
+    //  The time of the last frame, or null if there hasn't been one
+    //  since the loop started or the page was hidden.
+    this.lastTime = null;
+
+    //  The most time a frame catches up on, so a slow frame (or the
+    //  debugger) doesn't make everything jump ahead.
+    this.maxFrameTime = 0.25;
+}
+
+//  Adds something to update and draw, returning the entry to pass
+//  to 'remove'. The timestep is in seconds, or 0 to update once a
+//  frame.
+FrameLoop.prototype.add = function(timestep, update, draw) {
+    var entry = {timestep: timestep, update: update, draw: draw, accumulator: 0};
+    this.entries.push(entry);
+    return entry;
+};
+
+//  Removes an entry. The loop stops when there's nothing left in it.
+FrameLoop.prototype.remove = function(entry) {
+    var index = this.entries.indexOf(entry);
+    if(index !== -1) {
+        this.entries.splice(index, 1);
+    }
+    if(this.entries.length === 0) {
+        this.stop();
+    }
+};
+
+//  Starts the loop, if it isn't already running.
+FrameLoop.prototype.start = function() {
+    if(this.running) {
+        return;
+    }
+    var self = this;
+    this.running = true;
+    this.lastTime = null;
+
+    //  Frames stop while the page is hidden, so don't count that time
+    //  when it comes back.
+    if(!this.visibilityListener) {
+        this.visibilityListener = function() {
+            self.lastTime = null;
+        };
+        document.addEventListener('visibilitychange', this.visibilityListener);
+    }
+
+    this.frameId = window.requestAnimationFrame(function frame(time) {
+        self.tick(time);
+        if(self.running) {
+            self.frameId = window.requestAnimationFrame(frame);
+        }
+    });
+};
+
+//  Stops the loop.
+FrameLoop.prototype.stop = function() {
+    this.running = false;
+    window.cancelAnimationFrame(this.frameId);
+    if(this.visibilityListener) {
+        document.removeEventListener('visibilitychange', this.visibilityListener);
+        this.visibilityListener = null;
+    }
+};
+
+//  Runs a frame. 'time' is in milliseconds, as requestAnimationFrame
+//  gives it.
+FrameLoop.prototype.tick = function(time) {
+    var elapsed = this.lastTime === null ? 0 : Math.min((time - this.lastTime) / 1000, this.maxFrameTime);
+    this.lastTime = time;
+
+    //  Entries can be removed as we go, so loop over a copy, and skip
+    //  anything that's been removed since (even part way through its
+    //  own updates).
+    var entries = this.entries.slice();
+    for(var i=0; i<entries.length; i++) {
+        var entry = entries[i];
+        if(!this.has(entry)) {
+            continue;
+        }
+        if(!entry.timestep) {
+            entry.update(elapsed);
+            if(this.has(entry)) {
+                entry.draw(1);
+            }
+            continue;
+        }
+        entry.accumulator += elapsed;
+        while(entry.accumulator >= entry.timestep && this.has(entry)) {
+            entry.update(entry.timestep);
+            entry.accumulator -= entry.timestep;
+        }
+        if(this.has(entry)) {
+            entry.draw(entry.accumulator / entry.timestep);
+        }
+    }
+};
+
+//  Returns true if an entry is still in the loop.
+FrameLoop.prototype.has = function(entry) {
+    return this.entries.indexOf(entry) !== -1;
+};
@@ -0,0 +1,207 @@
+/*
+  highscores.js
+
+  a high score table that is kept in localStorage, and can optionally
+  be synced with a small http server.
+
+*/
+
+/*
+    High Score Table
+
+    Keeps the top 'size' scores, saved under 'key' in the storage
+    (localStorage by default). Each entry has a name, score, level,
+    date (an ISO string), time (seconds of play) and the difficulty
+    it was played at (scores from before there were difficulties
+    don't have one).
+
+    Set 'backend' to something with 'load' and 'submit' (like an
+    HttpHighScoreBackend) to share the table with a server.
+*/
+function HighScoreTable(key, size, storage) {
+    this.key = key;
+    this.size = size || 10;
+    this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.backend = null;
+    this.entries = [];
+
+    this.load();
+}
+
+//  Loads the table from storage.
+HighScoreTable.prototype.load = function() {
+    this.entries = [];
+    if(!this.storage) {
+        return;
+    }
+    try {
+        var saved = JSON.parse(this.storage.getItem(this.key));
+        if(Array.isArray(saved)) {
+            this.entries = saved.filter(isHighScoreEntry);
+            this.entries.sort(compareHighScores);
+        }
+    } catch(e) {
+        console.log("Couldn't load the high scores, starting a new table.");
+        console.log(e);
+    }
+};
+
+//  Saves the table to storage.
+HighScoreTable.prototype.save = function() {
+    if(this.storage) {
+        this.storage.setItem(this.key, JSON.stringify(this.entries));
+    }
+};
+
+//  Returns true if the score is good enough to get into the table.
+HighScoreTable.prototype.qualifies = function(score) {
+    if(score <= 0) {
+        return false;
+    }
+    return this.entries.length < this.size || score > this.entries[this.entries.length - 1].score;
+};
+
+//  Adds an entry, returning its position in the table (0 is the top),
+//  or -1 if it didn't make it in. Entries that make it in are also
+//  sent to the backend, if there is one.
+HighScoreTable.prototype.add = function(entry) {
+    if(!this.qualifies(entry.score)) {
+        return -1;
+    }
+
+    //  Insert after any equal scores, so the earlier score stays ahead.
+    var rank = 0;
+    while(rank < this.entries.length && compareHighScores(this.entries[rank], entry) <= 0) {
+        rank++;
+    }
+    this.entries.splice(rank, 0, entry);
+    this.entries.length = Math.min(this.entries.length, this.size);
+    this.save();
+
+    if(this.backend) {
+        this.backend.submit(entry, function(err) {
+            if(err) {
+                console.log("Couldn't send the high score to the server.");
+                console.log(err);
+            }
+        });
+    }
+    return rank;
+};
+
+//  Merges entries (from a server, say) into the table.
+HighScoreTable.prototype.merge = function(entries) {
+    var all = this.entries.concat(entries.filter(isHighScoreEntry));
+    all.sort(compareHighScores);
+
+    //  The same score can come back from the server, so drop duplicates.
+    var merged = [];
+    for(var i=0; i<all.length && merged.length < this.size; i++) {
+        var last = merged[merged.length - 1];
+        if(last && last.name === all[i].name && last.score === all[i].score && last.date === all[i].date) {
+            continue;
+        }
+        merged.push(all[i]);
+    }
+    this.entries = merged;
+    this.save();
+};
+
+//  Pulls the scores from the backend and merges them in. The callback
+//  (optional) is called with an error, or null.
+HighScoreTable.prototype.sync = function(callback) {
+    var self = this;
+    if(!this.backend) {
+        if(callback) callback(null);
+        return;
+    }
+    this.backend.load(function(err, entries) {
+        if(!err) {
+            self.merge(entries);
+        }
+        if(callback) callback(err);
+    });
+};
+
+//  Orders entries by score, then level, then who got there first.
+function compareHighScores(a, b) {
+    if(a.score !== b.score) {
+        return b.score - a.score;
+    }
+    if(a.level !== b.level) {
+        return b.level - a.level;
+    }
+    return a.date < b.date ? -1 : (a.date > b.date ? 1 : 0);
+}
+
+//  Returns true if 'entry' looks like a high score entry.
+function isHighScoreEntry(entry) {
+    return !!entry && typeof entry.name === 'string' && typeof entry.score === 'number' &&
+        typeof entry.level === 'number' && typeof entry.date === 'string';
+}
+
+/*
+    Http High Score Backend
+
+    Shares high scores with a server. 'GET url' returns the scores as
+    a JSON array, 'POST url' with an entry as JSON adds one. There's
+    a stub server for testing in server/highscores.js.
+*/
+function HttpHighScoreBackend(url) {
+    this.url = url;
+}
+
+//  Loads the scores, calling back with (err, entries).
+HttpHighScoreBackend.prototype.load = function(callback) {
+    var req = new XMLHttpRequest();
+    req.open('GET', this.url, true);
+    req.onload = function() {
+        if(req.status !== 200) {
+            callback(new Error("The high score server returned " + req.status));
+            return;
+        }
+
+        //  Only the parsing is tried, so a callback that throws isn't
+        //  called a second time with its own error.
+        var entries;
+        try {
+            entries = JSON.parse(req.responseText);
+        } catch(e) {
+            callback(e);
+            return;
+        }
+        if(!Array.isArray(entries)) {
+            callback(new Error("The high score server didn't return a list of scores."));
+            return;
+        }
+        callback(null, entries);
+    };
+    req.onerror = function() {
+        callback(new Error("Couldn't reach the high score server."));
+    };
+    req.send();
+};
+
+//  Submits an entry, calling back with an error or null.
+HttpHighScoreBackend.prototype.submit = function(entry, callback) {
+    var req = new XMLHttpRequest();
+    req.open('POST', this.url, true);
+    req.setRequestHeader('Content-Type', 'application/json');
+    req.onload = function() {
+        callback(req.status === 200 || req.status === 201 ? null :
+            new Error("The high score server returned " + req.status));
+    };
+    req.onerror = function() {
+        callback(new Error("Couldn't reach the high score server."));
+    };
+    req.send(JSON.stringify(entry));
+};
+
+//  In node, export the table so it can be loaded without a browser.
+if(typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HighScoreTable: HighScoreTable,
+        HttpHighScoreBackend: HttpHighScoreBackend,
+        compareHighScores: compareHighScores
+    };
+}
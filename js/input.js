@@ -0,0 +1,348 @@
+/*
+  input.js
+
+  maps keyboard keys, gamepad buttons and sticks, and touch controls
+  to the actions a game understands (like 'left' or 'fire'), and
+  lets the player change and save the mapping.
+
+*/
+
+/*
+    Input Map
+
+    Every input has a name:
+
+        'key:<code>'      a keyboard key, by its KeyboardEvent.code
+        'button:<index>'  a gamepad button
+        'axis:<index>+'   a gamepad stick pushed past halfway one way,
+        'axis:<index>-'   or the other
+        'touch:<name>'    an on screen touch control
+
+    'defaults' maps each action to the inputs bound to it. Changes to
+    the bindings are saved under 'key' in the storage (localStorage by
+    default), so they're kept for next time.
+*/
+function InputMap(key, defaults, storage) {
+    this.key = key;
+    this.defaults = defaults;
+    this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.bindings = {};
+
+    this.load();
+}
+
+//  Loads the bindings from storage, falling back on the defaults for
+//  any action that hasn't been changed.
+InputMap.prototype.load = function() {
+    this.bindings = copyBindings(this.defaults);
+    if(!this.storage) {
+        return;
+    }
+    try {
+        var saved = JSON.parse(this.storage.getItem(this.key));
+        for(var action in saved) {
+            if(this.bindings[action] && Array.isArray(saved[action])) {
+                this.bindings[action] = saved[action].filter(function(input) {
+                    return typeof input === 'string';
+                });
+            }
+        }
+    } catch(e) {
+        console.log("Couldn't load the controls, using the defaults.");
+        console.log(e);
+    }
+};
+
+//  Saves the bindings to storage.
+InputMap.prototype.save = function() {
+    if(this.storage) {
+        this.storage.setItem(this.key, JSON.stringify(this.bindings));
+    }
+};
+
+//  Returns the action an input is bound to, or null.
+InputMap.prototype.actionFor = function(input) {
+    for(var action in this.bindings) {
+        if(this.bindings[action].indexOf(input) !== -1) {
+            return action;
+        }
+    }
+    return null;
+};
+
+//  Returns the inputs bound to an action on a device ('key',
+//  'gamepad' or 'touch'), or on any device if it isn't given.
+InputMap.prototype.inputsFor = function(action, device) {
+    return (this.bindings[action] || []).filter(function(input) {
+        return !device || inputDevice(input) === device;
+    });
+};
+
+//  Binds an input to an action, in place of whatever the action had
+//  on the same device. The input is taken away from any other action.
+InputMap.prototype.bind = function(action, input) {
+    var device = inputDevice(input);
+    for(var other in this.bindings) {
+        this.bindings[other] = this.bindings[other].filter(function(bound) {
+            return bound !== input && !(other === action && inputDevice(bound) === device);
+        });
+    }
+    this.bindings[action].push(input);
+    this.save();
+};
+
+//  Puts all of the bindings back to the defaults.
+InputMap.prototype.reset = function() {
+    this.bindings = copyBindings(this.defaults);
+    this.save();
+};
+
+//  Returns the device an input is on: 'key', 'gamepad' or 'touch'.
+function inputDevice(input) {
+    var kind = input.split(':')[0];
+    return kind === 'button' || kind === 'axis' ? 'gamepad' : kind;
+}
+
+//  Returns a short name for an input, to show the player.
+function describeInput(input) {
+    var parts = input.split(':');
+    if(parts[0] === 'key') {
+        return parts[1].replace(/^Key|^Digit/, '').replace(/^Arrow/, '');
+    }
+    if(parts[0] === 'button') {
+        return 'Button ' + parts[1];
+    }
+    if(parts[0] === 'axis') {
+        return 'Stick ' + parts[1].slice(0, -1) + ' ' + parts[1].slice(-1);
+    }
+    return parts[1];
+}
+
+//  Returns the names of the gamepad inputs that are down on any of
+//  the gamepads (from navigator.getGamepads).
+function readGamepads(gamepads) {
+    var inputs = [];
+    for(var i=0; gamepads && i<gamepads.length; i++) {
+        var gamepad = gamepads[i];
+        if(!gamepad || gamepad.connected === false) {
+            continue;
+        }
+        for(var b=0; b<gamepad.buttons.length; b++) {
+            if(gamepad.buttons[b].pressed && inputs.indexOf('button:' + b) === -1) {
+                inputs.push('button:' + b);
+            }
+        }
+        for(var a=0; a<gamepad.axes.length; a++) {
+            var axis = 'axis:' + a + (gamepad.axes[a] > 0 ? '+' : '-');
+            if(Math.abs(gamepad.axes[a]) > 0.5 && inputs.indexOf(axis) === -1) {
+                inputs.push(axis);
+            }
+        }
+    }
+    return inputs;
+}
+
+/*
+    Touch Controls
+
+    On screen controls for a canvas: a fire button in the bottom right
+    corner, and a joystick wherever else a finger goes down. Drag left
+    or right of where the finger went down to move, or tap to fire
+    once. Each finger is followed separately, so moving and firing
+    work at the same time.
+
+    'target' (a Game, say) is told about the 'touch:left',
+    'touch:right' and 'touch:fire' inputs with 'inputDown' and
+    'inputUp'. Positions are in the same logical pixels the game
+    draws in (see 'resize'), however big the canvas is on the page.
+*/
+function TouchControls(canvas, target) {
+    this.canvas = canvas;
+    this.target = target;
+    this.width = canvas.width;
+    this.height = canvas.height;
+
+    //  The fingers that are down, by identifier. Each one is the fire
+    //  button, the joystick, or a tap.
+    this.touches = {};
+
+    //  How far the joystick moves before the ship does, and how far
+    //  it moves at most. The joystick's centre follows the finger
+    //  past that, so it turns round as soon as the finger does.
+    this.deadZone = 12;
+    this.range = 40;
+
+    //  Nothing is drawn until the screen has been touched.
+    this.used = false;
+}
+
+//  Sets the size of the canvas in logical pixels.
+TouchControls.prototype.resize = function(width, height) {
+    this.width = width;
+    this.height = height;
+};
+
+//  Returns the fire button, as a circle {x, y, radius}.
+TouchControls.prototype.fireButton = function() {
+    var radius = Math.min(this.width, this.height) / 12;
+    return {x: this.width - radius * 1.5, y: this.height - radius * 1.5, radius: radius};
+};
+
+//  Returns where a touch is on the canvas.
+TouchControls.prototype.position = function(touch) {
+    var rect = this.canvas.getBoundingClientRect();
+    return {
+        x: (touch.clientX - rect.left) * this.width / rect.width,
+        y: (touch.clientY - rect.top) * this.height / rect.height
+    };
+};
+
+//  Returns the joystick finger, if there is one.
+TouchControls.prototype.stick = function() {
+    for(var id in this.touches) {
+        if(this.touches[id].role === 'stick') {
+            return this.touches[id];
+        }
+    }
+    return null;
+};
+
+TouchControls.prototype.touchstart = function(e) {
+    this.used = true;
+    for(var i=0; i<e.changedTouches.length; i++) {
+        var touch = e.changedTouches[i];
+        var at = this.position(touch);
+        var button = this.fireButton();
+        var role = this.stick() ? 'tap' : 'stick';
+        if(Math.sqrt(Math.pow(at.x - button.x, 2) + Math.pow(at.y - button.y, 2)) <= button.radius) {
+            role = 'fire';
+            this.target.inputDown('touch:fire');
+        }
+        this.touches[touch.identifier] = {role: role, centreX: at.x, centreY: at.y, x: at.x, moved: false, direction: null};
+    }
+};
+
+TouchControls.prototype.touchmove = function(e) {
+    for(var i=0; i<e.changedTouches.length; i++) {
+        var finger = this.touches[e.changedTouches[i].identifier];
+        if(!finger || finger.role === 'fire') {
+            continue;
+        }
+        finger.x = this.position(e.changedTouches[i]).x;
+        var offset = finger.x - finger.centreX;
+        if(Math.abs(offset) > this.deadZone) {
+            finger.moved = true;
+        }
+        if(finger.role !== 'stick') {
+            continue;
+        }
+        if(Math.abs(offset) > this.range) {
+            finger.centreX = finger.x - (offset > 0 ? this.range : -this.range);
+        }
+        this.steer(finger, offset > this.deadZone ? 'right' : (offset < -this.deadZone ? 'left' : null));
+    }
+};
+
+//  Also call this for 'touchcancel'.
+TouchControls.prototype.touchend = function(e) {
+    for(var i=0; i<e.changedTouches.length; i++) {
+        var id = e.changedTouches[i].identifier;
+        var finger = this.touches[id];
+        if(!finger) {
+            continue;
+        }
+        delete this.touches[id];
+        if(finger.role === 'fire') {
+            this.target.inputUp('touch:fire');
+            continue;
+        }
+        this.steer(finger, null);
+
+        //  A finger that didn't move is a tap, which fires once, unless
+        //  the fire button's already being held.
+        if(!finger.moved && !this.firing()) {
+            this.target.inputDown('touch:fire');
+            this.target.inputUp('touch:fire');
+        }
+    }
+};
+
+//  Returns true if the fire button is held.
+TouchControls.prototype.firing = function() {
+    for(var id in this.touches) {
+        if(this.touches[id].role === 'fire') {
+            return true;
+        }
+    }
+    return false;
+};
+
+//  Moves the joystick to 'left', 'right' or null.
+TouchControls.prototype.steer = function(finger, direction) {
+    if(finger.direction === direction) {
+        return;
+    }
+    if(finger.direction) {
+        this.target.inputUp('touch:' + finger.direction);
+    }
+    finger.direction = direction;
+    if(direction) {
+        this.target.inputDown('touch:' + direction);
+    }
+};
+
+//  Draws the fire button and the joystick, once the screen has been
+//  touched.
+TouchControls.prototype.draw = function(ctx) {
+    if(!this.used) {
+        return;
+    }
+    ctx.save();
+    ctx.strokeStyle = '#ffffff';
+    ctx.fillStyle = '#ffffff';
+    ctx.lineWidth = 2;
+
+    var button = this.fireButton();
+    ctx.globalAlpha = this.firing() ? 0.5 : 0.25;
+    ctx.beginPath();
+    ctx.arc(button.x, button.y, button.radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 0.6;
+    ctx.stroke();
+    ctx.font = Math.round(button.radius / 2.5) + "px Arial";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText("FIRE", button.x, button.y);
+
+    var stick = this.stick();
+    if(stick) {
+        var knobX = stick.centreX + Math.max(-this.range, Math.min(this.range, stick.x - stick.centreX));
+        ctx.globalAlpha = 0.25;
+        ctx.beginPath();
+        ctx.arc(stick.centreX, stick.centreY, this.range + 10, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(knobX, stick.centreY, 18, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    ctx.restore();
+};
+
+function copyBindings(bindings) {
+    var copy = {};
+    for(var action in bindings) {
+        copy[action] = bindings[action].slice();
+    }
+    return copy;
+}
+
+//  In node, export the map so it can be loaded without a browser.
+if(typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        InputMap: InputMap,
+        inputDevice: inputDevice,
+        describeInput: describeInput,
+        readGamepads: readGamepads,
+        TouchControls: TouchControls
+    };
+}
@@ -0,0 +1,387 @@
+/*
+  leveleditor.js
+
+  an editor for space invaders level sets. it draws formations on a
+  grid, sets the level parameters and rules, and imports and exports
+  the JSON that LevelSet (in spaceinvaders-core.js) reads.
+
+*/
+
+//  The colour of each invader type on the grid, matching the sprites.
+var FORMATION_COLOURS = {
+    squid: '#ff6bff',
+    crab: '#6bffff',
+    octopus: '#6bff6b'
+};
+
+//  Where levels are kept for 'extras.html?game=spaceinvaders&levels=custom'.
+var CUSTOM_LEVELS_KEY = 'spaceinvaders.customlevels';
+
+/*
+    Level Editor
+
+    Create it with the element holding the editor's controls, then
+    call 'start'.
+*/
+function LevelEditor(container) {
+    this.container = container;
+
+    //  The level set being edited, and the level that's selected.
+    this.set = {name: "", levels: []};
+    this.selected = 0;
+
+    //  The symbol we're drawing with, and whether we're drawing.
+    this.brush = 'S';
+    this.painting = false;
+}
+
+LevelEditor.prototype.start = function() {
+    var self = this;
+
+    this.createPalette();
+    this.createParameterInputs();
+    this.listen();
+
+    //  Start with the levels we were last testing, or the campaign.
+    var custom = localStorage.getItem(CUSTOM_LEVELS_KEY);
+    if(custom && this.load(custom)) {
+        return;
+    }
+    var req = new XMLHttpRequest();
+    req.open('GET', './levels/campaign.json', true);
+    req.onload = function() {
+        if(req.status !== 200 || !self.load(req.responseText)) {
+            self.newSet();
+        }
+    };
+    req.onerror = function() {
+        self.newSet();
+    };
+    req.send();
+};
+
+//  Starts a new set with one empty level.
+LevelEditor.prototype.newSet = function() {
+    this.set = {name: "My Levels", levels: [this.newLevel()]};
+    this.selected = 0;
+    this.render();
+};
+
+//  Returns a new level with the classic formation.
+LevelEditor.prototype.newLevel = function() {
+    return {
+        name: "New Level",
+        formation: ["SSSSSSSSSS", "CCCCCCCCCC", "CCCCCCCCCC", "OOOOOOOOOO", "OOOOOOOOOO"]
+    };
+};
+
+//  Loads a level set from JSON, returning false (and saying why) if
+//  it isn't valid.
+LevelEditor.prototype.load = function(json) {
+    try {
+        var data = JSON.parse(json);
+        new LevelSet(data);
+        this.set = data;
+        this.selected = 0;
+        this.render();
+        this.say("");
+        return true;
+    } catch(e) {
+        this.say("Couldn't load the levels: " + e.message);
+        return false;
+    }
+};
+
+//  Returns the set as JSON, or null (and says why) if it isn't valid.
+LevelEditor.prototype.toJson = function() {
+    try {
+        new LevelSet(this.set);
+    } catch(e) {
+        this.say(e.message);
+        return null;
+    }
+    this.say("");
+    return JSON.stringify(this.set, null, 4);
+};
+
+LevelEditor.prototype.say = function(message) {
+    document.getElementById('message').textContent = message;
+};
+
+LevelEditor.prototype.level = function() {
+    return this.set.levels[this.selected];
+};
+
+//  Adds a button for each invader type, and one for rubbing out.
+LevelEditor.prototype.createPalette = function() {
+    var self = this;
+    var palette = document.getElementById('palette');
+    var brushes = [{symbol: '.', label: 'Gap', colour: '#111111'}];
+    for(var type in InvaderTypes) {
+        brushes.push({symbol: InvaderTypes[type].symbol, label: type, colour: FORMATION_COLOURS[type]});
+    }
+    brushes.forEach(function(brush) {
+        var button = document.createElement('button');
+        button.textContent = brush.symbol + ' ' + brush.label;
+        button.style.borderBottom = '3px solid ' + brush.colour;
+        button.setAttribute('data-symbol', brush.symbol);
+        button.addEventListener('click', function() {
+            self.brush = brush.symbol;
+            self.renderPalette();
+        });
+        palette.appendChild(button);
+    });
+};
+
+//  Adds an input for each of the parameters a level can set.
+LevelEditor.prototype.createParameterInputs = function() {
+    var parameters = document.getElementById('parameters');
+    var first = parameters.firstChild;
+    LevelSet.parameters.forEach(function(parameter) {
+        var label = document.createElement('label');
+        var input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = 'any';
+        input.setAttribute('data-parameter', parameter);
+        label.appendChild(document.createTextNode(parameter + ' '));
+        label.appendChild(input);
+        parameters.insertBefore(label, first);
+    });
+};
+
+//  Wires up all of the controls.
+LevelEditor.prototype.listen = function() {
+    var self = this;
+
+    function on(id, event, handler) {
+        document.getElementById(id).addEventListener(event, handler);
+    }
+
+    on('setName', 'input', function(e) {
+        self.set.name = e.target.value;
+    });
+    on('levelList', 'change', function(e) {
+        self.selected = e.target.selectedIndex;
+        self.render();
+    });
+    on('addLevel', 'click', function() {
+        self.set.levels.splice(self.selected + 1, 0, self.newLevel());
+        self.selected++;
+        self.render();
+    });
+    on('copyLevel', 'click', function() {
+        var copy = JSON.parse(JSON.stringify(self.level()));
+        copy.name = (copy.name || "Level") + " (copy)";
+        self.set.levels.splice(self.selected + 1, 0, copy);
+        self.selected++;
+        self.render();
+    });
+    on('removeLevel', 'click', function() {
+        if(self.set.levels.length > 1) {
+            self.set.levels.splice(self.selected, 1);
+            self.selected = Math.min(self.selected, self.set.levels.length - 1);
+            self.render();
+        }
+    });
+    on('moveUp', 'click', function() {
+        self.move(-1);
+    });
+    on('moveDown', 'click', function() {
+        self.move(1);
+    });
+    on('levelName', 'input', function(e) {
+        self.level().name = e.target.value;
+        self.renderList();
+    });
+    on('columns', 'change', function(e) {
+        self.resize(Number(e.target.value), self.level().formation.length);
+    });
+    on('rows', 'change', function(e) {
+        self.resize(self.level().formation[0].length, Number(e.target.value));
+    });
+
+    //  Empty parameter boxes and ticked rules are left out of the
+    //  level, so it uses the normal values.
+    on('parameters', 'change', function(e) {
+        var level = self.level();
+        var parameter = e.target.getAttribute('data-parameter');
+        var rule = e.target.getAttribute('data-rule');
+        if(parameter) {
+            if(e.target.value === '') {
+                delete level[parameter];
+            } else {
+                level[parameter] = Number(e.target.value);
+            }
+        } else if(rule) {
+            level.rules = level.rules || {};
+            if(e.target.checked) {
+                delete level.rules[rule];
+            } else {
+                level.rules[rule] = false;
+            }
+            if(Object.keys(level.rules).length === 0) {
+                delete level.rules;
+            }
+        }
+    });
+
+    //  Drawing on the formation, with the mouse or a finger.
+    var formation = document.getElementById('formation');
+    formation.addEventListener('mousedown', function(e) {
+        self.painting = true;
+        self.paint(e.target);
+        e.preventDefault();
+    });
+    formation.addEventListener('mouseover', function(e) {
+        if(self.painting) {
+            self.paint(e.target);
+        }
+    });
+    window.addEventListener('mouseup', function() {
+        self.painting = false;
+    });
+    formation.addEventListener('touchstart', function(e) {
+        self.paint(e.target);
+        e.preventDefault();
+    });
+    formation.addEventListener('touchmove', function(e) {
+        var touch = e.changedTouches[0];
+        self.paint(document.elementFromPoint(touch.clientX, touch.clientY));
+        e.preventDefault();
+    });
+
+    on('exportJson', 'click', function() {
+        var json = self.toJson();
+        if(json) {
+            document.getElementById('json').value = json;
+        }
+    });
+    on('downloadJson', 'click', function() {
+        var json = self.toJson();
+        if(!json) return;
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], {type: 'application/json'}));
+        link.download = 'levels.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+    on('importJson', 'click', function() {
+        self.load(document.getElementById('json').value);
+    });
+    on('playLevels', 'click', function() {
+        var json = self.toJson();
+        if(json) {
+            localStorage.setItem(CUSTOM_LEVELS_KEY, json);
+            window.location.href = './extras.html?game=spaceinvaders&levels=custom';
+        }
+    });
+};
+
+//  Moves the selected level up or down the list.
+LevelEditor.prototype.move = function(offset) {
+    var to = this.selected + offset;
+    if(to < 0 || to >= this.set.levels.length) {
+        return;
+    }
+    var level = this.set.levels.splice(this.selected, 1)[0];
+    this.set.levels.splice(to, 0, level);
+    this.selected = to;
+    this.render();
+};
+
+//  Changes the size of the formation, keeping what's been drawn.
+LevelEditor.prototype.resize = function(columns, rows) {
+    if(!(columns >= 1 && rows >= 1)) {
+        this.render();
+        return;
+    }
+    var formation = this.level().formation;
+    var resized = [];
+    for(var row=0; row<rows; row++) {
+        var line = (formation[row] || "").slice(0, columns);
+        while(line.length < columns) {
+            line += '.';
+        }
+        resized.push(line);
+    }
+    this.level().formation = resized;
+    this.render();
+};
+
+//  Paints a cell of the formation with the brush.
+LevelEditor.prototype.paint = function(cell) {
+    if(!cell || !cell.hasAttribute || !cell.hasAttribute('data-row')) {
+        return;
+    }
+    var row = Number(cell.getAttribute('data-row'));
+    var column = Number(cell.getAttribute('data-column'));
+    var formation = this.level().formation;
+    var line = formation[row];
+    formation[row] = line.slice(0, column) + this.brush + line.slice(column + 1);
+    this.renderCell(cell, this.brush);
+};
+
+LevelEditor.prototype.render = function() {
+    var level = this.level();
+    document.getElementById('setName').value = this.set.name || "";
+    document.getElementById('levelName').value = level.name || "";
+    document.getElementById('columns').value = level.formation[0].length;
+    document.getElementById('rows').value = level.formation.length;
+
+    var inputs = document.getElementById('parameters').getElementsByTagName('input');
+    for(var i=0; i<inputs.length; i++) {
+        var parameter = inputs[i].getAttribute('data-parameter');
+        var rule = inputs[i].getAttribute('data-rule');
+        if(parameter) {
+            inputs[i].value = level[parameter] === undefined ? '' : level[parameter];
+        } else if(rule) {
+            inputs[i].checked = !(level.rules && level.rules[rule] === false);
+        }
+    }
+
+    this.renderList();
+    this.renderPalette();
+    this.renderFormation();
+};
+
+LevelEditor.prototype.renderList = function() {
+    var list = document.getElementById('levelList');
+    list.innerHTML = '';
+    for(var i=0; i<this.set.levels.length; i++) {
+        var option = document.createElement('option');
+        option.textContent = (i + 1) + '. ' + (this.set.levels[i].name || 'Untitled');
+        list.appendChild(option);
+    }
+    list.selectedIndex = this.selected;
+};
+
+LevelEditor.prototype.renderPalette = function() {
+    var buttons = document.getElementById('palette').getElementsByTagName('button');
+    for(var i=0; i<buttons.length; i++) {
+        buttons[i].className = buttons[i].getAttribute('data-symbol') === this.brush ? 'selected' : '';
+    }
+};
+
+LevelEditor.prototype.renderFormation = function() {
+    var formation = this.level().formation;
+    var grid = document.getElementById('formation');
+    grid.innerHTML = '';
+    grid.style.gridTemplateColumns = 'repeat(' + formation[0].length + ', 24px)';
+    for(var row=0; row<formation.length; row++) {
+        for(var column=0; column<formation[row].length; column++) {
+            var cell = document.createElement('div');
+            cell.setAttribute('data-row', row);
+            cell.setAttribute('data-column', column);
+            this.renderCell(cell, formation[row].charAt(column));
+            grid.appendChild(cell);
+        }
+    }
+};
+
+LevelEditor.prototype.renderCell = function(cell, symbol) {
+    var type = invaderTypeForSymbol(symbol);
+    cell.textContent = type ? symbol : '';
+    cell.style.backgroundColor = type ? FORMATION_COLOURS[type] : '#111111';
+    cell.style.color = '#000000';
+};
@@ -0,0 +1,343 @@
+/*
+  sounds.js
+
+  plays the game's sounds, which are all made up in code with
+  WebAudio rather than loaded from files, and the marching bassline
+  that speeds up as the invaders are shot.
+
+*/
+
+/*
+    Sounds
+
+    Sounds go through a gain node for effects or one for music, and
+    both of those go through a master gain node, so each has its own
+    volume. The volumes are saved under 'key' in the storage
+    (localStorage by default), so they're kept for next time.
+
+    Browsers don't let a page make sounds until the player has done
+    something (pressed a key or touched the screen), so 'init' waits
+    for that before creating the audio context. Until then, sounds
+    just aren't played.
+*/
+function Sounds(key, storage) {
+    this.key = key || null;
+    this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+    //  The audio context and the gain nodes, once they're created.
+    this.audioContext = null;
+    this.masterGain = null;
+    this.musicGain = null;
+    this.sfxGain = null;
+
+    //  The volume of each gain node, from 0 to 1, and whether
+    //  everything is muted.
+    this.volumes = {master: 1, music: 0.6, sfx: 0.8};
+    this.mute = false;
+
+    //  The sounds, by name, once they've been made.
+    this.sounds = {};
+
+    //  The listeners waiting for the player to do something.
+    this.unlockListener = null;
+
+    this.loadVolumes();
+}
+
+//  The events that count as the player doing something, as far as
+//  browsers are concerned.
+var SOUND_UNLOCK_EVENTS = ['keydown', 'mousedown', 'pointerdown', 'touchend'];
+
+//  Waits for the player to do something, then starts the sound.
+Sounds.prototype.init = function() {
+    if(this.unlockListener || this.audioContext) {
+        return;
+    }
+    var self = this;
+    this.unlockListener = function() {
+        self.unlock();
+    };
+    SOUND_UNLOCK_EVENTS.forEach(function(type) {
+        window.addEventListener(type, self.unlockListener, true);
+    });
+};
+
+//  Creates the audio context (or wakes it up, if the browser has
+//  suspended it) and makes the sounds. This has to be called while
+//  handling something the player did.
+Sounds.prototype.unlock = function() {
+    if(!this.audioContext) {
+        var AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if(!AudioContextClass) {
+            console.log("This browser doesn't support WebAudio, playing without sound.");
+            this.stopListening();
+            return;
+        }
+        this.audioContext = new AudioContextClass();
+        this.createGraph();
+        this.createEffects();
+    }
+    if(this.audioContext.state === 'suspended') {
+        this.audioContext.resume();
+    }
+    this.stopListening();
+};
+
+//  Stops waiting for the player to do something.
+Sounds.prototype.stopListening = function() {
+    if(!this.unlockListener) {
+        return;
+    }
+    var self = this;
+    SOUND_UNLOCK_EVENTS.forEach(function(type) {
+        window.removeEventListener(type, self.unlockListener, true);
+    });
+    this.unlockListener = null;
+};
+
+//  Creates the gain nodes: music and effects into the master, and
+//  the master into the speakers.
+Sounds.prototype.createGraph = function() {
+    var ctx = this.audioContext;
+    this.masterGain = ctx.createGain();
+    this.musicGain = ctx.createGain();
+    this.sfxGain = ctx.createGain();
+    this.musicGain.connect(this.masterGain);
+    this.sfxGain.connect(this.masterGain);
+    this.masterGain.connect(ctx.destination);
+    this.applyVolumes();
+};
+
+//  Makes all of the effects in SOUND_EFFECTS.
+Sounds.prototype.createEffects = function() {
+    for(var name in SOUND_EFFECTS) {
+        var effect = SOUND_EFFECTS[name];
+        this.synthesiseSound(name, effect.duration, effect.sample());
+    }
+};
+
+//  Loads the volumes from storage.
+Sounds.prototype.loadVolumes = function() {
+    if(!this.storage || !this.key) {
+        return;
+    }
+    try {
+        var saved = JSON.parse(this.storage.getItem(this.key));
+        for(var channel in this.volumes) {
+            if(saved && typeof saved[channel] === 'number') {
+                this.volumes[channel] = clampVolume(saved[channel]);
+            }
+        }
+    } catch(e) {
+        console.log("Couldn't load the volume settings, using the defaults.");
+        console.log(e);
+    }
+};
+
+//  Saves the volumes to storage.
+Sounds.prototype.saveVolumes = function() {
+    if(this.storage && this.key) {
+        this.storage.setItem(this.key, JSON.stringify(this.volumes));
+    }
+};
+
+//  Returns the volume of 'master', 'music' or 'sfx', from 0 to 1.
+Sounds.prototype.getVolume = function(channel) {
+    return this.volumes[channel];
+};
+
+//  Sets the volume of 'master', 'music' or 'sfx', from 0 to 1.
+Sounds.prototype.setVolume = function(channel, volume) {
+    if(!this.volumes.hasOwnProperty(channel)) {
+        throw new Error("There's no '" + channel + "' volume.");
+    }
+    this.volumes[channel] = clampVolume(volume);
+    this.saveVolumes();
+    this.applyVolumes();
+};
+
+//  Mutes or unmutes everything.
+Sounds.prototype.setMute = function(mute) {
+    this.mute = !!mute;
+    this.applyVolumes();
+};
+
+//  Sets the gain nodes to the volumes. The change is ramped over a
+//  moment, so it doesn't click.
+Sounds.prototype.applyVolumes = function() {
+    if(!this.audioContext) {
+        return;
+    }
+    var now = this.audioContext.currentTime;
+    var gains = {
+        master: this.mute ? 0 : this.volumes.master,
+        music: this.volumes.music,
+        sfx: this.volumes.sfx
+    };
+    var nodes = {master: this.masterGain, music: this.musicGain, sfx: this.sfxGain};
+    for(var channel in nodes) {
+        nodes[channel].gain.setTargetAtTime(gains[channel], now, 0.02);
+    }
+};
+
+//  Creates a sound from code rather than a file. 'sample' is called
+//  for each sample with the time and the time step (in seconds), and
+//  returns a value between -1 and 1.
+Sounds.prototype.synthesiseSound = function(name, duration, sample) {
+    var sampleRate = this.audioContext.sampleRate;
+    var buffer = this.audioContext.createBuffer(1, Math.ceil(duration * sampleRate), sampleRate);
+    var data = buffer.getChannelData(0);
+    for(var i=0; i<data.length; i++) {
+        data[i] = sample(i / sampleRate, 1 / sampleRate);
+    }
+    this.sounds[name] = {buffer: buffer};
+};
+
+//  Plays a sound, looping it if 'loop' is true, through the 'sfx'
+//  gain node or, if 'channel' is 'music', the music one. Returns the
+//  sound source, which can be passed to 'stopSound', or null if
+//  nothing was played.
+Sounds.prototype.playSound = function(name, loop, channel) {
+
+    //  If we've not got the sound (or can't make sounds yet), or
+    //  we're muted, don't bother playing it.
+    if(!this.audioContext || !this.sounds[name] || this.mute === true) {
+        return null;
+    }
+
+    //  Create a sound source, set the buffer, connect it to its gain
+    //  node and play the sound.
+    var source = this.audioContext.createBufferSource();
+    source.buffer = this.sounds[name].buffer;
+    source.loop = !!loop;
+    source.connect(channel === 'music' ? this.musicGain : this.sfxGain);
+    source.start(0);
+    return source;
+};
+
+//  Stops a sound started with 'playSound'.
+Sounds.prototype.stopSound = function(source) {
+    if(source) {
+        source.stop(0);
+    }
+};
+
+//  Keeps a volume between 0 and 1.
+function clampVolume(volume) {
+    return Math.max(0, Math.min(1, Number(volume) || 0));
+}
+
+/*
+    Marching Bass
+
+    The four note bassline the invaders march to. Call 'update' every
+    step with the fraction of the invaders that are left: the fewer
+    there are, the faster it goes, from 'slowest' to 'fastest' seconds
+    between notes.
+*/
+function MarchingBass(sounds) {
+    this.sounds = sounds;
+    this.slowest = 0.9;
+    this.fastest = 0.12;
+    this.note = 0;
+    this.timer = 0;
+}
+
+//  Moves the bassline on by 'dt' seconds, playing the next note when
+//  it's time.
+MarchingBass.prototype.update = function(dt, remaining) {
+    this.timer -= dt;
+    if(this.timer > 0) {
+        return;
+    }
+    this.sounds.playSound('step' + this.note, false, 'music');
+    this.note = (this.note + 1) % MARCHING_BASS_NOTES.length;
+    this.timer += this.interval(remaining);
+};
+
+//  Returns the seconds between notes with 'remaining' (from 0 to 1)
+//  of the invaders left.
+MarchingBass.prototype.interval = function(remaining) {
+    remaining = Math.max(0, Math.min(1, remaining));
+    return this.fastest + (this.slowest - this.fastest) * remaining;
+};
+
+//  Starts again from the first note.
+MarchingBass.prototype.reset = function() {
+    this.note = 0;
+    this.timer = 0;
+};
+
+//  The frequencies of the bassline's notes, a descending G, F, E
+//  flat and D, like the arcade game.
+var MARCHING_BASS_NOTES = [98.0, 87.3, 77.8, 73.4];
+
+//  Returns a sample function for one note of the bassline: a square
+//  wave that dies away quickly.
+function marchingBassNote(frequency) {
+    return function() {
+        return function(t, dt) {
+            var wave = (t * frequency) % 1 < 0.5 ? 1 : -1;
+            return 0.5 * wave * Math.exp(-t * 12);
+        };
+    };
+}
+
+//  A falling laser zap for the ship firing.
+function shootZap() {
+    var phase = 0;
+    return function(t, dt) {
+        phase += 2 * Math.PI * (1200 - 4000 * t) * dt;
+        return 0.25 * (Math.sin(phase) > 0 ? 1 : -1) * (1 - t / 0.2);
+    };
+}
+
+//  Returns a sample function for an explosion: noise that gets
+//  lower and quieter over 'duration' seconds. The noise is held for
+//  longer and longer, which is what makes it sound lower.
+function explosionNoise(duration, volume) {
+    return function() {
+        var value = 0;
+        var held = 0;
+        return function(t, dt) {
+            held -= dt;
+            if(held <= 0) {
+                value = Math.random() * 2 - 1;
+                held = dt * (1 + 40 * t / duration);
+            }
+            return volume * value * Math.pow(1 - t / duration, 2);
+        };
+    };
+}
+
+//  A short rising chime for collecting a power up.
+function powerUpChime() {
+    return function(t, dt) {
+        var frequency = 400 + 2000 * t;
+        return 0.2 * Math.sin(2 * Math.PI * frequency * t) * (1 - t / 0.2);
+    };
+}
+
+//  Returns a sample function for the mothership's warbling siren. It
+//  lasts a quarter of a second, so it loops without a jump.
+function ufoSiren() {
+    var phase = 0;
+    return function(t, dt) {
+        phase += 2 * Math.PI * (600 + 200 * Math.sin(2 * Math.PI * 4 * t)) * dt;
+        return Math.sin(phase) > 0 ? 0.2 : -0.2;
+    };
+}
+
+//  The effects the game plays, with how long each lasts (in seconds)
+//  and a function returning its sample function.
+var SOUND_EFFECTS = {
+    shoot: {duration: 0.2, sample: shootZap},
+    bang: {duration: 0.3, sample: explosionNoise(0.3, 0.4)},
+    explosion: {duration: 1, sample: explosionNoise(1, 0.6)},
+    ufo: {duration: 0.25, sample: ufoSiren},
+    powerup: {duration: 0.2, sample: powerUpChime},
+    step0: {duration: 0.15, sample: marchingBassNote(MARCHING_BASS_NOTES[0])},
+    step1: {duration: 0.15, sample: marchingBassNote(MARCHING_BASS_NOTES[1])},
+    step2: {duration: 0.15, sample: marchingBassNote(MARCHING_BASS_NOTES[2])},
+    step3: {duration: 0.15, sample: marchingBassNote(MARCHING_BASS_NOTES[3])}
+};
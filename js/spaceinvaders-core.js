@@ -0,0 +1,1660 @@
+/*
+  spaceinvaders-core.js
+
+  the simulation core for the space invaders game. nothing in here
+  touches the DOM, the canvas or audio, so the game logic can be
+  stepped in the browser or loaded in node for testing.
+
+  it tests for collisions with collisions.js, which must be loaded
+  first (in node, it's loaded here).
+
+  the game's default config and difficulties are in here too, so they
+  can be played in node as well.
+
+*/
+
+if(typeof module !== 'undefined' && module.exports) {
+    var collisions = require('./collisions.js');
+    var entityBox = collisions.entityBox;
+    var pathBox = collisions.pathBox;
+    var boxesOverlap = collisions.boxesOverlap;
+    var entitiesOverlap = collisions.entitiesOverlap;
+    var sweepEntityPath = collisions.sweepEntityPath;
+    var CollisionGrid = collisions.CollisionGrid;
+}
+
+/*
+    Random
+
+    A small seeded random number generator (mulberry32). The same
+    seed always gives back the same sequence of numbers, which is
+    what makes a run reproducible.
+*/
+function Random(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+}
+
+//  Returns a number in [0, 1), just like Math.random.
+Random.prototype.next = function() {
+    var t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+//  Makes up a new seed, for when we don't care which one we get.
+Random.newSeed = function() {
+    return Math.floor(Math.random() * 4294967296);
+};
+
+/*
+    Simulation Clock
+
+    Game time in milliseconds. It only moves when it is advanced,
+    so the simulation doesn't depend on the wall clock.
+*/
+function SimulationClock() {
+    this.time = 0;
+}
+
+SimulationClock.prototype.advance = function(dt) {
+    this.time += dt * 1000;
+};
+
+SimulationClock.prototype.now = function() {
+    return this.time;
+};
+
+/*
+    Adaptive Difficulty
+
+    Makes the game harder for players who are doing well and easier
+    for ones who aren't. It watches the simulation's events for how
+    many shots hit and how many lives are lost, forgetting older ones
+    over time (half of them every 'adaptiveHalfLife' seconds), and
+    eases 'factor' towards a difficulty to suit. A factor above 1 is
+    harder, below is easier, between 'adaptiveMinFactor' and
+    'adaptiveMaxFactor' in the config.
+
+    It keeps going from level to level, so give the same one to each
+    level a player plays.
+*/
+function AdaptiveDifficulty(config) {
+    this.config = config;
+    this.factor = 1;
+    this.shots = 0;
+    this.hits = 0;
+    this.livesLost = 0;
+}
+
+//  Counts the shots, hits and lives lost in a list of events.
+AdaptiveDifficulty.prototype.observe = function(events) {
+    for(var i=0; i<events.length; i++) {
+        var type = events[i].type;
+        if(type === 'rocketFired') {
+            this.shots++;
+        } else if(type === 'invaderKilled' || type === 'mothershipKilled') {
+            this.hits++;
+        } else if(type === 'shipHit') {
+            this.livesLost++;
+        }
+    }
+};
+
+//  Returns the factor that suits how the player is doing. Hitting
+//  more than 'adaptiveTargetAccuracy' of shots makes it harder, and
+//  each recent life lost makes it easier.
+AdaptiveDifficulty.prototype.target = function() {
+    var config = this.config;
+    var accuracy = this.shots >= 3 ? Math.min(1, this.hits / this.shots) : config.adaptiveTargetAccuracy;
+    var target = 1 + (accuracy - config.adaptiveTargetAccuracy) - 0.2 * this.livesLost;
+    return Math.max(config.adaptiveMinFactor, Math.min(config.adaptiveMaxFactor, target));
+};
+
+//  Forgets a little of what's happened and eases the factor towards
+//  the target, over 'dt' seconds.
+AdaptiveDifficulty.prototype.update = function(dt) {
+    var forget = Math.pow(0.5, dt / this.config.adaptiveHalfLife);
+    this.shots *= forget;
+    this.hits *= forget;
+    this.livesLost *= forget;
+    var target = this.target();
+    var change = this.config.adaptiveRate * dt;
+    this.factor = target > this.factor ? Math.min(target, this.factor + change) : Math.max(target, this.factor - change);
+};
+
+//  The game's config, before any changes for the difficulty or by
+//  the page the game is on.
+var DEFAULT_CONFIG = {
+    bombRate: 0.05,
+    bombMinVelocity: 50,
+    bombMaxVelocity: 50,
+    invaderInitialVelocity: 25,
+    invaderAcceleration: 0,
+    invaderDropDistance: 20,
+    rocketVelocity: 120,
+    rocketMaxFireRate: 2,
+    maxRockets: 0,
+    gameWidth: 400,
+    gameHeight: 300,
+    minimumWidth: 480,
+    minimumHeight: 420,
+    fps: 50,
+    debugMode: false,
+    invaderRanks: 5,
+    invaderFiles: 10,
+    shipSpeed: 120,
+    levelDifficultyMultiplier: 0.2,
+    pointsPerInvader: 5,
+    limitLevelIncrease: 25,
+    shieldCount: 4,
+    shieldShape: [
+        '...######...',
+        '..########..',
+        '.##########.',
+        '############',
+        '############',
+        '############',
+        '####....####',
+        '###......###'
+    ],
+    shieldCellSize: 3,
+    shieldOffset: 50,
+    shieldsRestoredEachLevel: true,
+    mothershipMinInterval: 15,
+    mothershipMaxInterval: 30,
+    mothershipVelocity: 60,
+    mothershipPoints: [100, 50, 50, 100, 150, 100, 100, 50, 300, 100, 100, 100, 50, 150, 100],
+    powerUpChance: 0.08,
+    powerUpVelocity: 60,
+    rapidFireMultiplier: 2,
+    spreadVelocity: 40,
+    versusAttackKills: 5,
+    versusBombBoost: 1.5,
+    versusBombBoostDuration: 8,
+    versusSnapshotInterval: 0.1,
+    adaptiveTargetAccuracy: 0.4,
+    adaptiveMinFactor: 0.6,
+    adaptiveMaxFactor: 1.4,
+    adaptiveHalfLife: 30,
+    adaptiveRate: 0.05,
+    shipInvulnerableTime: 1.5,
+    particleLimit: 300,
+    particleScale: 1,
+    screenShake: 1,
+    scorePopups: true,
+    attractDelay: 8
+};
+
+//  The difficulties the game can be played at, easiest first. Each
+//  changes some of the game's config. Arcade plays more like the
+//  original: one shot at a time, no power ups, and shields that
+//  aren't rebuilt. Adaptive starts out normal, then gets harder or
+//  easier depending on how the player is doing.
+var DIFFICULTIES = [
+    {difficulty: 'easy', label: "Easy", config: {
+        bombRate: 0.03, bombMinVelocity: 40, bombMaxVelocity: 40, invaderInitialVelocity: 20,
+        levelDifficultyMultiplier: 0.1, rocketMaxFireRate: 3, powerUpChance: 0.12
+    }},
+    {difficulty: 'normal', label: "Normal", config: {}},
+    {difficulty: 'hard', label: "Hard", config: {
+        bombRate: 0.08, bombMinVelocity: 60, bombMaxVelocity: 80, invaderInitialVelocity: 30,
+        levelDifficultyMultiplier: 0.3, rocketMaxFireRate: 1.5, powerUpChance: 0.05
+    }},
+    {difficulty: 'arcade', label: "Arcade", config: {
+        bombRate: 0.06, bombMinVelocity: 50, bombMaxVelocity: 70, invaderAcceleration: 2,
+        levelDifficultyMultiplier: 0.15, limitLevelIncrease: 9, rocketMaxFireRate: 1.2, maxRockets: 1,
+        powerUpChance: 0, shieldsRestoredEachLevel: false, mothershipMinInterval: 25, mothershipMaxInterval: 25
+    }},
+    {difficulty: 'adaptive', label: "Adaptive", config: {}, adaptive: true}
+];
+
+//  Returns the difficulty in DIFFICULTIES with the given name.
+function difficultyPreset(difficulty) {
+    for(var i=0; i<DIFFICULTIES.length; i++) {
+        if(DIFFICULTIES[i].difficulty === difficulty) {
+            return DIFFICULTIES[i];
+        }
+    }
+    throw new Error("There's no '" + difficulty + "' difficulty.");
+}
+
+//  Returns a copy of 'config' with the changes for a difficulty.
+function difficultyConfig(config, difficulty) {
+    var preset = difficultyPreset(difficulty);
+    var changed = JSON.parse(JSON.stringify(config));
+    for(var name in preset.config) {
+        changed[name] = preset.config[name];
+    }
+    return changed;
+}
+
+/*
+    Invaders Simulation
+
+    Runs a single level of the game. Create it with the game config
+    and the options below, then call 'step' with a delta time and
+    the input for that step.
+
+    options:
+        level   - the level being played.
+        definition - the level's definition from a LevelSet, or
+                  null to work the level out from the level number.
+        player  - an object with 'lives' and 'score', which the
+                  simulation updates as the level is played.
+        players - a list of those, for more than one player. Each
+                  player gets a ship of their own, and the level is
+                  lost once none of them have any lives left.
+        width   - the width of the play area.
+        height  - the height of the play area.
+        bounds  - the game bounds ({left, top, right, bottom}).
+        shields - shields to carry on from the last level. If this
+                  isn't given, new shields are built.
+        rng     - a Random to use, defaults to one seeded with 1.
+        clock   - a clock with 'now', defaults to a SimulationClock
+                  which the simulation advances itself.
+        adaptive - an AdaptiveDifficulty, to tune the bomb rate,
+                  invader speed and rocket fire rate to how the
+                  players are doing. Leave it out to play the level
+                  as it is.
+
+    The simulation never plays sounds or draws anything. Instead it
+    queues events ('rocketFired', 'invaderKilled', 'shipHit',
+    'invadersLanded', 'shieldHit', 'mothershipAppeared',
+    'mothershipKilled', 'mothershipEscaped', 'powerUpDropped',
+    'powerUpCollected', 'powerUpExpired', 'invadersAdded',
+    'bombsBoosted', 'levelComplete' and 'gameOver') which can be
+    collected with 'takeEvents'.
+*/
+function InvadersSimulation(config, options) {
+    this.config = config;
+    this.level = options.level || 1;
+    this.definition = options.definition || null;
+    this.rules = (this.definition && this.definition.rules) || {};
+    this.players = options.players || [options.player || {lives: 3, score: 0}];
+    this.player = this.players[0];
+    this.bounds = options.bounds;
+    this.width = options.width || this.bounds.right + this.bounds.left;
+    this.height = options.height || this.bounds.bottom + this.bounds.top;
+    this.rng = options.rng || new Random(1);
+
+    //  If we weren't given a clock, we own the clock and advance it.
+    this.clock = options.clock || new SimulationClock();
+    this.ownsClock = !options.clock;
+    this.adaptive = options.adaptive || null;
+
+    //  Game state.
+    this.invaderCurrentVelocity =  10;
+    this.invaderCurrentDropDistance =  0;
+    this.invadersAreDropping =  false;
+
+    //  The rockets fired so far this level, which is what the
+    //  mothership's score is based on.
+    this.shotsFired = 0;
+
+    //  Seconds until the next mothership, or null if there are no
+    //  motherships.
+    this.mothershipTimer = null;
+
+    //  The power ups the ship has, mapped to the seconds they have
+    //  left (Infinity for ones that last until they're used).
+    this.activePowerUps = {};
+
+    //  While bombs are boosted, how much faster they fall and the
+    //  seconds the boost has left.
+    this.bombBoost = null;
+
+    //  'playing', 'won' or 'lost'.
+    this.status = 'playing';
+
+    //  Events raised since they were last taken.
+    this.events = [];
+
+    //  The grid the invaders are sorted into, to find the ones near
+    //  a rocket, shield or ship. It's filled again every step.
+    this.grid = new CollisionGrid(32);
+
+    //  Game entities. There's a ship for each player, 'ship' is the
+    //  first player's.
+    this.ships = [];
+    this.ship = null;
+    this.mothership = null;
+    this.invaders = [];
+    this.rockets = [];
+    this.bombs = [];
+    this.explosions = [];
+    this.powerUps = [];
+    this.shields = options.shields || null;
+
+    this.setupLevel();
+}
+
+//  Creates the ship and invaders and sets the parameters for the level.
+InvadersSimulation.prototype.setupLevel = function() {
+
+    var centreX = (this.bounds.left + this.bounds.right) / 2;
+
+    //  Create the ships, spaced evenly along the bottom. Players
+    //  with no lives left sit the level out.
+    this.ships = [];
+    for(var p=0; p<this.players.length; p++) {
+        var ship = new Ship(this.bounds.left + (this.bounds.right - this.bounds.left) * (p + 1) / (this.players.length + 1),
+            this.bounds.bottom);
+        ship.alive = this.players[p].lives > 0;
+        this.ships.push(ship);
+    }
+    this.ship = this.ships[0];
+
+    //  Build the shields, spaced evenly above the ship, unless we're
+    //  carrying them on from the last level or the level has none.
+    if(this.rules.shields === false) {
+        this.shields = [];
+    }
+    if(!this.shields) {
+        this.shields = [];
+        var shieldCount = this.config.shieldCount || 0;
+        var spacing = (this.bounds.right - this.bounds.left) / shieldCount;
+        for(var i=0; i<shieldCount; i++) {
+            this.shields.push(new Shield(this.bounds.left + spacing * (i + 0.5),
+                this.bounds.bottom - this.config.shieldOffset,
+                this.config.shieldShape, this.config.shieldCellSize));
+        }
+    }
+
+    //  Setup initial state.
+    this.invaderCurrentVelocity =  10;
+    this.invaderCurrentDropDistance =  0;
+    this.invadersAreDropping =  false;
+
+    //  Set the ship speed for this level, as well as invader params.
+    var levelMultiplier = this.level * this.config.levelDifficultyMultiplier;
+    var limitLevel = (this.level < this.config.limitLevelIncrease ? this.level : this.config.limitLevelIncrease);
+    this.shipSpeed = this.config.shipSpeed;
+    this.invaderInitialVelocity = this.config.invaderInitialVelocity + 1.5 * (levelMultiplier * this.config.invaderInitialVelocity);
+    this.bombRate = this.config.bombRate + (levelMultiplier * this.config.bombRate);
+    this.bombMinVelocity = this.config.bombMinVelocity + (levelMultiplier * this.config.bombMinVelocity);
+    this.bombMaxVelocity = this.config.bombMaxVelocity + (levelMultiplier * this.config.bombMaxVelocity);
+    this.rocketMaxFireRate = this.config.rocketMaxFireRate + 0.4 * limitLevel;
+    this.invaderAcceleration = this.config.invaderAcceleration;
+    this.invaderDropDistance = this.config.invaderDropDistance;
+
+    //  The files that get to drop bombs.
+    this.bombingFiles = this.config.invaderFiles;
+
+    //  A level definition can set any of those itself, and lays out
+    //  its own formation.
+    var definition = this.definition;
+    if(definition) {
+        for(var p=0; p<LevelSet.parameters.length; p++) {
+            var parameter = LevelSet.parameters[p];
+            if(definition[parameter] !== undefined) {
+                this[parameter] = definition[parameter];
+            }
+        }
+        this.invaders = this.createFormation(definition, centreX);
+        this.bombingFiles = definition.formation[0].length;
+    } else {
+
+        //  Create the invaders.
+        var ranks = this.config.invaderRanks + 0.1 * limitLevel;
+        var files = this.config.invaderFiles + 0.2 * limitLevel;
+        var invaders = [];
+        for(var rank = 0; rank < ranks; rank++){
+            for(var file = 0; file < files; file++) {
+                invaders.push(new Invader(
+                    centreX + ((files/2 - file) * 200 / files),
+                    (this.bounds.top + rank * 20),
+                    rank, file, 'Invader'));
+            }
+        }
+        this.invaders = invaders;
+    }
+    this.invaderCount = this.invaders.length;
+    this.invaderCurrentVelocity = this.invaderInitialVelocity;
+    this.invaderVelocity = {x: -this.invaderInitialVelocity, y:0};
+    this.invaderNextVelocity = null;
+
+    //  Start the countdown to the first mothership.
+    this.resetMothershipTimer();
+};
+
+//  Creates the invaders from a level definition's formation. Each row
+//  is a rank and each column a file, with the front rank last.
+InvadersSimulation.prototype.createFormation = function(definition, centreX) {
+    var formation = definition.formation;
+    var spacingX = definition.spacingX || 20;
+    var spacingY = definition.spacingY || 20;
+    var files = formation[0].length;
+    var invaders = [];
+    for(var rank = 0; rank < formation.length; rank++) {
+        for(var file = 0; file < files; file++) {
+            var type = invaderTypeForSymbol(formation[rank].charAt(file));
+            if(type) {
+                invaders.push(new Invader(
+                    centreX + (file - (files - 1) / 2) * spacingX,
+                    this.bounds.top + rank * spacingY,
+                    rank, file, type));
+            }
+        }
+    }
+    return invaders;
+};
+
+//  Adds points to a player's score, the first player's if 'player'
+//  (an index into 'players') isn't given.
+InvadersSimulation.prototype.awardPoints = function(points, player) {
+    this.players[player || 0].score += points;
+};
+
+//  Returns the number of players with lives left.
+InvadersSimulation.prototype.playersLeft = function() {
+    var left = 0;
+    for(var i=0; i<this.players.length; i++) {
+        if(this.players[i].lives > 0) {
+            left++;
+        }
+    }
+    return left;
+};
+
+//  Takes a life from the player of ship 'index', or all of their
+//  lives if 'fatal' is true. Their ship is out once they have none
+//  left.
+InvadersSimulation.prototype.hitShip = function(index, cause, fatal) {
+    var ship = this.ships[index];
+    var player = this.players[index];
+    player.lives = fatal ? 0 : player.lives - 1;
+    ship.alive = player.lives > 0;
+
+    //  Give the player a moment to get out of the way before they
+    //  can be hit again.
+    ship.invulnerable = this.config.shipInvulnerableTime || 0;
+    this.explosions.push(new Explosion(ship.x, ship.y, 'ship'));
+    this.events.push({type: 'shipHit', cause: cause, ship: index});
+};
+
+//  Takes away the rockets and bombs in flight. This is done when a
+//  level is put aside for another player's turn, so it can be picked
+//  up again later without a bomb about to land.
+InvadersSimulation.prototype.clearShots = function() {
+    this.rockets = [];
+    this.bombs = [];
+};
+
+//  Advances the simulation by 'dt' seconds. 'input' says which of
+//  'left', 'right' and 'fire' are held down for this step. With more
+//  than one player, it's a list with the input for each ship.
+InvadersSimulation.prototype.step = function(dt, input) {
+
+    input = input || {};
+    if(this.ownsClock) {
+        this.clock.advance(dt);
+    }
+    this.rememberPositions();
+
+    //  Once the level is won or lost, nothing else happens.
+    if(this.status !== 'playing') {
+        return;
+    }
+
+    //  Animate everything, and get rid of finished explosions.
+    this.animate(dt);
+
+    //  Move the ships on each step rather than on key events, for
+    //  smooth movement.
+    var inputs = Array.isArray(input) ? input : [input];
+    for(var s=0; s<this.ships.length; s++) {
+        var ship = this.ships[s];
+        var shipInput = inputs[s] || {};
+        if(!ship.alive) {
+            continue;
+        }
+        ship.invulnerable = Math.max(0, ship.invulnerable - dt);
+        if(shipInput.left) {
+            ship.x -= this.shipSpeed * dt;
+        }
+        if(shipInput.right) {
+            ship.x += this.shipSpeed * dt;
+        }
+        if(shipInput.fire) {
+            this.fireRocket(s);
+        }
+
+        //  Keep the ship in bounds.
+        if(ship.x < this.bounds.left) {
+            ship.x = this.bounds.left;
+        }
+        if(ship.x > this.bounds.right) {
+            ship.x = this.bounds.right;
+        }
+    }
+
+    //  Move each bomb and rocket. Ones that go off the screen are
+    //  removed once they've had the chance to hit something on the way.
+    for(var i=0; i<this.bombs.length; i++) {
+        this.bombs[i].y += dt * this.bombs[i].velocity;
+    }
+    for(i=0; i<this.rockets.length; i++) {
+        var rocket = this.rockets[i];
+        rocket.x += dt * rocket.velocityX;
+        rocket.y -= dt * rocket.velocity;
+    }
+
+    //  Tune the difficulty to how the players are doing.
+    if(this.adaptive) {
+        this.adaptive.update(dt);
+    }
+    var difficulty = this.difficultyFactor();
+
+    //  Drop the falling power ups, and run down the active ones.
+    this.updatePowerUps(dt);
+    if(this.bombBoost) {
+        this.bombBoost.time -= dt;
+        if(this.bombBoost.time <= 0) {
+            this.bombBoost = null;
+        }
+    }
+
+    //  Fly the mothership, or count down to the next one.
+    this.updateMothership(dt);
+
+    //  Rockets and bombs that hit a shield chip a bit off it.
+    for(i=0; i<this.shields.length; i++) {
+        this.checkShieldHits(this.shields[i]);
+    }
+
+    //  Move the invaders. They move as one formation: if any of them
+    //  would go past the edge, none of them move, so they stay lined
+    //  up with each other.
+    var dx = this.invaderVelocity.x * difficulty * dt;
+    var dy = this.invaderVelocity.y * difficulty * dt;
+    var formation = this.formationBounds();
+    var hitLeft = formation !== null && dx < 0 && formation.left + dx < this.bounds.left;
+    var hitRight = formation !== null && dx > 0 && formation.right + dx > this.bounds.right;
+    var hitBottom = formation !== null && dy > 0 && formation.bottom + dy > this.bounds.bottom;
+    if(!hitLeft && !hitRight && !hitBottom) {
+        for(i=0; i<this.invaders.length; i++) {
+            this.invaders[i].x += dx;
+            this.invaders[i].y += dy;
+        }
+    }
+
+    //  Update invader velocities.
+    if(this.invadersAreDropping) {
+        this.invaderCurrentDropDistance += this.invaderVelocity.y * difficulty * dt;
+        if(this.invaderCurrentDropDistance >= this.invaderDropDistance) {
+            this.invadersAreDropping = false;
+            this.invaderVelocity = this.invaderNextVelocity;
+            this.invaderCurrentDropDistance = 0;
+        }
+    }
+    //  If we've hit the left, move down then right.
+    if(hitLeft) {
+        this.invaderCurrentVelocity += this.invaderAcceleration;
+        this.invaderVelocity = {x: 0, y:this.invaderCurrentVelocity };
+        this.invadersAreDropping = true;
+        this.invaderNextVelocity = {x: this.invaderCurrentVelocity , y:0};
+    }
+    //  If we've hit the right, move down then left.
+    if(hitRight) {
+        this.invaderCurrentVelocity += this.invaderAcceleration;
+        this.invaderVelocity = {x: 0, y:this.invaderCurrentVelocity };
+        this.invadersAreDropping = true;
+        this.invaderNextVelocity = {x: -this.invaderCurrentVelocity , y:0};
+    }
+    //  If we've hit the bottom, it's game over. The event has the
+    //  ships that were still in play.
+    if(hitBottom) {
+        var landedOn = [];
+        for(i=0; i<this.players.length; i++) {
+            if(this.players[i].lives > 0) {
+                landedOn.push(i);
+            }
+            this.players[i].lives = 0;
+            this.ships[i].alive = false;
+        }
+        this.events.push({type: 'invadersLanded', ships: landedOn});
+    }
+
+    //  Sort the invaders into the grid, to only check the ones near
+    //  each thing they might hit. Invaders marching through a shield
+    //  wreck it as they go.
+    this.grid.clear();
+    this.grid.insertEntities(this.invaders);
+    for(i=0; i<this.shields.length; i++) {
+        var shieldBox = entityBox(this.shields[i]);
+        var nearby = this.grid.query(shieldBox);
+        for(var n=0; n<nearby.length; n++) {
+            var invaderBox = entityBox(this.invaders[nearby[n]]);
+            if(boxesOverlap(invaderBox, shieldBox)) {
+                this.shields[i].clearRect(invaderBox.left, invaderBox.top, invaderBox.right, invaderBox.bottom);
+            }
+        }
+    }
+
+    //  Check for rocket/invader collisions.
+    var shot = this.checkRocketHits();
+
+    //  Find all of the front rank invaders.
+    var frontRankInvaders = {};
+    for(i=0; i<this.invaders.length; i++) {
+        var invader = this.invaders[i];
+        //  If we have no invader for this file, or the invader
+        //  for this file is futher behind, set the front
+        //  rank invader to this one.
+        if(!frontRankInvaders[invader.file] || frontRankInvaders[invader.file].rank < invader.rank) {
+            frontRankInvaders[invader.file] = invader;
+        }
+    }
+
+    //  Give each front rank invader a chance to drop a bomb.
+    for(i=0; i<this.bombingFiles; i++) {
+        var invader = frontRankInvaders[i];
+        if(!invader) continue;
+        var chance = this.bombRate * difficulty * dt;
+        if(chance > this.rng.next()) {
+            //  Fire!
+            var velocity = this.bombMinVelocity + this.rng.next()*(this.bombMaxVelocity - this.bombMinVelocity);
+            this.bombs.push(new Bomb(invader.x, invader.y + invader.height / 2,
+                velocity * (this.bombBoost ? this.bombBoost.multiplier : 1)));
+        }
+    }
+
+    //  Check for bomb/ship collisions, along the way each bomb fell
+    //  so fast ones can't fall through the ship.
+    for(i=0; i<this.bombs.length; i++) {
+        var bomb = this.bombs[i];
+        for(s=0; s<this.ships.length; s++) {
+            var ship = this.ships[s];
+            if(!ship.alive || ship.invulnerable > 0) {
+                continue;
+            }
+            if(sweepEntityPath(bomb, ship) !== -1) {
+                this.bombs.splice(i--, 1);
+
+                //  A shield power up takes the hit instead of the ship.
+                if(this.hasPowerUp('shield')) {
+                    this.expirePowerUp('shield');
+                } else {
+                    this.hitShip(s, 'bomb', false);
+                }
+                break;
+            }
+        }
+    }
+
+    //  Check for invader/ship collisions, with just the invaders
+    //  near each ship. If any were shot, the grid is filled again
+    //  without them.
+    if(shot) {
+        this.grid.clear();
+        this.grid.insertEntities(this.invaders);
+    }
+    for(s=0; s<this.ships.length; s++) {
+        var ship = this.ships[s];
+        var nearby = this.grid.query(entityBox(ship));
+        for(i=0; i<nearby.length && ship.alive; i++) {
+            if(entitiesOverlap(this.invaders[nearby[i]], ship)) {
+                //  Dead by collision!
+                this.hitShip(s, 'invader', true);
+            }
+        }
+    }
+
+    //  Get rid of the bombs and rockets that have gone off the screen.
+    var height = this.height;
+    this.bombs = this.bombs.filter(function(bomb) { return bomb.y <= height; });
+    this.rockets = this.rockets.filter(function(rocket) { return rocket.y >= 0; });
+
+    //  Check for failure.
+    if(this.playersLeft() === 0) {
+        this.status = 'lost';
+        this.events.push({type: 'gameOver'});
+    }
+    //  Check for victory. Everyone still in gets the bonus.
+    else if(this.invaders.length === 0) {
+        for(i=0; i<this.players.length; i++) {
+            if(this.players[i].lives > 0) {
+                this.awardPoints(this.level * 50, i);
+            }
+        }
+        this.status = 'won';
+        this.events.push({type: 'levelComplete', level: this.level});
+    }
+};
+
+//  Returns the edges of the formation (the left and right of the
+//  outermost invaders' centres, and the bottom of the lowest), or
+//  null if there are no invaders left.
+InvadersSimulation.prototype.formationBounds = function() {
+    if(this.invaders.length === 0) {
+        return null;
+    }
+    var formation = {left: Infinity, right: -Infinity, bottom: -Infinity};
+    for(var i=0; i<this.invaders.length; i++) {
+        var invader = this.invaders[i];
+        formation.left = Math.min(formation.left, invader.x);
+        formation.right = Math.max(formation.right, invader.x);
+        formation.bottom = Math.max(formation.bottom, invader.y);
+    }
+    return formation;
+};
+
+//  Checks for rockets hitting invaders, which must be in the grid.
+//  Each rocket hits the first invader along the way it went this
+//  step, so fast rockets can't go through one, and each invader can
+//  only be hit by one rocket. Returns true if any were hit.
+InvadersSimulation.prototype.checkRocketHits = function() {
+    if(this.rockets.length === 0 || this.invaders.length === 0) {
+        return false;
+    }
+
+    //  The rocket that hit each invader, by the invader's index.
+    var hitBy = {};
+    for(var j=0; j<this.rockets.length; j++) {
+        var rocket = this.rockets[j];
+        var x0 = rocket.previousX !== undefined ? rocket.previousX : rocket.x;
+        var y0 = rocket.previousY !== undefined ? rocket.previousY : rocket.y;
+        var nearby = this.grid.query(pathBox(x0, y0, rocket.x, rocket.y));
+        var hit = -1, first = Infinity;
+        for(var n=0; n<nearby.length; n++) {
+            if(hitBy[nearby[n]]) {
+                continue;
+            }
+            var along = sweepEntityPath(rocket, this.invaders[nearby[n]]);
+            if(along !== -1 && along < first) {
+                first = along;
+                hit = nearby[n];
+            }
+        }
+        if(hit !== -1) {
+            hitBy[hit] = rocket;
+            this.rockets.splice(j--, 1);
+        }
+    }
+
+    //  Kill the invaders that were hit, in the order they're in.
+    for(var i=0; i<this.invaders.length; i++) {
+        var invader = this.invaders[i];
+        var shooter = hitBy[i] ? hitBy[i].player : -1;
+        if(shooter === -1) {
+            continue;
+        }
+        var points = this.config.pointsPerInvader * invaderTypePoints(invader.type);
+        this.awardPoints(points, shooter);
+        this.explosions.push(new Explosion(invader.x, invader.y, 'invader'));
+        this.events.push({type: 'invaderKilled', invader: invader, player: shooter, points: points});
+        this.maybeDropPowerUp(invader);
+    }
+    var count = this.invaders.length;
+    this.invaders = this.invaders.filter(function(invader, index) {
+        return !hitBy[index];
+    });
+    return this.invaders.length < count;
+};
+
+//  Sets the time until the next mothership, somewhere between the
+//  min and max interval in the config.
+InvadersSimulation.prototype.resetMothershipTimer = function() {
+    var min = this.config.mothershipMinInterval;
+    var max = this.config.mothershipMaxInterval;
+    this.mothershipTimer = min && this.rules.mothership !== false ? min + this.rng.next() * (max - min) : null;
+};
+
+//  Moves the mothership across the top of the bounds and checks if
+//  it's been shot, or sends out a new one when it's time.
+InvadersSimulation.prototype.updateMothership = function(dt) {
+    var mothership = this.mothership;
+
+    if(!mothership) {
+        if(this.mothershipTimer === null) {
+            return;
+        }
+        this.mothershipTimer -= dt;
+        if(this.mothershipTimer <= 0) {
+            //  Like the arcade, the direction depends on the shot count.
+            var fromLeft = this.shotsFired % 2 === 0;
+            mothership = new Mothership(0, this.bounds.top - 20,
+                fromLeft ? this.config.mothershipVelocity : -this.config.mothershipVelocity);
+            mothership.x = fromLeft ? this.bounds.left - mothership.width : this.bounds.right + mothership.width;
+            this.mothership = mothership;
+            this.mothershipTimer = null;
+            this.events.push({type: 'mothershipAppeared', mothership: mothership});
+        }
+        return;
+    }
+
+    mothership.x += mothership.velocity * dt;
+    mothership.animation.update(dt);
+
+    //  Has it been shot?
+    for(var i=0; i<this.rockets.length; i++) {
+        var rocket = this.rockets[i];
+        if(sweepEntityPath(rocket, mothership) !== -1) {
+            this.rockets.splice(i, 1);
+
+            //  The score depends on how many shots have been fired.
+            var table = this.config.mothershipPoints;
+            var points = table[(this.shotsFired - 1) % table.length];
+            this.awardPoints(points, rocket.player);
+            this.explosions.push(new Explosion(mothership.x, mothership.y, 'invader'));
+            this.events.push({type: 'mothershipKilled', mothership: mothership, points: points, player: rocket.player});
+            this.mothership = null;
+            this.resetMothershipTimer();
+            return;
+        }
+    }
+
+    //  Has it got away?
+    if(mothership.x < this.bounds.left - mothership.width * 2 || mothership.x > this.bounds.right + mothership.width * 2) {
+        this.events.push({type: 'mothershipEscaped', mothership: mothership});
+        this.mothership = null;
+        this.resetMothershipTimer();
+    }
+};
+
+//  Gives a killed invader a chance to drop a power up.
+InvadersSimulation.prototype.maybeDropPowerUp = function(invader) {
+    if(!this.config.powerUpChance || this.rules.powerUps === false || this.rng.next() >= this.config.powerUpChance) {
+        return;
+    }
+
+    //  Pick the type, weighted by how common each one is.
+    var name, total = 0;
+    for(name in PowerUpTypes) {
+        total += PowerUpTypes[name].weight;
+    }
+    var pick = this.rng.next() * total;
+    for(name in PowerUpTypes) {
+        pick -= PowerUpTypes[name].weight;
+        if(pick < 0) {
+            break;
+        }
+    }
+    var powerUp = new PowerUp(invader.x, invader.y, name, this.config.powerUpVelocity);
+    this.powerUps.push(powerUp);
+    this.events.push({type: 'powerUpDropped', powerUp: powerUp});
+};
+
+//  Moves the falling power ups, gives the ships any they catch, and
+//  counts down the ones they have. The ships share their power ups.
+InvadersSimulation.prototype.updatePowerUps = function(dt) {
+    for(var i=0; i<this.powerUps.length; i++) {
+        var powerUp = this.powerUps[i];
+        powerUp.y += dt * powerUp.velocity;
+        var catcher = -1;
+        for(var s=0; s<this.ships.length; s++) {
+            var ship = this.ships[s];
+            if(ship.alive && entitiesOverlap(powerUp, ship)) {
+                catcher = s;
+                break;
+            }
+        }
+        if(catcher !== -1) {
+            this.powerUps.splice(i--, 1);
+            this.collectPowerUp(powerUp.type, catcher);
+        } else if(powerUp.y > this.height) {
+            this.powerUps.splice(i--, 1);
+        }
+    }
+
+    for(var name in this.activePowerUps) {
+        this.activePowerUps[name] -= dt;
+        if(this.activePowerUps[name] <= 0) {
+            this.expirePowerUp(name);
+        }
+    }
+};
+
+//  Gives the ships a power up, caught by ship 'index' (the first
+//  ship if it isn't given). Collecting one they already have starts
+//  its time again.
+InvadersSimulation.prototype.collectPowerUp = function(name, index) {
+    var type = PowerUpTypes[name];
+    index = index || 0;
+    if(type.collect) {
+        type.collect(this, this.players[index]);
+    }
+    if(type.duration !== 0) {
+        this.activePowerUps[name] = type.duration === null ? Infinity : type.duration;
+    }
+    this.events.push({type: 'powerUpCollected', powerUp: name, ship: index});
+};
+
+//  Returns true if the ship has the power up.
+InvadersSimulation.prototype.hasPowerUp = function(name) {
+    return this.activePowerUps.hasOwnProperty(name);
+};
+
+//  Takes a power up away from the ship.
+InvadersSimulation.prototype.expirePowerUp = function(name) {
+    if(this.hasPowerUp(name)) {
+        delete this.activePowerUps[name];
+        this.events.push({type: 'powerUpExpired', powerUp: name});
+    }
+};
+
+//  Takes away all power ups, including the ones still falling. This
+//  is done when the level ends, so none carry on to the next one.
+InvadersSimulation.prototype.expirePowerUps = function() {
+    for(var name in this.activePowerUps) {
+        this.expirePowerUp(name);
+    }
+    this.powerUps = [];
+};
+
+//  Checks for rockets and bombs hitting a shield. They hit the first
+//  solid cell along the way they went this step.
+InvadersSimulation.prototype.checkShieldHits = function(shield) {
+    var box = entityBox(shield);
+    var shots = [{list: this.rockets, by: 'rocket', radius: 1}, {list: this.bombs, by: 'bomb', radius: 2}];
+    for(var k=0; k<shots.length; k++) {
+        var list = shots[k].list;
+        for(var i=0; i<list.length; i++) {
+            var shot = list[i];
+            var x0 = shot.previousX !== undefined ? shot.previousX : shot.x;
+            var y0 = shot.previousY !== undefined ? shot.previousY : shot.y;
+            if(!boxesOverlap(pathBox(x0, y0, shot.x, shot.y), box) && !shield.isSolidAt(shot.x, shot.y)) {
+                continue;
+            }
+            var hit = shield.solidAlong(x0, y0, shot.x, shot.y);
+            if(hit) {
+                shield.damage(hit.x, hit.y, shots[k].radius);
+                list.splice(i--, 1);
+                this.events.push({type: 'shieldHit', shield: shield, by: shots[k].by, x: hit.x, y: hit.y});
+            }
+        }
+    }
+};
+
+//  Moves the play area to 'bounds', in a space 'width' by 'height',
+//  taking everything in it along.
+InvadersSimulation.prototype.resize = function(width, height, bounds) {
+    var entities = this.ships.concat(this.invaders, this.rockets, this.bombs, this.explosions,
+        this.powerUps, this.shields);
+    if(this.mothership) {
+        entities.push(this.mothership);
+    }
+    moveEntities(entities, bounds.left - this.bounds.left, bounds.top - this.bounds.top);
+    this.bounds = bounds;
+    this.width = width;
+    this.height = height;
+};
+
+//  Keeps where everything that moves is before a step, as
+//  'previousX' and 'previousY', so it can be drawn part way between
+//  steps.
+InvadersSimulation.prototype.rememberPositions = function() {
+    var entities = this.ships.concat(this.invaders, this.rockets, this.bombs, this.powerUps);
+    if(this.mothership) {
+        entities.push(this.mothership);
+    }
+    for(var i=0; i<entities.length; i++) {
+        entities[i].previousX = entities[i].x;
+        entities[i].previousY = entities[i].y;
+    }
+};
+
+//  Moves every entity's animation on by 'dt' seconds.
+InvadersSimulation.prototype.animate = function(dt) {
+    for(var i=0; i<this.ships.length; i++) {
+        this.ships[i].animation.update(dt);
+    }
+    for(i=0; i<this.invaders.length; i++) {
+        this.invaders[i].animation.update(dt);
+    }
+    for(i=0; i<this.bombs.length; i++) {
+        this.bombs[i].animation.update(dt);
+    }
+    for(i=0; i<this.explosions.length; i++) {
+        var explosion = this.explosions[i];
+        explosion.animation.update(dt);
+        explosion.time += dt;
+        if(explosion.time >= explosion.lifetime) {
+            this.explosions.splice(i--, 1);
+        }
+    }
+};
+
+//  Fires a rocket from ship 'index' (the first ship if it isn't
+//  given), if the fire rate allows it. Returns true if a rocket was
+//  fired.
+InvadersSimulation.prototype.fireRocket = function(index) {
+    index = index || 0;
+    var ship = this.ships[index];
+    if(this.canFire(index))
+    {
+        //  Add a rocket, or three with the spread power up.
+        this.rockets.push(new Rocket(ship.x, ship.y - 12, this.config.rocketVelocity, 0, index));
+        if(this.hasPowerUp('spread')) {
+            this.rockets.push(new Rocket(ship.x, ship.y - 12, this.config.rocketVelocity, -this.config.spreadVelocity, index));
+            this.rockets.push(new Rocket(ship.x, ship.y - 12, this.config.rocketVelocity, this.config.spreadVelocity, index));
+        }
+        ship.lastRocketTime = this.clock.now();
+        this.shotsFired++;
+        this.events.push({type: 'rocketFired', ship: index});
+        return true;
+    }
+    return false;
+};
+
+//  Returns true if ship 'index' (the first ship if it isn't given)
+//  can fire a rocket now: it's in, it hasn't got as many rockets in
+//  flight as the config's 'maxRockets' (0 for no limit), and its last
+//  rocket is older than the fire rate allows.
+InvadersSimulation.prototype.canFire = function(index) {
+    index = index || 0;
+    var ship = this.ships[index];
+    if(!ship.alive) {
+        return false;
+    }
+    if(this.config.maxRockets) {
+        var inFlight = 0;
+        for(var i=0; i<this.rockets.length; i++) {
+            if(this.rockets[i].player === index) {
+                inFlight++;
+            }
+        }
+        if(inFlight >= this.config.maxRockets) {
+            return false;
+        }
+    }
+    var fireRate = this.rocketMaxFireRate * (this.hasPowerUp('rapid') ? this.config.rapidFireMultiplier : 1) /
+        this.difficultyFactor();
+    return ship.lastRocketTime === null || (this.clock.now() - ship.lastRocketTime) > (1000 / fireRate);
+};
+
+//  Adds a rank of invaders behind the formation, one for each file
+//  that has any invaders left. Returns the number added.
+InvadersSimulation.prototype.addInvaderRank = function() {
+    var top = Infinity, rank = Infinity, files = {};
+    for(var i=0; i<this.invaders.length; i++) {
+        var invader = this.invaders[i];
+        top = Math.min(top, invader.y);
+        rank = Math.min(rank, invader.rank);
+        files[invader.file] = invader;
+    }
+    var added = 0;
+    for(var file in files) {
+        this.invaders.push(new Invader(files[file].x, top - 20, rank - 1, files[file].file, 'octopus'));
+        added++;
+    }
+    this.invaderCount += added;
+    if(added > 0) {
+        this.events.push({type: 'invadersAdded', count: added});
+    }
+    return added;
+};
+
+//  Makes the bombs dropped in the next 'duration' seconds fall
+//  'multiplier' times faster.
+InvadersSimulation.prototype.boostBombs = function(multiplier, duration) {
+    this.bombBoost = {multiplier: multiplier, time: duration};
+    this.events.push({type: 'bombsBoosted', multiplier: multiplier, duration: duration});
+};
+
+//  The simulation's fields that are things it was given (or, for
+//  'ship', the first of its ships, and 'grid', which is filled again
+//  each step) rather than its own state, so they aren't saved.
+var SIMULATION_REFERENCES = ['config', 'players', 'player', 'rng', 'clock', 'ownsClock', 'adaptive', 'ship', 'events',
+    'grid'];
+
+//  The class of the entities in each of the simulation's lists, and
+//  of the mothership.
+var SIMULATION_ENTITIES = {
+    ships: Ship,
+    invaders: Invader,
+    rockets: Rocket,
+    bombs: Bomb,
+    explosions: Explosion,
+    powerUps: PowerUp,
+    shields: Shield,
+    mothership: Mothership
+};
+
+//  Returns the whole state of the simulation as plain data that can
+//  be saved as JSON, and given to 'InvadersSimulation.restore' to
+//  carry on later. Unlike a snapshot, nothing is left out.
+InvadersSimulation.prototype.serialise = function() {
+    var data = {};
+    for(var name in this) {
+        if(this.hasOwnProperty(name) && SIMULATION_REFERENCES.indexOf(name) === -1) {
+            data[name] = this[name];
+        }
+    }
+
+    //  JSON can't hold Infinity, which is how long power ups that
+    //  last until they're used have left, so they're saved as null.
+    data = JSON.parse(JSON.stringify(data));
+    for(var powerUp in this.activePowerUps) {
+        data.activePowerUps[powerUp] = this.activePowerUps[powerUp] === Infinity ? null : this.activePowerUps[powerUp];
+    }
+    return data;
+};
+
+//  Creates a simulation from the data 'serialise' returned, with the
+//  same config and options (other than the level, which is saved) as
+//  it was created with. The things in it are moved from where the
+//  play area was to where it is now.
+InvadersSimulation.restore = function(config, data, options) {
+    var sim = Object.create(InvadersSimulation.prototype);
+    for(var name in data) {
+        var Type = SIMULATION_ENTITIES[name];
+        if(!Type || data[name] === null) {
+            sim[name] = data[name];
+        } else if(Array.isArray(data[name])) {
+            sim[name] = data[name].map(function(entity) { return restoreEntity(Type, entity); });
+        } else {
+            sim[name] = restoreEntity(Type, data[name]);
+        }
+    }
+    for(var powerUp in sim.activePowerUps) {
+        if(sim.activePowerUps[powerUp] === null) {
+            sim.activePowerUps[powerUp] = Infinity;
+        }
+    }
+
+    //  Hook it up to what it was given, as the constructor does.
+    sim.config = config;
+    sim.players = options.players || [options.player || {lives: 3, score: 0}];
+    sim.player = sim.players[0];
+    sim.ship = sim.ships[0];
+    sim.rng = options.rng || new Random(1);
+    sim.clock = options.clock || new SimulationClock();
+    sim.ownsClock = !options.clock;
+    sim.adaptive = options.adaptive || null;
+    sim.events = [];
+    sim.grid = new CollisionGrid(32);
+
+    sim.resize(options.width || sim.width, options.height || sim.height, options.bounds || sim.bounds);
+    return sim;
+};
+
+//  Creates an entity of class 'Type' from its saved data, without
+//  calling the constructor (which would set it up from scratch).
+function restoreEntity(Type, data) {
+    var entity = Object.create(Type.prototype);
+    for(var name in data) {
+        entity[name] = data[name];
+    }
+    if(data.animation) {
+        entity.animation = Object.create(Animation.prototype);
+        for(name in data.animation) {
+            entity.animation[name] = data.animation[name];
+        }
+    }
+    return entity;
+}
+
+//  Returns what's in the play area as plain data that can be sent as
+//  JSON, like to another player watching the game. Positions are
+//  relative to the top left of the bounds, and entities with a size
+//  keep it.
+InvadersSimulation.prototype.snapshot = function() {
+    var left = this.bounds.left, top = this.bounds.top;
+    function position(entity) {
+        var at = {x: Math.round(entity.x - left), y: Math.round(entity.y - top)};
+        if(entity.width !== undefined) {
+            at.width = entity.width;
+            at.height = entity.height;
+        }
+        return at;
+    }
+    return {
+        width: this.bounds.right - left,
+        height: this.bounds.bottom - top,
+        level: this.level,
+        score: this.player.score,
+        lives: this.player.lives,
+        ships: this.ships.map(function(ship) {
+            var at = position(ship);
+            at.alive = ship.alive;
+            return at;
+        }),
+        invaders: this.invaders.map(function(invader) {
+            var at = position(invader);
+            at.type = invader.type;
+            at.frame = invader.animation.frame;
+            return at;
+        }),
+        rockets: this.rockets.map(position),
+        bombs: this.bombs.map(position),
+        mothership: this.mothership ? position(this.mothership) : null,
+        shields: this.shields.map(function(shield) {
+            var at = position(shield);
+            at.columns = shield.columns;
+            at.cellSize = shield.cellSize;
+            at.cells = shield.cells.map(function(cell) { return cell ? '#' : '.'; }).join('');
+            return at;
+        })
+    };
+};
+
+//  Returns the events raised since the last call, and clears them.
+InvadersSimulation.prototype.takeEvents = function() {
+    var events = this.events;
+    this.events = [];
+    if(this.adaptive) {
+        this.adaptive.observe(events);
+    }
+    return events;
+};
+
+//  Returns how much harder (above 1) or easier (below 1) the
+//  adaptive difficulty is making the level, or 1 if it isn't.
+InvadersSimulation.prototype.difficultyFactor = function() {
+    return this.adaptive ? this.adaptive.factor : 1;
+};
+
+/*
+    Animation
+
+    Which frame of its animation an entity is on. The simulation only
+    moves the frames on, what each frame looks like is up to whatever
+    draws the entity.
+*/
+function Animation(frameCount, frameTime) {
+    this.frameCount = frameCount;
+    this.frameTime = frameTime;
+    this.frame = 0;
+    this.time = 0;
+}
+
+Animation.prototype.update = function(dt) {
+    this.time += dt;
+    while(this.time >= this.frameTime) {
+        this.time -= this.frameTime;
+        this.frame = (this.frame + 1) % this.frameCount;
+    }
+};
+
+/*
+
+  Ship
+
+  The ship has a position and an animation, and that's about it. It
+  also remembers when it last fired, and it isn't 'alive' once its
+  player has run out of lives. After it's hit, it can't be hit by
+  bombs again for a moment.
+
+*/
+function Ship(x, y) {
+    this.x = x;
+    this.y = y;
+    this.width = 20;
+    this.height = 16;
+    this.alive = true;
+    this.lastRocketTime = null;
+
+    //  Seconds left that bombs go straight through it, after it's hit.
+    this.invulnerable = 0;
+    this.animation = new Animation(1, 1);
+}
+
+/*
+    Rocket
+
+    Fired by the ship, they've got a position, velocity and state.
+    Rockets from a spread shot also move sideways, at 'velocityX'.
+    'player' is the index of the player who fired it, who gets the
+    points for whatever it hits.
+
+    */
+function Rocket(x, y, velocity, velocityX, player) {
+    this.x = x;
+    this.y = y;
+    this.velocity = velocity;
+    this.velocityX = velocityX || 0;
+    this.player = player || 0;
+}
+
+/*
+    Bomb
+
+    Dropped by invaders, they've got position, velocity.
+
+*/
+function Bomb(x, y, velocity) {
+    this.x = x;
+    this.y = y;
+    this.velocity = velocity;
+    this.animation = new Animation(2, 0.1);
+}
+
+/*
+    Invader
+
+    Invader's have position, type, rank/file and an animation. They
+    all march to the same two frame animation. The type is a key of
+    InvaderTypes, or 'Invader' for the invaders of endless levels.
+*/
+
+function Invader(x, y, rank, file, type) {
+    this.x = x;
+    this.y = y;
+    this.rank = rank;
+    this.file = file;
+    this.type = type;
+    this.width = 18;
+    this.height = 14;
+    this.animation = new Animation(2, 0.5);
+}
+
+/*
+    Power Up Types
+
+    Every kind of power up. The duration is in seconds, 0 for ones
+    that just do something when collected, and null for ones that
+    last until they're used. The weight is how likely a drop is to
+    be this type, and 'collect' (if there is one) is called with the
+    simulation and the player whose ship catches it.
+*/
+var PowerUpTypes = {
+    spread: {label: 'Spread', duration: 10, weight: 3},
+    rapid: {label: 'Rapid Fire', duration: 10, weight: 3},
+    shield: {label: 'Shield', duration: null, weight: 2},
+    life: {label: 'Extra Life', duration: 0, weight: 1, collect: function(sim, player) {
+        player.lives++;
+    }}
+};
+
+/*
+    Power Up
+
+    Dropped by an invader, it falls until the ship catches it or it
+    goes off the screen. The type is a key of PowerUpTypes.
+*/
+function PowerUp(x, y, type, velocity) {
+    this.x = x;
+    this.y = y;
+    this.type = type;
+    this.velocity = velocity;
+    this.width = 12;
+    this.height = 12;
+}
+
+/*
+    Mothership
+
+    The mystery ship that flies across the top now and then, worth
+    bonus points. The velocity is negative when it flies to the left.
+*/
+function Mothership(x, y, velocity) {
+    this.x = x;
+    this.y = y;
+    this.velocity = velocity;
+    this.width = 26;
+    this.height = 12;
+    this.animation = new Animation(2, 0.15);
+}
+
+/*
+    Shield
+
+    A bunker between the ship and the invaders. It's a grid of cells
+    built from 'shape' (a list of strings, with '#' for a solid cell),
+    centred on x, y. Rockets, bombs and invaders knock cells out of it.
+*/
+function Shield(x, y, shape, cellSize) {
+    this.x = x;
+    this.y = y;
+    this.cellSize = cellSize;
+    this.rows = shape.length;
+    this.columns = shape[0].length;
+    this.width = this.columns * cellSize;
+    this.height = this.rows * cellSize;
+    this.cells = [];
+    for(var row = 0; row < this.rows; row++) {
+        for(var column = 0; column < this.columns; column++) {
+            this.cells.push(shape[row].charAt(column) === '#');
+        }
+    }
+}
+
+//  Returns the index of the cell at x, y, or -1 if it's outside the shield.
+Shield.prototype.cellAt = function(x, y) {
+    var column = Math.floor((x - (this.x - this.width / 2)) / this.cellSize);
+    var row = Math.floor((y - (this.y - this.height / 2)) / this.cellSize);
+    if(column < 0 || row < 0 || column >= this.columns || row >= this.rows) {
+        return -1;
+    }
+    return row * this.columns + column;
+};
+
+//  Returns true if there's a solid cell at x, y.
+Shield.prototype.isSolidAt = function(x, y) {
+    var cell = this.cellAt(x, y);
+    return cell >= 0 && this.cells[cell];
+};
+
+//  Returns the first point with a solid cell on the line from x0, y0
+//  to x1, y1, or null if there isn't one. The line is checked every
+//  half a cell, so it can't skip over one.
+Shield.prototype.solidAlong = function(x0, y0, x1, y1) {
+    var length = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0));
+    var samples = Math.ceil(length / (this.cellSize / 2));
+    for(var i=0; i<=samples; i++) {
+        var along = samples === 0 ? 1 : i / samples;
+        var x = x0 + (x1 - x0) * along;
+        var y = y0 + (y1 - y0) * along;
+        if(this.isSolidAt(x, y)) {
+            return {x: x, y: y};
+        }
+    }
+    return null;
+};
+
+//  Knocks out the cells within 'radius' cells of x, y, in a diamond.
+Shield.prototype.damage = function(x, y, radius) {
+    var cell = this.cellAt(x, y);
+    if(cell < 0) {
+        return;
+    }
+    var row = Math.floor(cell / this.columns);
+    var column = cell % this.columns;
+    for(var r = row - radius; r <= row + radius; r++) {
+        for(var c = column - radius; c <= column + radius; c++) {
+            if(r >= 0 && c >= 0 && r < this.rows && c < this.columns &&
+                Math.abs(r - row) + Math.abs(c - column) <= radius) {
+                this.cells[r * this.columns + c] = false;
+            }
+        }
+    }
+};
+
+//  Knocks out every cell overlapping a rectangle.
+Shield.prototype.clearRect = function(left, top, right, bottom) {
+    var shieldLeft = this.x - this.width / 2;
+    var shieldTop = this.y - this.height / 2;
+    if(right < shieldLeft || left > shieldLeft + this.width || bottom < shieldTop || top > shieldTop + this.height) {
+        return;
+    }
+    var firstColumn = Math.max(0, Math.floor((left - shieldLeft) / this.cellSize));
+    var lastColumn = Math.min(this.columns - 1, Math.floor((right - shieldLeft) / this.cellSize));
+    var firstRow = Math.max(0, Math.floor((top - shieldTop) / this.cellSize));
+    var lastRow = Math.min(this.rows - 1, Math.floor((bottom - shieldTop) / this.cellSize));
+    for(var r = firstRow; r <= lastRow; r++) {
+        for(var c = firstColumn; c <= lastColumn; c++) {
+            this.cells[r * this.columns + c] = false;
+        }
+    }
+};
+
+/*
+    Invader Types
+
+    The kinds of invader a level formation can use. The symbol is
+    the character for the type in a formation, and the points are a
+    multiple of the config's 'pointsPerInvader'.
+*/
+var InvaderTypes = {
+    squid: {symbol: 'S', points: 3},
+    crab: {symbol: 'C', points: 2},
+    octopus: {symbol: 'O', points: 1}
+};
+
+//  Returns the invader type for a formation symbol, or null for a gap.
+function invaderTypeForSymbol(symbol) {
+    for(var name in InvaderTypes) {
+        if(InvaderTypes[name].symbol === symbol) {
+            return name;
+        }
+    }
+    return null;
+}
+
+//  Returns the points multiple for an invader type. Unknown types get 1.
+function invaderTypePoints(type) {
+    return InvaderTypes.hasOwnProperty(type) ? InvaderTypes[type].points : 1;
+}
+
+/*
+    Level Set
+
+    A campaign of levels described as data, like this:
+
+        {
+            "name": "Campaign",
+            "levels": [{
+                "name": "First Contact",
+                "formation": ["SSSSSSSS", "CCCCCCCC", "OO....OO"],
+                "invaderInitialVelocity": 25,
+                "bombRate": 0.05,
+                "rules": {"shields": false}
+            }]
+        }
+
+    Each character in the formation is an invader's symbol (from
+    InvaderTypes) or '.' for a gap. 'spacingX' and 'spacingY' set the
+    distance between invaders. Any parameter a level leaves out is
+    worked out from the level number, as it is for the endless levels
+    after the last one. The rules can turn off the 'shields',
+    'mothership' or 'powerUps' for a level.
+
+    The constructor throws an Error describing the problem if the
+    data isn't a valid level set.
+*/
+function LevelSet(data) {
+    if(!data || !Array.isArray(data.levels)) {
+        throw new Error("A level set needs a list of 'levels'.");
+    }
+    for(var i=0; i<data.levels.length; i++) {
+        LevelSet.validateLevel(data.levels[i], i + 1);
+    }
+    this.data = data;
+    this.name = data.name || "";
+    this.levels = data.levels;
+}
+
+//  The parameters a level can set.
+LevelSet.parameters = ['shipSpeed', 'invaderInitialVelocity', 'invaderAcceleration', 'invaderDropDistance',
+    'bombRate', 'bombMinVelocity', 'bombMaxVelocity', 'rocketMaxFireRate'];
+
+//  Throws an Error if 'level' isn't a valid level definition.
+LevelSet.validateLevel = function(level, number) {
+    var prefix = "Level " + number + ": ";
+    if(!level || !Array.isArray(level.formation) || level.formation.length === 0) {
+        throw new Error(prefix + "it needs a formation, a list of rows.");
+    }
+    var width = level.formation[0].length;
+    var invaders = 0;
+    for(var row=0; row<level.formation.length; row++) {
+        var line = level.formation[row];
+        if(typeof line !== 'string' || line.length !== width || width === 0) {
+            throw new Error(prefix + "every row of the formation must be the same length.");
+        }
+        for(var c=0; c<line.length; c++) {
+            if(line.charAt(c) !== '.' && !invaderTypeForSymbol(line.charAt(c))) {
+                throw new Error(prefix + "'" + line.charAt(c) + "' isn't an invader type.");
+            }
+            if(line.charAt(c) !== '.') {
+                invaders++;
+            }
+        }
+    }
+    if(invaders === 0) {
+        throw new Error(prefix + "the formation has no invaders.");
+    }
+    var numbers = LevelSet.parameters.concat(['spacingX', 'spacingY']);
+    for(var i=0; i<numbers.length; i++) {
+        var value = level[numbers[i]];
+        if(value !== undefined && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+            throw new Error(prefix + "'" + numbers[i] + "' must be a number that isn't negative.");
+        }
+    }
+};
+
+//  Returns the definition for a level number (starting at 1), or null
+//  if it's past the end of the set.
+LevelSet.prototype.get = function(level) {
+    return this.levels[level - 1] || null;
+};
+
+/*
+    Explosion
+
+    Left behind when an invader or the ship is hit. The type is
+    'invader' or 'ship', and it disappears after its lifetime (in
+    seconds).
+*/
+function Explosion(x, y, type) {
+    this.x = x;
+    this.y = y;
+    this.type = type;
+    this.time = 0;
+    if(type === 'ship') {
+        this.width = 24;
+        this.height = 16;
+        this.lifetime = 1;
+        this.animation = new Animation(2, 0.1);
+    } else {
+        this.width = 20;
+        this.height = 14;
+        this.lifetime = 0.3;
+        this.animation = new Animation(1, 1);
+    }
+}
+
+//  Moves entities (anything with an x and y) by dx, dy, along with
+//  where they were before the last step.
+function moveEntities(entities, dx, dy) {
+    for(var i=0; i<entities.length; i++) {
+        var entity = entities[i];
+        entity.x += dx;
+        entity.y += dy;
+        if(entity.previousX !== undefined) {
+            entity.previousX += dx;
+            entity.previousY += dy;
+        }
+    }
+}
+
+//  In node, export the simulation so it can be loaded without a browser.
+if(typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Random: Random,
+        SimulationClock: SimulationClock,
+        DEFAULT_CONFIG: DEFAULT_CONFIG,
+        DIFFICULTIES: DIFFICULTIES,
+        difficultyPreset: difficultyPreset,
+        difficultyConfig: difficultyConfig,
+        AdaptiveDifficulty: AdaptiveDifficulty,
+        InvadersSimulation: InvadersSimulation,
+        Ship: Ship,
+        Rocket: Rocket,
+        Bomb: Bomb,
+        Invader: Invader,
+        Explosion: Explosion,
+        Shield: Shield,
+        Mothership: Mothership,
+        PowerUpTypes: PowerUpTypes,
+        PowerUp: PowerUp,
+        InvaderTypes: InvaderTypes,
+        invaderTypeForSymbol: invaderTypeForSymbol,
+        moveEntities: moveEntities,
+        restoreEntity: restoreEntity,
+        LevelSet: LevelSet,
+        Animation: Animation
+    };
+}
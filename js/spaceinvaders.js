@@ -1,7 +1,12 @@
 /*
   spaceinvaders.js
 
-  the core logic for the space invaders game.
+  the browser side of the space invaders game: the game loop, states
+  and drawing. the game logic itself is in spaceinvaders-core.js, the
+  controls are mapped by input.js, the sounds are made by sounds.js
+  and the stats are kept by stats.js. the autopilot that plays the
+  demo is in autopilot.js. they must all be loaded first. the online versus mode is in
+  versus.js, which is loaded after.
 
 */
 
@@ -15,115 +20,429 @@
     Call 'initialise' before 'start' to set the canvas the game
     will draw to.
 
-    Call 'moveShip' or 'shipFire' to control the ship.
+    Call 'moveShip' or 'shipFire' to control the ship, and 'pause'
+    or 'resume' to pause the game.
 
-    Listen for 'gameWon' or 'gameLost' events to handle the game ending.
+    A game is played by one player, or two, either at the same time
+    ('coop') or taking turns ('alternate'), or against another player
+    online ('versus'). Set 'mode' to one of those or 'single' before
+    calling 'newGame'.
+
+    Call 'on' to listen for events (see GAME_EVENTS), like 'gameWon'
+    or 'gameLost' to handle the game ending.
+
+    Set 'autopilot' to an Autopilot to have the computer play the
+    first ship.
+
+    To put a game on a page, 'createSpaceInvaders' does all of this
+    and listens to the keyboard and touches too.
 */
 
-//  Constants for the keyboard.
-var KEY_LEFT = 37;
-var KEY_RIGHT = 39;
-var KEY_SPACE = 32;
+//  The events a game sends to its listeners (see 'Game.on'), and
+//  what each is given:
+//
+//  levelStart      a level starts: {level, player}
+//  levelComplete   a level is cleared: {level, player, score}
+//  scoreChange     a player's score changes: {player, score}
+//  lifeLost        a player's ship is hit: {player, lives, cause},
+//                  where 'cause' is 'bomb' or 'invader', or 'landed'
+//                  when the invaders get to the bottom (which takes
+//                  all the player's lives).
+//  gameOver        the game ends: {won, mode, difficulty, players},
+//                  where 'won' is true if a versus game was won,
+//                  false if it was lost or (playing against the
+//                  invaders) every player is out, and null if the
+//                  connection to a versus game was lost. 'players'
+//                  has each player's number, score and level.
+//  gameWon, gameLost
+//                  sent along with 'gameOver' when the game was won
+//                  or lost, with the same details. Only versus games
+//                  can be won.
+//  muteChange      the game is muted or unmuted: {mute}
+//
+//  Players are given by their number, from 1.
+var GAME_EVENTS = ['levelStart', 'levelComplete', 'scoreChange', 'lifeLost', 'gameOver', 'gameWon', 'gameLost',
+    'muteChange'];
+
+//  The controls, before the player changes them. Each action can be
+//  bound to keys, gamepad buttons and sticks, and touch (see input.js).
+var DEFAULT_CONTROLS = {
+    left: ['key:ArrowLeft', 'button:14', 'axis:0-', 'touch:left'],
+    right: ['key:ArrowRight', 'button:15', 'axis:0+', 'touch:right'],
+    up: ['key:ArrowUp', 'button:12', 'axis:1-'],
+    down: ['key:ArrowDown', 'button:13', 'axis:1+'],
+    fire: ['key:Space', 'button:0', 'touch:fire'],
+    left2: ['key:KeyA'],
+    right2: ['key:KeyD'],
+    fire2: ['key:KeyW'],
+    pause: ['key:KeyP', 'button:9'],
+    mute: ['key:KeyM', 'button:8'],
+    fullscreen: ['key:KeyF']
+};
+
+//  The version of the replay format. Replays from other versions
+//  can't be played back.
+var REPLAY_VERSION = 6;
+
+//  The version of the saved game format. Bump it whenever what the
+//  simulation or the states keep changes, so games saved before
+//  aren't continued with the wrong state.
+var SAVE_VERSION = 2;
+
+//  The ways the game can be played, in the order the welcome screen
+//  offers them.
+var GAME_MODES = [
+    {mode: 'single', label: "1 Player", players: 1},
+    {mode: 'coop', label: "2 Players, Together", players: 2},
+    {mode: 'alternate', label: "2 Players, Taking Turns", players: 2},
+    {mode: 'versus', label: "Online Versus", players: 1}
+];
+
+//  Returns the mode in GAME_MODES with the given name.
+function gameMode(mode) {
+    for(var i=0; i<GAME_MODES.length; i++) {
+        if(GAME_MODES[i].mode === mode) {
+            return GAME_MODES[i];
+        }
+    }
+    throw new Error("There's no '" + mode + "' game mode.");
+}
+
+//  Where each sprite is in assets/sprites/spaceinvaders.png.
+var SPRITE_FRAMES = {
+    squid: [{x: 0, y: 0, w: 8, h: 8}, {x: 16, y: 0, w: 8, h: 8}],
+    crab: [{x: 32, y: 0, w: 11, h: 8}, {x: 48, y: 0, w: 11, h: 8}],
+    octopus: [{x: 64, y: 0, w: 12, h: 8}, {x: 80, y: 0, w: 12, h: 8}],
+    ship: [{x: 96, y: 0, w: 13, h: 8}],
+    invaderExplosion: [{x: 112, y: 0, w: 13, h: 8}],
+    shipExplosion: [{x: 0, y: 8, w: 16, h: 8}, {x: 16, y: 8, w: 16, h: 8}],
+    bomb: [{x: 32, y: 8, w: 3, h: 7}, {x: 48, y: 8, w: 3, h: 7}],
+    rocket: [{x: 64, y: 8, w: 1, h: 4}],
+    mothership: [{x: 80, y: 8, w: 16, h: 7}, {x: 96, y: 8, w: 16, h: 7}]
+};
+
+//  The invader art for each rank of an endless level, front ranks
+//  last. Ranks past the end use the last one. Invaders from a level
+//  formation use the art for their type instead.
+var INVADER_SPRITES = ['squid', 'crab', 'crab', 'octopus'];
+
+//  The colour of each player's ship and scores.
+var PLAYER_COLOURS = ['#999999', '#6699ff'];
+
+//  The colour of each type of power up.
+var POWER_UP_COLOURS = {
+    spread: '#ffff33',
+    rapid: '#33ccff',
+    shield: '#33ff33',
+    life: '#ff66ff'
+};
 
 //  Creates an instance of the Game class.
 function Game() {
 
-    //  Set the initial config.
-    this.config = {
-        bombRate: 0.05,
-        bombMinVelocity: 50,
-        bombMaxVelocity: 50,
-        invaderInitialVelocity: 25,
-        invaderAcceleration: 0,
-        invaderDropDistance: 20,
-        rocketVelocity: 120,
-        rocketMaxFireRate: 2,
-        gameWidth: 400,
-        gameHeight: 300,
-        fps: 50,
-        debugMode: false,
-        invaderRanks: 5,
-        invaderFiles: 10,
-        shipSpeed: 120,
-        levelDifficultyMultiplier: 0.2,
-        pointsPerInvader: 5,
-        limitLevelIncrease: 25
-    };
+    //  Set the initial config, which can be changed before the game
+    //  starts.
+    this.config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
 
     //  All state is in the variables below.
-    this.lives = 3;
     this.width = 0;
     this.height = 0;
     this.gameBounds = {left: 0, top: 0, right: 0, bottom: 0};
-    this.intervalId = 0;
-    this.score = 0;
-    this.level = 1;
+    this.loop = null;
+    this.loopEntry = null;
+
+    //  How the game is played (a mode from GAME_MODES), the players,
+    //  and the index of the one whose turn it is. Only the
+    //  'alternate' mode takes turns, otherwise it's always 0.
+    this.mode = 'single';
+    this.players = [new Player(1)];
+    this.turn = 0;
+
+    //  The difficulty (from DIFFICULTIES) and the config levels are
+    //  played with, which is 'config' with the difficulty's changes.
+    //  It's worked out for each new game.
+    this.difficulty = 'normal';
+    this.playConfig = this.config;
 
     //  The state stack.
     this.stateStack = [];
 
-    //  Input/output
-    this.pressedKeys = {};
+    //  The campaign of levels, once it's loaded. Levels past the end
+    //  of it (or all levels, if it doesn't load) are endless levels.
+    this.levels = null;
+
+    //  Input/output. 'actions' has the actions (like 'left' or 'fire')
+    //  that are held down, 'heldInputs' the inputs holding them down.
+    this.controls = new InputMap('spaceinvaders.controls', DEFAULT_CONTROLS);
+    this.actions = {};
+    this.heldInputs = {};
+    this.gamepadInputs = [];
     this.gamecanvas =  null;
 
-    //  All sounds.
+    //  All sounds, and the sprite sheet.
     this.sounds = null;
+    this.sprites = null;
+
+    //  The random number generator and clock the simulation uses.
+    //  Each new game gets a fresh seed.
+    this.seed = 0;
+    this.rng = new Random(this.seed);
+    this.clock = new SimulationClock();
+
+    //  The functions listening for each event (see GAME_EVENTS), and
+    //  the scores they were last told about, by player.
+    this.eventListeners = {};
+    this.reportedScores = [];
+
+    //  The number of frames the game has been updated for, the
+    //  recorder for the game in progress, and the replay of the last
+    //  game played.
+    this.frame = 0;
+    this.recorder = null;
+    this.lastReplay = null;
+
+    //  The high score table, and how long the current game has been
+    //  played for (in seconds).
+    this.highScores = null;
+    this.playTime = 0;
+
+    //  The on screen controls, once there's a canvas to put them on.
+    this.touchControls = null;
+
+    //  The player's stats and achievements, and the achievements just
+    //  unlocked, which are shown over the game for a few seconds.
+    this.stats = null;
+    this.toasts = [];
+
+    //  The url of the relay server versus games are played through.
+    this.versusServer = null;
+
+    //  Where the game in progress is saved, so it can be continued
+    //  later, or null if it isn't saved (like when it's a replay).
+    this.saveKey = null;
+
+    //  The computer player (see autopilot.js) playing the first ship
+    //  instead of the player, or null if the player's playing.
+    this.autopilot = null;
+}
 
-    //  The previous x position, used for touch.
-    this.previousX = 0;
+/*
+    Player
+
+    Everything a player has of their own: their lives, score and the
+    level they're on. Between levels, they keep the shields they'll
+    carry on to the next one. When taking turns, the level they were
+    playing is put aside in 'sim' until it's their turn again. At
+    the adaptive difficulty, 'adaptive' keeps track of how they're
+    doing.
+*/
+function Player(number) {
+    this.number = number;
+    this.lives = 3;
+    this.score = 0;
+    this.level = 1;
+    this.shields = null;
+    this.sim = null;
+    this.adaptive = null;
 }
 
 //  Initialis the Game with a canvas.
 Game.prototype.initialise = function(gamecanvas) {
 
-    //  Set the game canvas.
+    //  Set the game canvas, and put the touch controls on it.
     this.gamecanvas = gamecanvas;
+    this.touchControls = new TouchControls(gamecanvas, this);
+
+    //  Set the game width, height and bounds.
+    this.resize();
+};
 
-    //  Set the game width and height.
-    this.width = gamecanvas.width;
-    this.height = gamecanvas.height;
+//  Fits the game to the size of the canvas on the page, and to the
+//  pixel density of the screen. Call it whenever the canvas changes
+//  size.
+//
+//  The game draws in logical pixels ('width' by 'height'), scaled so
+//  that the play area with a margin round it ('minimumWidth' by
+//  'minimumHeight') just fits, and stretched the other way to fill
+//  the canvas. The play area ('gameBounds') is in the middle.
+Game.prototype.resize = function() {
+    var canvas = this.gamecanvas;
+    var cssWidth = canvas.clientWidth || canvas.width;
+    var cssHeight = canvas.clientHeight || canvas.height;
+    var scale = Math.min(cssWidth / this.config.minimumWidth, cssHeight / this.config.minimumHeight);
+    var pixelRatio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+
+    //  Set the game width and height, and size the canvas so each of
+    //  its pixels is a pixel on the screen, so nothing's blurry.
+    this.width = cssWidth / scale;
+    this.height = cssHeight / scale;
+    canvas.width = Math.round(cssWidth * pixelRatio);
+    canvas.height = Math.round(cssHeight * pixelRatio);
+    this.touchControls.resize(this.width, this.height);
 
     //  Set the state game bounds.
+    var oldBounds = this.gameBounds;
     this.gameBounds = {
-        left: gamecanvas.width / 2 - this.config.gameWidth / 2,
-        right: gamecanvas.width / 2 + this.config.gameWidth / 2,
-        top: gamecanvas.height / 2 - this.config.gameHeight / 2,
-        bottom: gamecanvas.height / 2 + this.config.gameHeight / 2,
+        left: this.width / 2 - this.config.gameWidth / 2,
+        right: this.width / 2 + this.config.gameWidth / 2,
+        top: this.height / 2 - this.config.gameHeight / 2,
+        bottom: this.height / 2 + this.config.gameHeight / 2,
     };
+
+    //  Let the states move what's in the play area along with it.
+    //  Levels put aside for another player's turn, and the shields
+    //  carried from level to level, aren't in a state, so they're
+    //  moved here.
+    var sims = [];
+    for(var i=0; i<this.stateStack.length; i++) {
+        if(this.stateStack[i].resize) {
+            this.stateStack[i].resize(this);
+        }
+        if(this.stateStack[i].sim) {
+            sims.push(this.stateStack[i].sim);
+        }
+    }
+    var shields = sims.map(function(sim) { return sim.shields; });
+    for(i=0; i<this.players.length; i++) {
+        var player = this.players[i];
+        if(player.sim && sims.indexOf(player.sim) === -1) {
+            player.sim.resize(this.width, this.height, this.gameBounds);
+            shields.push(player.sim.shields);
+        }
+    }
+    for(i=0; i<this.players.length; i++) {
+        var carried = this.players[i].shields;
+        if(carried && shields.indexOf(carried) === -1) {
+            moveEntities(carried, this.gameBounds.left - oldBounds.left, this.gameBounds.top - oldBounds.top);
+            shields.push(carried);
+        }
+    }
+};
+
+//  Makes the game fill the screen, or goes back to the page if it
+//  already does.
+Game.prototype.toggleFullscreen = function() {
+    if(document.fullscreenElement) {
+        document.exitFullscreen();
+    } else if(this.gamecanvas.parentNode.requestFullscreen) {
+        this.gamecanvas.parentNode.requestFullscreen();
+    }
 };
 
 Game.prototype.moveToState = function(state) {
- 
-   //  If we are in a state, leave it.
-   if(this.currentState() && this.currentState().leave) {
-     this.currentState().leave(game);
-     this.stateStack.pop();
-   }
-   
-   //  If there's an enter function for the new state, call it.
-   if(state.enter) {
-     state.enter(game);
-   }
- 
-   //  Set the current state.
-   this.stateStack.pop();
-   this.stateStack.push(state);
- };
-
-//  Start the Game.
-Game.prototype.start = function() {
+
+    //  If we are in a state, leave it, and take it off the stack.
+    if(this.currentState()) {
+        if(this.currentState().leave) {
+            this.currentState().leave(this);
+        }
+        this.stateStack.pop();
+    }
+
+    //  If there's an enter function for the new state, call it.
+    if(state.enter) {
+        state.enter(this);
+    }
+
+    //  Set the current state.
+    this.stateStack.push(state);
+};
+
+//  Start the Game, on 'loop' (a FrameLoop) if it's given, or on a
+//  loop of its own.
+Game.prototype.start = function(loop) {
+
+    //  Save the game in progress, so it can be continued. The welcome
+    //  state checks for a saved game, so this comes first.
+    this.saveKey = 'spaceinvaders.save';
 
     //  Move into the 'welcome' state.
     this.moveToState(new WelcomeState());
 
     //  Set the game variables.
-    this.lives = 3;
     this.config.debugMode = /debug=true/.test(window.location.href);
 
-    //  Start the game loop.
+    //  Turn the effects off for devices too slow for them, if we've
+    //  been asked to.
+    if(/effects=off/.test(window.location.href)) {
+        this.config.particleLimit = 0;
+        this.config.screenShake = 0;
+        this.config.scorePopups = false;
+    }
+
+    //  Load the campaign, or the levels from the level editor if
+    //  we've been asked to play those.
+    if(/levels=custom/.test(window.location.href)) {
+        this.useLevels(localStorage.getItem('spaceinvaders.customlevels'));
+    } else {
+        this.loadLevels('./levels/campaign.json');
+    }
+
+    //  Load the high scores, unless we've been given a table to keep
+    //  them in. If the page was given a high score server, share them
+    //  with it too.
+    this.highScores = this.highScores || new HighScoreTable('spaceinvaders.highscores', 10);
+    var highScoreServer = /highscores=([^&#]+)/.exec(window.location.href);
+    if(highScoreServer) {
+        this.highScores.backend = new HttpHighScoreBackend(decodeURIComponent(highScoreServer[1]));
+    }
+
+    //  Versus games are played through the relay server the page was
+    //  given, or one on the same host as the page.
+    var versusServer = /versus=([^&#]+)/.exec(window.location.href);
+    this.versusServer = versusServer ? decodeURIComponent(versusServer[1]) :
+        'ws://' + (window.location.hostname || 'localhost') + ':8082';
+
+    //  Load the stats and achievements.
+    this.stats = new PlayerStats('spaceinvaders.stats');
+
+    //  Pause when the page is hidden, rather than playing on unseen,
+    //  and save the game in case the page is closed.
     var game = this;
-    this.intervalId = setInterval(function () { GameLoop(game);}, 1000 / this.config.fps);
+    this.visibilityListener = function() {
+        if(document.hidden) {
+            game.pause();
+            game.saveGame();
+        }
+    };
+    document.addEventListener('visibilitychange', this.visibilityListener);
 
+    //  Fit the game to the canvas again whenever the page changes size,
+    //  which includes turning a phone round and going fullscreen.
+    this.resizeListener = function() {
+        game.resize();
+    };
+    window.addEventListener('resize', this.resizeListener);
+    window.addEventListener('orientationchange', this.resizeListener);
+
+    //  Start the game loop. The game updates in fixed steps, so it
+    //  plays the same however fast the page draws. It can share a
+    //  loop with the rest of the page (like the starfield).
+    this.loop = loop || new FrameLoop();
+    this.loopEntry = this.loop.add(1 / this.config.fps, function(dt) {
+        GameLoop(game, dt);
+    }, function(alpha) {
+        game.draw(alpha);
+    });
+    this.loop.start();
+};
+
+//  Returns the player whose turn it is.
+Game.prototype.currentPlayer = function() {
+    return this.players[this.turn];
+};
+
+//  Returns the index of the player who should go after the current
+//  one: the next one round with lives left, or the current one if
+//  nobody else has any. Returns -1 if nobody has any lives left.
+Game.prototype.nextTurn = function() {
+    for(var i=1; i<=this.players.length; i++) {
+        var next = (this.turn + i) % this.players.length;
+        if(this.players[next].lives > 0) {
+            return next;
+        }
+    }
+    return -1;
 };
 
 //  Returns the current state.
@@ -134,44 +453,519 @@ Game.prototype.currentState = function() {
 //  Mutes or unmutes the game.
 Game.prototype.mute = function(mute) {
 
-    //  If we've been told to mute, mute.
-    if(mute === true) {
-        this.sounds.mute = true;
-    } else if (mute === false) {
-        this.sounds.mute = false;
-    } else {
-        // Toggle mute instead...
-        this.sounds.mute = this.sounds.mute ? false : true;
+    //  If we've not been told whether to mute, toggle it.
+    this.sounds.setMute(mute === true || mute === false ? mute : !this.sounds.mute);
+
+    //  Let the page know, so it can update its mute icon.
+    this.emit('muteChange', {mute: this.sounds.mute});
+};
+
+//  Calls 'listener' with the details of an event (one of
+//  GAME_EVENTS) each time it happens.
+Game.prototype.on = function(event, listener) {
+    if(GAME_EVENTS.indexOf(event) === -1) {
+        throw new Error("There's no '" + event + "' event.");
     }
+    (this.eventListeners[event] = this.eventListeners[event] || []).push(listener);
 };
 
-//  The main loop.
-function GameLoop(game) {
-    var currentState = game.currentState();
-    if(currentState) {
+//  Stops calling 'listener' for an event.
+Game.prototype.off = function(event, listener) {
+    var listeners = this.eventListeners[event] || [];
+    var index = listeners.indexOf(listener);
+    if(index !== -1) {
+        listeners.splice(index, 1);
+    }
+};
 
-        //  Delta t is the time to update/draw.
-        var dt = 1 / game.config.fps;
+//  Tells the listeners for an event about it. A listener that goes
+//  wrong is logged, rather than stopping the game.
+Game.prototype.emit = function(event, details) {
+    var listeners = (this.eventListeners[event] || []).slice();
+    for(var i=0; i<listeners.length; i++) {
+        try {
+            listeners[i](details);
+        } catch(e) {
+            console.log("A listener for '" + event + "' went wrong.");
+            console.log(e);
+        }
+    }
+};
 
-        //  Get the drawing context.
-        var ctx = this.gamecanvas.getContext("2d");
-        
-        //  Update if we have an update function. Also draw
-        //  if we have a draw function.
-        if(currentState.update) {
-            currentState.update(game, dt);
+//  Tells the listeners about any scores that have changed since they
+//  were last told.
+Game.prototype.reportScores = function() {
+    for(var i=0; i<this.players.length; i++) {
+        var player = this.players[i];
+        if((this.reportedScores[i] || 0) !== player.score) {
+            this.reportedScores[i] = player.score;
+            this.emit('scoreChange', {player: player.number, score: player.score});
+        }
+    }
+};
+
+//  Tells the listeners the game is over. 'won' is true or false if
+//  it was won or lost, or null if it just ended.
+Game.prototype.reportGameOver = function(won) {
+    var details = {
+        won: won,
+        mode: this.mode,
+        difficulty: this.difficulty,
+        players: this.players.map(function(player) {
+            return {number: player.number, score: player.score, level: player.level};
+        })
+    };
+    this.reportScores();
+    this.emit('gameOver', details);
+    if(won === true || won === false) {
+        this.emit(won ? 'gameWon' : 'gameLost', details);
+    }
+};
+
+//  Loads a level set from a url. Until it loads, or if it can't be
+//  loaded, the game plays endless levels.
+Game.prototype.loadLevels = function(url) {
+    var self = this;
+    var req = new XMLHttpRequest();
+    req.open('GET', url, true);
+    req.onload = function() {
+        if(req.status === 200) {
+            self.useLevels(req.responseText);
+        } else {
+            console.log("Couldn't load the levels from " + url + ", playing endless levels.");
+        }
+    };
+    try {
+      req.send();
+    } catch(e) {
+      console.log("An exception occured loading the levels from " + url + ", this might be " +
+         "because the page is running from the file system, not a webserver.");
+      console.log(e);
+    }
+};
+
+//  Plays the levels in a level set, given as JSON.
+Game.prototype.useLevels = function(json) {
+    try {
+        this.levels = new LevelSet(JSON.parse(json));
+    } catch(e) {
+        console.log("The levels aren't valid, playing endless levels.");
+        console.log(e);
+    }
+};
+
+//  Sets up the players for a new game. The seed is optional, if it
+//  is not given a new one is made up. So are the mode and the
+//  difficulty, which stay the same if they aren't given.
+Game.prototype.newGame = function(seed, mode, difficulty) {
+    this.mode = mode || this.mode;
+    this.difficulty = difficulty || this.difficulty;
+
+    //  Change the config for the difficulty.
+    var preset = difficultyPreset(this.difficulty);
+    this.playConfig = difficultyConfig(this.config, this.difficulty);
+
+    this.players = [];
+    for(var i=0; i<gameMode(this.mode).players; i++) {
+        var player = new Player(i + 1);
+        if(preset.adaptive) {
+            player.adaptive = new AdaptiveDifficulty(this.playConfig);
+        }
+        this.players.push(player);
+    }
+    this.turn = 0;
+    this.playTime = 0;
+    this.seed = seed === undefined ? Random.newSeed() : seed;
+    this.rng = new Random(this.seed);
+    this.clock = new SimulationClock();
+
+    //  Start counting the stats for the game.
+    if(this.stats) {
+        this.stats.startGame();
+    }
+
+    //  A new game replaces the one that was saved.
+    this.clearSavedGame();
+
+    //  Record the game, so it can be replayed later. Versus games
+    //  can't be, as they depend on what the other player does.
+    this.frame = 0;
+    this.recorder = this.mode === 'versus' ? null : new ReplayRecorder(this);
+};
+
+//  Stops recording the game in progress, keeping the replay.
+Game.prototype.stopRecording = function() {
+    if(this.recorder) {
+        this.lastReplay = this.recorder.finish(this);
+        this.recorder = null;
+    }
+};
+
+//  Returns the replay of the last game as JSON, or null if there isn't one.
+Game.prototype.exportReplay = function() {
+    return this.lastReplay ? JSON.stringify(this.lastReplay) : null;
+};
+
+//  Plays back a replay, given as an object or as JSON.
+Game.prototype.playReplay = function(replay) {
+    if(typeof replay === 'string') {
+        replay = JSON.parse(replay);
+    }
+    if(!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error("This replay was recorded with a different version of the game.");
+    }
+    this.pushState(new ReplayState(replay));
+};
+
+//  Saves the game in progress, so it can be continued later, even
+//  after the page is closed. Only games where every state on the
+//  stack can be saved (a level being played, paused or about to
+//  start) are, otherwise the save is left as it was.
+Game.prototype.saveGame = function() {
+    if(!this.saveKey || this.stateStack.length === 0) {
+        return false;
+    }
+    var stack = [];
+    for(var i=0; i<this.stateStack.length; i++) {
+        if(!this.stateStack[i].save) {
+            return false;
+        }
+        stack.push(this.stateStack[i].save(this));
+    }
+
+    var game = this;
+    var save = {
+        version: SAVE_VERSION,
+        mode: this.mode,
+        difficulty: this.difficulty,
+        playConfig: this.playConfig,
+        seed: this.seed,
+        rng: this.rng.state,
+        time: this.clock.time,
+        frame: this.frame,
+        playTime: this.playTime,
+        turn: this.turn,
+        gameBounds: this.gameBounds,
+        players: this.players.map(function(player, i) {
+            return {
+                lives: player.lives,
+                score: player.score,
+                level: player.level,
+
+                //  The shields of a level that's being played (or put
+                //  aside) are saved with it.
+                shields: !player.shields ? null :
+                    player.shields === game.playerSimulation(i).shields ? 'sim' : player.shields,
+                sim: player.sim ? player.sim.serialise() : null,
+                adaptive: player.adaptive ? {
+                    factor: player.adaptive.factor,
+                    shots: player.adaptive.shots,
+                    hits: player.adaptive.hits,
+                    livesLost: player.adaptive.livesLost
+                } : null
+            };
+        }),
+        stats: this.stats ? {game: this.stats.game, levelDeaths: this.stats.levelDeaths} : null,
+        stack: stack
+    };
+    try {
+        localStorage.setItem(this.saveKey, JSON.stringify(save));
+    } catch(e) {
+        console.log("Couldn't save the game.");
+        console.log(e);
+        return false;
+    }
+    return true;
+};
+
+//  Returns the saved game, or null if there isn't one. A game saved
+//  by a different version of the game can't be continued, so it's
+//  thrown away.
+Game.prototype.savedGame = function() {
+    if(!this.saveKey) {
+        return null;
+    }
+    var save = null;
+    try {
+        save = JSON.parse(localStorage.getItem(this.saveKey));
+    } catch(e) {
+        console.log("The saved game isn't valid, throwing it away.");
+        console.log(e);
+    }
+    if(save && save.version !== SAVE_VERSION) {
+        console.log("The saved game is from a different version of the game, throwing it away.");
+        save = null;
+    }
+    if(!save) {
+        this.clearSavedGame();
+    }
+    return save;
+};
+
+//  Throws away the saved game.
+Game.prototype.clearSavedGame = function() {
+    if(this.saveKey) {
+        localStorage.removeItem(this.saveKey);
+    }
+};
+
+//  Continues the saved game, returning false if there isn't one (or
+//  it can't be continued). Continued games aren't recorded, as the
+//  replay would have to start from the beginning.
+Game.prototype.loadGame = function() {
+    var save = this.savedGame();
+    if(!save) {
+        return false;
+    }
+    var game = this;
+    try {
+        this.mode = save.mode;
+        this.difficulty = save.difficulty;
+        this.playConfig = save.playConfig;
+        this.seed = save.seed;
+        this.rng = new Random(save.seed);
+        this.rng.state = save.rng;
+        this.clock = new SimulationClock();
+        this.clock.time = save.time;
+        this.frame = save.frame;
+        this.playTime = save.playTime;
+        this.turn = save.turn;
+        this.recorder = null;
+
+        //  Put the players back, moving what they kept from where the
+        //  play area was to where it is now.
+        var dx = this.gameBounds.left - save.gameBounds.left;
+        var dy = this.gameBounds.top - save.gameBounds.top;
+        this.players = save.players.map(function(saved, i) {
+            var player = new Player(i + 1);
+            player.lives = saved.lives;
+            player.score = saved.score;
+            player.level = saved.level;
+            if(saved.adaptive) {
+                player.adaptive = new AdaptiveDifficulty(game.playConfig);
+                for(var name in saved.adaptive) {
+                    player.adaptive[name] = saved.adaptive[name];
+                }
+            }
+            if(saved.shields && saved.shields !== 'sim') {
+                player.shields = saved.shields.map(function(shield) { return restoreEntity(Shield, shield); });
+                moveEntities(player.shields, dx, dy);
+            }
+            return player;
+        });
+        this.players.forEach(function(player, i) {
+            if(save.players[i].sim) {
+                player.sim = game.restoreSimulation(save.players[i].sim, player);
+            }
+        });
+
+        if(this.stats && save.stats) {
+            this.stats.game = save.stats.game;
+            this.stats.levelDeaths = save.stats.levelDeaths;
+        }
+
+        //  Put the states back, from the bottom of the stack up.
+        while(this.currentState()) {
+            this.popState();
         }
-        if(currentState.draw) {
-            currentState.draw(game, dt, ctx);
+        for(var i=0; i<save.stack.length; i++) {
+            var state = restoreState(this, save.stack[i]);
+            if(i === 0) {
+                this.moveToState(state);
+            } else {
+                this.pushState(state);
+            }
         }
+        this.players.forEach(function(player, i) {
+            if(save.players[i].shields === 'sim') {
+                player.shields = game.playerSimulation(i).shields;
+            }
+        });
+    } catch(e) {
+        console.log("Couldn't continue the saved game, throwing it away.");
+        console.log(e);
+        this.clearSavedGame();
+        this.stateStack = [];
+        this.moveToState(new WelcomeState());
+        return false;
+    }
+    return true;
+};
+
+//  Creates the simulation of a level a player was playing from its
+//  saved data, hooked up to the game as PlayState would.
+Game.prototype.restoreSimulation = function(data, player) {
+    return InvadersSimulation.restore(this.playConfig, data, {
+        players: this.mode === 'coop' ? this.players : [player],
+        width: this.width,
+        height: this.height,
+        bounds: this.gameBounds,
+        rng: this.rng,
+        clock: this.clock,
+        adaptive: player.adaptive
+    });
+};
+
+//  Returns the level player 'index' is playing, or has put aside
+//  until their turn, or an empty object if there isn't one.
+Game.prototype.playerSimulation = function(index) {
+    var player = this.players[index];
+    if(player.sim) {
+        return player.sim;
     }
+    var state = this.stateStack[0];
+    return index === this.turn && state instanceof PlayState && state.sim ? state.sim : {};
+};
+
+//  Creates a state from what its 'save' returned.
+function restoreState(game, saved) {
+    if(saved.state === 'play') {
+        //  The level is picked up from the player when it's entered.
+        game.currentPlayer().sim = game.restoreSimulation(saved.sim, game.currentPlayer());
+        return new PlayState(game.playConfig, saved.level);
+    } else if(saved.state === 'pause') {
+        return new PauseState();
+    } else if(saved.state === 'levelIntro') {
+        return new LevelIntroState(saved.level);
+    }
+    throw new Error("There's no '" + saved.state + "' state to continue.");
 }
 
+//  Records an input event, if we're recording.
+Game.prototype.record = function(type, value) {
+    if(this.recorder) {
+        this.recorder.record(this.frame, type, value);
+    }
+};
+
+//  The main loop, run for each step of 'dt' seconds.
+function GameLoop(game, dt) {
+    if(game.currentState()) {
+
+        //  Gamepads don't send events, so check them every step.
+        game.pollGamepads();
+        game.update(dt);
+    }
+}
+
+//  Draws the current state. 'alpha' is how far we are between the
+//  last step and the next, for drawing things moving between them.
+Game.prototype.draw = function(alpha) {
+    var currentState = this.currentState();
+    if(currentState && currentState.draw) {
+
+        //  States draw in logical pixels, which we scale to the canvas.
+        var ctx = this.gamecanvas.getContext("2d");
+        ctx.setTransform(this.gamecanvas.width / this.width, 0, 0, this.gamecanvas.height / this.height, 0, 0);
+        currentState.draw(this, 1 / this.config.fps, ctx, alpha);
+        this.drawToasts(ctx);
+    }
+};
+
+//  Draws the achievements just unlocked at the top of the screen,
+//  fading out as they go.
+Game.prototype.drawToasts = function(ctx) {
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    for(var i=0; i<this.toasts.length; i++) {
+        var toast = this.toasts[i];
+        var y = 25 + i * 45;
+        ctx.globalAlpha = Math.max(0, Math.min(1, 3 - toast.time));
+        ctx.fillStyle = '#222222';
+        ctx.fillRect(this.width / 2 - 150, y - 20, 300, 40);
+        ctx.strokeStyle = '#ffff33';
+        ctx.strokeRect(this.width / 2 - 150, y - 20, 300, 40);
+        ctx.fillStyle = '#ffff33';
+        ctx.font="14px Arial";
+        ctx.fillText("Achievement Unlocked: " + toast.achievement.label, this.width / 2, y - 8);
+        ctx.fillStyle = '#ffffff';
+        ctx.font="12px Arial";
+        ctx.fillText(toast.achievement.description, this.width / 2, y + 9);
+    }
+    ctx.globalAlpha = 1;
+};
+
+//  Pauses the game, if a level is being played. It goes through the
+//  'pause' action so that replays pause at the same point too.
+Game.prototype.pause = function() {
+    if(this.currentState() instanceof PlayState) {
+        this.actionDown('pause');
+        this.actionUp('pause');
+    }
+};
+
+//  Carries on with the game, if it's paused.
+Game.prototype.resume = function() {
+    if(this.currentState() instanceof PauseState) {
+        this.actionDown('pause');
+        this.actionUp('pause');
+    }
+};
+
+//  Moves the ship left (a 'direction' below 0) or right (above 0),
+//  or stops it (0). It keeps moving until it's told otherwise.
+Game.prototype.moveShip = function(direction) {
+    this.holdAction('left', direction < 0);
+    this.holdAction('right', direction > 0);
+};
+
+//  Fires the ship's rocket, like pressing and letting go of fire.
+Game.prototype.shipFire = function() {
+    this.actionDown('fire');
+    this.actionUp('fire');
+};
+
+//  Starts or stops an action, unless it's already started or stopped.
+Game.prototype.holdAction = function(action, held) {
+    if(held && !this.actions[action]) {
+        this.actionDown(action);
+    } else if(!held && this.actions[action]) {
+        this.actionUp(action);
+    }
+};
+
+//  Steps the game forward by 'dt' seconds, without drawing.
+Game.prototype.update = function(dt) {
+    var currentState = this.currentState();
+    this.clock.advance(dt);
+
+    //  The autopilot holds down the actions it picks for a level,
+    //  as though it were pressing the keys, and lets go of them
+    //  between levels.
+    if(this.autopilot) {
+        var playing = currentState instanceof PlayState;
+        var input = playing ? this.autopilot.decide(currentState.sim, 0) : {};
+        this.holdAction('left', !!input.left);
+        this.holdAction('right', !!input.right);
+        this.holdAction('fire', !!input.fire);
+    }
+    if(currentState && currentState.update) {
+        currentState.update(this, dt);
+    }
+    this.frame++;
+    this.reportScores();
+
+    //  Show any achievements that have been unlocked, for a few
+    //  seconds each.
+    if(this.stats) {
+        var unlocked = this.stats.takeUnlocked();
+        for(var i=0; i<unlocked.length; i++) {
+            this.toasts.push({achievement: unlocked[i], time: 0});
+        }
+    }
+    for(i=0; i<this.toasts.length; i++) {
+        this.toasts[i].time += dt;
+        if(this.toasts[i].time > 3) {
+            this.toasts.splice(i--, 1);
+        }
+    }
+};
+
 Game.prototype.pushState = function(state) {
 
     //  If there's an enter function for the new state, call it.
     if(state.enter) {
-        state.enter(game);
+        state.enter(this);
     }
     //  Set the current state.
     this.stateStack.push(state);
@@ -182,7 +976,7 @@ Game.prototype.popState = function() {
     //  Leave and pop the state.
     if(this.currentState()) {
         if(this.currentState().leave) {
-            this.currentState().leave(game);
+            this.currentState().leave(this);
         }
 
         //  Set the current state.
@@ -192,417 +986,1260 @@ Game.prototype.popState = function() {
 
 //  The stop function stops the game.
 Game.prototype.stop = function Stop() {
-    clearInterval(this.intervalId);
+    if(this.loop) {
+        this.loop.remove(this.loopEntry);
+        this.loopEntry = null;
+    }
+    document.removeEventListener('visibilitychange', this.visibilityListener);
+    window.removeEventListener('resize', this.resizeListener);
+    window.removeEventListener('orientationchange', this.resizeListener);
 };
 
-//  Inform the game a key is down.
-Game.prototype.keyDown = function(keyCode) {
-    this.pressedKeys[keyCode] = true;
-    //  Delegate to the current state too.
-    if(this.currentState() && this.currentState().keyDown) {
-        this.currentState().keyDown(this, keyCode);
-    }
+//  Inform the game a key is down, by its KeyboardEvent.code.
+Game.prototype.keyDown = function(code) {
+    this.inputDown('key:' + code);
 };
 
-Game.prototype.touchstart = function(s) {
-    if(this.currentState() && this.currentState().keyDown) {
-        this.currentState().keyDown(this, KEY_SPACE);
-    }    
+//  Inform the game a key is up.
+Game.prototype.keyUp = function(code) {
+    this.inputUp('key:' + code);
 };
 
-Game.prototype.touchend = function(s) {
-    delete this.pressedKeys[KEY_RIGHT];
-    delete this.pressedKeys[KEY_LEFT];
+//  Inform the game of touches on the canvas. The touch controls
+//  turn them into inputs.
+Game.prototype.touchstart = function(e) {
+    this.touchControls.touchstart(e);
 };
 
 Game.prototype.touchmove = function(e) {
-	var currentX = e.changedTouches[0].pageX;
-    if (this.previousX > 0) {
-        if (currentX > this.previousX) {
-            delete this.pressedKeys[KEY_LEFT];
-            this.pressedKeys[KEY_RIGHT] = true;
-        } else {
-            delete this.pressedKeys[KEY_RIGHT];
-            this.pressedKeys[KEY_LEFT] = true;
+    this.touchControls.touchmove(e);
+};
+
+Game.prototype.touchend = function(e) {
+    this.touchControls.touchend(e);
+};
+
+//  Checks the gamepads, telling the game about any buttons or sticks
+//  that have changed since the last check.
+Game.prototype.pollGamepads = function() {
+    if(typeof navigator === 'undefined' || !navigator.getGamepads) {
+        return;
+    }
+    var inputs = readGamepads(navigator.getGamepads());
+    var i;
+    for(i=0; i<this.gamepadInputs.length; i++) {
+        if(inputs.indexOf(this.gamepadInputs[i]) === -1) {
+            this.inputUp(this.gamepadInputs[i]);
         }
     }
-    this.previousX = currentX;
+    for(i=0; i<inputs.length; i++) {
+        if(this.gamepadInputs.indexOf(inputs[i]) === -1) {
+            this.inputDown(inputs[i]);
+        }
+    }
+    this.gamepadInputs = inputs;
 };
 
-//  Inform the game a key is up.
-Game.prototype.keyUp = function(keyCode) {
-    delete this.pressedKeys[keyCode];
+//  Inform the game an input (a key, gamepad button and so on, named
+//  as in InputMap) is down.
+Game.prototype.inputDown = function(input) {
+    if(this.heldInputs[input]) {
+        return;
+    }
+
+    //  The state gets first go at the input itself, for typing a name
+    //  or changing the controls. If it doesn't use it, the input
+    //  starts whatever action it's bound to.
+    var state = this.currentState();
+    if(state && state.inputDown && state.inputDown(this, input)) {
+        return;
+    }
+    this.heldInputs[input] = true;
+    var action = this.controls.actionFor(input);
+    if(action && !this.actions[action]) {
+        this.actionDown(action);
+    }
+};
+
+//  Inform the game an input is up. Its action stops, unless another
+//  input is still holding it down.
+Game.prototype.inputUp = function(input) {
+    if(!this.heldInputs[input]) {
+        return;
+    }
+    delete this.heldInputs[input];
+    var action = this.controls.actionFor(input);
+    if(!action || !this.actions[action]) {
+        return;
+    }
+    for(var held in this.heldInputs) {
+        if(this.controls.actionFor(held) === action) {
+            return;
+        }
+    }
+    this.actionUp(action);
+};
+
+//  Starts an action. Actions are what get recorded, so a replay
+//  plays back the same whatever the controls were.
+Game.prototype.actionDown = function(action) {
+
+    //  Going fullscreen is up to the page, not the game being played,
+    //  so it isn't recorded or passed on.
+    if(action === 'fullscreen') {
+        this.toggleFullscreen();
+        return;
+    }
+    this.record('d', action);
+    this.actions[action] = true;
     //  Delegate to the current state too.
-    if(this.currentState() && this.currentState().keyUp) {
-        this.currentState().keyUp(this, keyCode);
+    if(this.currentState() && this.currentState().actionDown) {
+        this.currentState().actionDown(this, action);
+    }
+};
+
+//  Stops an action.
+Game.prototype.actionUp = function(action) {
+    this.record('u', action);
+    delete this.actions[action];
+    //  Delegate to the current state too.
+    if(this.currentState() && this.currentState().actionUp) {
+        this.currentState().actionUp(this, action);
     }
 };
 
 function WelcomeState() {
 
+    //  The indexes in GAME_MODES and DIFFICULTIES of the mode and
+    //  difficulty that are chosen.
+    this.selectedMode = 0;
+    this.selectedDifficulty = 1;
+
+    //  Whether there's a saved game to continue.
+    this.canContinue = false;
+
+    //  How long nothing has been pressed for, and the demo game the
+    //  autopilot plays behind the title once it's been long enough.
+    this.idle = 0;
+    this.demo = null;
 }
 
 WelcomeState.prototype.enter = function(game) {
 
-    // Create and load the sounds.
-    game.sounds = new Sounds();
-    game.sounds.init();
-    game.sounds.loadSound('shoot', 'data:audio/wav;base64,UklGRhQQAABXQVZFZm10IBAAAAABAAEAESsAABErAAABAAgAZGF0YfAPAACBY2ek1oEfacx2N1yM4Zg9VJq4ZUuB0YcvXn3PpkhPh8N2RHrNiEBqj61pNnrIhUpq1+xbK1SjcyJRltG4xr9xXwwAT6dveO7//3YAAAAAAFns/////74AAAAUqqGJ////tSUAAA8APKf//////zwAACk8LIDT////ljMMAAAKiMnQ7P//0QAAAA8QH4D//////JAAAABNREur////6Ys1AAAJak170f///5JEBwAAAIimn9v///9SAAAAAABR1uHl////cwAAAEs/L37R////3nc2AAAAcIVnuf///96ISgAAAGZgYrH/////v3cAAAAsfXR63v///+xiMgAAABGB0KTC////xhMAAAAAKJrNv9H///+TShQAAABwjHe0////7NN6AAAAIVVRe8///////4QAAAAdHyFzuP//+P//4iEAAAA3LDqA1//z////4iQAAAAMH2Kq6OHk////jCcAAAAADWDAwK7y////zzIAAAAAAEaV6MC/+P//7IwoAAAAABh20Kej4P///9GJPwoAAABYeHOZtf3//+Tv21cAAAAAFjaCzMix7v//59CJSwAAAABeaXCy4czX////yXAsCgAAAFtlc6fW9ejY///hlj8XAAAAKGVxjMbYxtv//+m0iVERAAAAQE5smsXw1M/p///RkEckAAAAFmdqiKrI+N3U6f//w3AlBgAAABt+gIutvuDz3dbp/92QNgIAAAAAQ5qxoa2r1vrd0+HzzHowCQMAAAJLmqegscraw8Pd+eu8j2k1AAAADz9PhabK166gv/DlzcjPzG0UAAAAABNZpK6jqLvYt6vK0/DUq5pxRAAAAAAQNnOYyNaynbDJwLHD2tCoiFc3AgAAADdNbJi008amqrvDtbnN2q6VhFs8AAAAA0BYbJ/GxbWnscKtn7i+1sqgmYxnIgAAAwYTR3OmzLiqt8WmkJi0zMKutLmdhGA8JAAAABhOaX2cucqxqKi1qo6atMm1p6irqoBVLB4QAAMWOniJla2wwrmknJyqkoihub+rnKOojmxUPBEABx0wN1WAq7ersruyoJOYoJKFlai8qpqfn5yCbWBEFwUNFzJHUWqSqLy/rauorqGLi5OQhI6fsK6gmZaTloBtWzUsIg8YKEZSYH6VtLiyra6xppCQlZaJfoGPlZmco6iVi4iHiHZqXEouGh8sNzxLW3eSnKatt7eooZ+fnI6Lj4+EgIKLkImPmKOgk4yFiIF0cHZwWUQyLjU1OkNUaWlxiJyqq62wsaegmZmYjIuOjIyChIGJhYCAh4yOj5OWkoiCgX6AdG9xeHdXLg0ABjVgi6HI//+uUjo3advQUkdGcOvMT0ZHeO/PT0RDdvLMTkFBcPLPTkA8bfPTTTo5Z/XYUTw6Y+jhUjU6WN3sYjU6Uc36djM3SLf/izM5P6f/pDc2OY//vzo1N3P/1kszN2Do82AsNk7I/4UvOT+j/7E1Nzd6/9dALzNi7vViLjxLv/+WLjU3jv/JOjAyZfPzWywzRr7/mC42OoH/1EQrMlze/3QrNj2k/7szLjVm+PZeKTZBsP+uMC42cf/sUSg2SLH/qC8wOm/89VkuM0ew/7QyLjZl6/9qKTZAmP/PPyczWMr/jCgwN3j/8FIoNUSj/78zLjJe1v+IKDU5eP/yWCk2Rpz/zzwrNVW+/6YuLzxl3v99KTA9ev/zXyUzRpD/3UMpNkuk/8g3KzVUuP+xMi45X8n/nC8vPGXY/4ssMj1w4P9+LDNBceX/eicwP3Ps/3gvMEB35/92KzJEdOX/gC4vQ3Db/4cvNT9szf+aMjA9YsD/qjIyOlyt/8M5Jy5Nlf/QQSIzTon/6U8pMkh46P9wKy9Dasn/oC8vPFyq/8g/LjdSjv/yWzAyS3bU/5IwLz9lp//JQC85VIjz/WosN0dvvP+xNy83W5L881wvNk1xv/+oNjA/XJD682AzMkpquP+5OTA2V4Xp/3QyM0FppP/WQzA1VHbI/6A3MzpfjPL8bDAzQ2Wf/9hHMjJRcbT/uzkvNVh6zf+ZMjA9YIfi/3szNUFikPLwZjAwSGeS/+hUMjVKZ5z/3lQzNk9qn//gTjU2S2qa/+JVMzZLaZj/5FkzNkpqk/XuajIySmeL5/p+NTVBZYHQ/5M2NT1beL//sT0vOVdzpP/TRzY1Tm2S8/BsNzdBaYDK/5w6Mzpic6v/0EozNU9wj+T9gDczQGZ6tf/DQzA5WW+P6fl7OjdEZnew/8NIMzpUcIjY/5Y3Mzxcc5/95WM2Okhne7L/w0Q1PFFxiM//pD0zOll3kOH/iTo2QF53mu/wcDY6RGd3nPbgYC4wQWV2n/bgXjI3QWp6n/jdYzM3RGl+nPPkbDczRmV6mufygDc3QWJ3kNf/mDw2P1t3iML/tUAzP1Vtfqv/2l45Okdsepnh9Yw5M0Nedoi7/8BKNTpSbX6a5faCOTlDX3aEt//FTTY8Tmp9ltb/mT02P1h0fqby4nA6MkNgeIi0/8pPNjdHZnqOw/+1RDU8T2x9kMb/q0MyOVVsfpDK/6hBMjpVcICSxf2tQzI5Uml7i779uUgyOk9sfomx+c9cOjxIY3eFoeXsgjozQ15xfpPG/K5DMj1UaYCIpPPbZzo1Q2B0gpLG+apEMj1Pb36Fo+flfToyQF9wgYyx+MpcOjZIY3aEk775u0s1OVFqdoWQyP+wQzY8UW17iY/F/K1HNTxRanaJj776u002P01md4WQsfDKYzY2SmJ2hImk4OiEPDA/XnN+jJjD+bJINzdObXeHkKjh5IE/Mj9bcIGLkLzvyFw8OUdld4WPlcX5tEg1OUZlcYGIkMXup0QyN01mdoWMlsXwqkY5PFFmdISOj77wu1c1OUhjdoSPj63l1Hg8MkRbc36IjJzG76hINzpPaniFi4+o4NqEPDBDW3B9hY+SsOjMbDczR15xfouQkLXow2c5NUdfcIGMjI+u4sxzOTNHXnB9h4+PpNHgkkAzPE9se4WMjJa45btZNjZIYHSBi4mOoMXlnEQzN05qdoKIjJKhzN2VQDM/T2l4gYyOi6DK3ZxANTxLZniCjJCQmrzgslk3NkZfdH2Jj46OpMzYkD8zP1RmdoKIjI+Tq9bGejwwQVhwdoSLi4uPqNHKgDwyQVdpeISLi4+PoMbUmEY2PE9ldoKJiYmOkq7QwnQ5M0dZb3uAiYyPk5Kx07htOTNGXG97iImJj4+Tq8rGgD0yP1VseISLjI+PjJi40KNZNjZKYHCAhIyLj46MnbjNn1Q6NUhidIGLj46SjImTsMm0bzkzRlxvfYSMjpCOjIuat82dVDYzRlxqfYWIjoyJiIeQtMijYjcyS1lwfYWLjI+Mi4mHnbzDkEs3N1Fjc4SJj46Oi4yIiJm4xZlUOTdNYnOAiY6MkIuIiYuOobm5i0o2QE9mdIGLi4yQi4yIh4iWsMChYDo1TWBze4SOi4uOjoeJh4KWsbygZTo2SFtveoeJj46Oi4iJh4KFmbC5lVc9N01ecIGHi4uOjIuIiYeEgImhsreESzU8UWV2goiMi4+Mh4iJgoGEgIyntadzRjZDVWx3iIiOjouOjISHhIKCfoCTqLecakQ5QVxqe4SIjoyMiYuFgYWCfYKCfpKnsKBxRzdBV2l3hYuMjImMi4KFgoGEhIB+gouap66OX0M5SF9vfoSMjoyMi4iJgoeEgICAfoJ+hJajraF2TzxDVGZ4gYeMjI6OjISHgoKFgYB+goJ+fYKJnKOqkmZKOkhYbXqCi4yMi4mIiYKHhICBgISAfoB9goKAh5afo6N9W0E/S19ze4SMjo+Mi4KEgYCAe4GBfXt+fn59gX19fX6Hj5qfnYdmTj1HWWp4gYmLj46Oi4uIhICFgICEgH6Efn6CgH5+foCAgH2BgouYmJyWfmNSQUZZaniFi4yPjIuJi4SIhYGAhYGAhIB+fYKAhIB+gn5+fn19fX6AgICAgIGOkJaTkIVsW09GTWBqe4WLkIyMi4mLhJmwd2ZxcXSCpnpjgnGEpnZngm+IpnNpgW+EoHhmgHOCoHhlgW2Co3dpgG2CpHRlgW+CpHRsgW+An3dwgW99nXh0gGp+loJ7eG94i5J+cXR3hZl+anhxhKB6ZoBtfqNzb4Ftfpp9d3tveIuSfm14dIWkdmaAbX6jd2yBb32Vgnt2c3qEn4BsfW+EpHZtgW99loSAd3B3hJ97aoBvgJ94dn1weouWfm99c4GkdHCAb32QjoBxdnSCpHhqfnN+kot7cXp0gqZ2aoFwfZCPgXR3doKgdHR9dH6FmoBtfnSAmX54eHZ4hKZ6bX5weIiLfW1zdnuaenR4cHqBo3dse3F9iJh+cHp2epaEfXd0dIKdd3Z7dnqEn3htfXN9iZx7b3t2fouOgHR3doCThHpzdnuAmIB4fXR0hJl4eHt2eoCdend9d3uBn3R0fnd7gZ90dH53eISfdHZ9d3iEmnZ2e3p7gZl4eHt2eoCYeH19dHt+kIJ4eHF6fpCJenZ2e3iHk313d3p4hJp6c3t2d4Sad3F7c36Eknp9enN6fYmPfnd3fXiEmnpzfnt6gZl6d313e36Ljnt3d312hJp2dn10fn6MhH17dHt4hJp6cXp2eoCSfnt6c354hJl0dHt2eoCOgXt9dHt4hJl0dIB0fn6LiXp4d3p4hJV4fX10gXqBmXp3fXeAe4iQgHh2e3uBjn56fXeBdoSVd3t9d4F6gZl4eH13gYCBlnp6fXiBfYSLenh3fX2BjImAeHh+fn6JiXt6fX1+gYeJgHh4e4CAiIl+eH19fX2IjIB4fX19fYSQgHN3dHp7gZB2c312fniCkHZ6gHSAeoGMeH19d4B7gYiEfX16e4CAgY97en17gH19jnh9fXuAgICEiH56fXuAfYGPdn19e4CAgISIfnp9e4CAgY53fX17gICAgYl+en19fX6Bjnp+fXuAfYCBjnd7fXt7gICBiX19fXuAgICEgnt9fX1+fn6Ifn19e3uAgICJeHt7e32BgICJeH19fXuAgICIe3uAd36AgICIe3uAe3t7e4GIe319d4CAe4KHgYJ4fX19fX2Bh319fX17gICAiXh7gH2AgH19hH19fX1+fn5+foh+eH59e4CAgIh7fX17gHuAgICFfn19fXuAe4CFe319e4CAgICAh3t9fX19fn5+god9fX19fX5+foKCfX19fX5+fn6CgX19fX1+fn5+hH19fX1+fn5+goJ7gX19gX19fX2BgX19fX1+fn6CgYJ+fX19fX6BfYGHfX2BfX19gX2Bgnt9gX2BfX19gYGCe319fX5+fnqBgHt7e3p+en6Ae4CAgHuAe4CAgICAgYF9gX19fX1+fn6CfX19fn5+foCAgIF9fX19fn5+fn6CgX19fX2CfX2BfYGBfX19fX5+foJ9fYF9fX19gn19fX2CfYF9gYF9fYF9gX2BgX19fX2BfX19foCAgX2BfX0=');
-    game.sounds.loadSound('bang', 'data:audio/wav;base64,UklGRlUNAABXQVZFZm10IBAAAAABAAEAESsAABErAAABAAgAZGF0YTENAACAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICQpJFvX1tkan6GbG17oJ52ZZC9bk+aynUQYNC7QWTAr10Aav2JEYzyZwGG/4YEbuZ2AZX/WQag/24APLH/URvPqis9yLMXaPVwC2bS2SdJ7XIdOa3/WwCR/4oKPqv8VACs9C4vz75KAI3/kxBBv9ceVOCjTgCA/3wAlf9mAIr5qT8Apv8+GMPlIU7go0YAkf9kAKH/XACj/18Ahva/TQB9/4IAWMbiXwB6/54rNdWyFWPWyDEnxtZLAIP/hgZo27MSaftoBGrkzC0zufdMALL0JzTH3FUAaf+2I2P+YAB2z/NUAIn/fACM/XkrE6L/kw88tP8+GsTeWwCH/2AAsv9MBrP/UACm/2wAbv9cAHrk1zkYtfxLAHb/hgGF1rxBAKP/XwCP/34iMMH/QRbQyTIf0ccqRr77OQu+3VcAjP+BG1jRyjYcuvteAJD/UgS+/zwTytwqN9S6I07dqRtf1b1LAJL/cQCp/1MAdvGkGWvK1E8Ahf+ZKj7YpAeU5Zo2ALn/QQnF6DYivfRQAHHu0iha1p8zAsXaOx/A/0YIqP96AHXrXAeC6rwQfOV5Lg+y/2gAjv9XAJz+gxlk1LdABqT/awhhs/9jAHnlmyxX1rU8I6//dw8yp/9iAKvxcQ5h7n8Tn/xbAKL7fhVm1Kw+D67/WgCj5akxDr3nTgCT/38feN2UJFbjfxSD18MmRs2yQgCn/2cFi9evSQCw/3oPaNWkRACz/0kWxfVBAK//WACn8nQnKcbyQwyr/2kAleCOHVjDxj8AwPFCCrT/WgCx+j8Yv+xVAIf3Yh2G3sUyNMjROhPE5jsUr/9nAJ7vUACU0c5HAMDqOBy9/1UAle2HMyau/1wAkdOWPwe9/z0RuP93FTS28D8AvvVWBH7lqT43w/Y3DcDzQQC1+3YqJrv/RAC6/4MtHbb/UwCU07tRALX/VAme8FsLtfljE3XlayF5184mV9WZLy/TsSB34YAYkexbH3nQ1z0Atf9VAqXkYxxc1cInbNOkQgC9/20qNcrjPhSz/2MUYcDbOwG+/1QXU7r/PgC/7EIAwfI7HNDUOB61/0EIxt0uH8zLKj/VsDUxwvs8Bqf2XBOFx9M8AKr8fiBo0ZUpUczAKkranzFJwfpOAKrrQw+x/FcffsPzRAC05kAInvKCKG2/30AAquSXLybI1T8AmPOnJ3zeaTYrvv85Dq/rjhxbwqsuF8nwRQeP75Eine5PKVa+/zsAv+pwKCvF+DkDwv9GEb/oUw1r0b42KdHZNBnN7zYUwPtxHSu+/TQAkeulIoXgdCFe1KUhY+ZtF7bpbiBq2pQegOhWD7/wYCpJyfwtBtDuNQCd94IpaL7zKgCw3owsBsn/OQCp2K8xENnLIEjVuS0z4rAkWcn6RQCx4zUVmPWVJ17I+jsAhtiSG5DgeS0u1vAfQOGdKFvNzisQ1P5LAKDsTiV219cjRNHELgLR8TwBrvlQJovV3SsAtvKGFGTNoTEF0f8sIt/bLBW7/0AZiOGoD4bMiyIk0tsyBtjtIjrR3jUAvOaMJEHjjilW2tMdUtqlJTPO7yID3NYpIcv/NgSs6GIZkdSJHF3RrSoX4M8bXtuzMgbG/2Eald5cImfU1Ccb0/xFAKDhWR6E26MlS9rDJyTkxCBU4pgZgtGXJzDkpyhF0fsmFtbgIwKq8WgaocyyKQDP+loXduBwIZDeiTM1zv43BLfWhC4F1f8qHqznpyAt1coRVuNxMVXV/B0g5b0oIL/+Uw2l3EkjbN7QIj/b1SMOw+uJKwDJ/y0in+WhHlPcoik2zfgmE7Hgqh8Z4sYfR9fsJgDO7TQf2NkiFtr5ShCc3j4c2PFEEY7cWRO/41EqVM//IwC0z50hM9+0Jiri5hc/3rwoCc3/Qi1r0fwaANXjVBKM1YQzGND/QSfV3igac9fyGxXg4TALm+V7L3fcqBd51IEuGcz/TR2qznwuGMr/PyXQ2y4Rpt9bI7PkRimH19YWFObAHFPWvx4g488eR+WpKD3H+EYTmc17Kk7dwRZo0akqBtf2OinL2i4RwN1JKYfjmi1LyvI7DK3JLSyV6KsoSNDmGwrXyyYt2eIeH9nSJBrK34YtIuPVIEHdwiQvxudzGF3FqiA25LMsOMbugCwn1eMXLNrULhSj3Gg9ZdT1KxpqyeweD9XaNy561ssYSdejJULgripFxutcKlTI4hsX1NFBJpfZYi280l49RtLyQS9Jy/cbJpHO2x4Qm+CYLHTLsSUcxuNSL5nHeyxn24IqqcV4NCm871Axtc5ELaPEpiMl47QpXN2qKWXTrC4ox981PIrathtqyYIxMbzqcy6Jy1gxrsR3NUHS0h8gwtZIM8bHMiun0E8yvM1VMYjBoCsh2dxPN2fOxyQx270pTNXGJCa32GM+WcrqLyinxl4ttsJaPEXW2ixN0rwhLYvVzSQy2b8qK7nXWkVkzNwiPdC6KSWozoA5cc2sKUTcozJTztcwKaLCfD5GvuBBO824KTTQxz0xkcpwPZPKji9pzJMtZM+cL1nOsCFqzXRAVcXaPjt8yLMhXM+JMW7Cqig726gvXc66JzSV1bglQtG/LSrKuDJJheC6I3C/li0qyc5GPqDCdjxpz6wuQ83DLEjOtSwxtchrQnTGriszpNh5M6+zWT1f0p41ZM26JzOpzndBWLfTOzzIsDs9dMu+KUvUsS47xcRBRKTDaTmotVdCbcm/KDPAwnhAUM3LMjbDtk9JY9K+MlPLwC04rrxWQcSwLk/QqTFEwcZkRlTKxyxBfc+1M1HIvi88rLhUQ7y5VEGQw2tJb8LOPD2VuG88p7FoRVDOwDpPx603U4zNrx0vtbhOU2bDzDZJa8a7L06QzYI8Xr3BQkFyxJg0h7aJOkTPxE5FmrZdSZ27aE1nts9FSMCqQD+msVpVabzMQ0vGq0BMaMbLQUl5vrErSJ3FpzJByqRCWJHSij9fuL5KRG+/uCpHyaw5UpXGri9Au7RHV8GfOFLDrT5SuLNLS5y4aEWUtWlKdMCyMkiot2FMi7KWM1zEmTdQw7dBV8OTQlmnv2hMbL+iNVK9skNPdcK9MEaWuXRFoaZrTlnEuTlWwKQ+Uqm2YEydqnlBcr11TmyrxXQ8c7R9R2G9tTxZw6I/TJW4eEaiqFBUm7hpUG6vuERTlrGYMUe7r2BPYbi1R1Sqq1ZUg8CnNE2nsm9LW7O5V1GNs3JTba28VVJwuqo3W8CjPE6dtW1UirmVPVOrtnVKWMGuQ1Z4v7Q0VaiuWlK0nFVVb8GkQWOtsGtHYLuiQWK4o0hauaVIU5yve0l0vYVQc7yfO1aFxZ0/bbadOlKdsnlLXJXCg0RXn7ZqTXmzh0prtKBBW6mpaE5js61JX7mgSlmAtqM5Xb6fRlavn1JikrqZP1O0plZYkKt5Umq4pEpdnatoVIG1lEBcisCmN1e4mEZdn7BpWJugclB8tXpSf7OWQlitq1del6uFRWq5g01njcWJSX+nhEZWo7FpWYarhUpquo9NaaymT1iOqnpQaZK+h0dfrpxJYn66n0FajbKLS2WtnEpinKh7S3Owj0VluZFLareVS2GgpGBgp5plUoymZGR3n7NcXoKwmz9WnaRoXIWvj0hmqpZVY6OlZFtwlbl1UIGib1eMpG9cjqOATnGwjUxiraJqW3KzlEppo6NkWZGZY2SIsX9Wcoq4iUVeo6BdY3qxnEhelqRtYIirg1Jpk69pW5eWaGBrkrh2WJCYbF93sZVIZnywpVRgiKWCUGyrl1JojaqFU2eWrIJRZKmdYmNxqZ9Va5aieFdwq5dNZ6mQXWaLsnxec4W1hk1mopldX3KmllBpkaNyWpKTZGWDq4pPa4CymE5fh6OCVnOnj1hsmp51WWyqmVlmmJRwY3Gtklptj6p5WWyPq4JSbKqLUGuCrZ5Van+pmVBllJptZIigeV51o5NdaZGgbmR3oJ1gZ3Wok1Fpi6WIVmeemmVpk5xzYnScmVtroZFdbXSTrmpqdoqoa1+JlXRgcqOUXWuFo4tTaaCTYG6ZkmlpdY2thVRxo4RWbX6llWFsf6aSUWySimdrmZBobYSkgmF0mJVmaoGkiVNpjaB9YG6Mp3lldJuRXmyHn4RYbIqlgl52oIlbbIqcgmFyoI9bcJaNZm2WkWhslo5tbH+jiFtuhqGEYHCUlW9lgpl9Y3GJqIhabI+Yc2p9mYpdepp/Y32ed2d0iqd6YXOVkWlsiJJxbXaFrIVdbYuWcWyGk4BhcJeTaXN+jplra3qUk2Vsgpl/ZXiUi2pxf6CLYW2ImHtpfpqKXm+LlXtpd5iPam6HknppdpmPbHF0kZFpb3yZh11yloZmdXyUlm1we5eKYHB8mI5pcH2ahWZ0fpqRbG9zjZZudHqFnnNvgA==');
-    game.sounds.loadSound('explosion', 'data:audio/wav;base64,UklGRj8iAABXQVZFZm10IBAAAAABAAEAESsAABErAAABAAgAZGF0YRsiAAB4d3d3eHiBgoWBfXd3d32Ah4mFe21jW1xldIeMj4J7aWBZXGlzdHh3goWLlaOrrq2hj4VzY09IS09SV2d9j4uJiZWjraiZhW9pam13iZWMhYWPmqi3u7y4raOPcUsnBQAAAwkTLlJpeIeLkK3D0NPKv7W1yuz///////DUwKuCVS8kKSUhKzkzIQMAAAAABQkYQ3idscne7/r27NjAn2UpAAAAAAAAOmeBocDa7/LduKOdnZ+joYFRJREHEyk9WYuyw83KuKGZnaG1u7GklaHF9v///////OKtaScAAAATR2WFqLeuo4txY00vHyQpJytNfZqVgF9BOU9jgqGtwN32/+u1czAAAAATOnOr2Nixd0MrJx8YEQwPG0+V4v/////////wz51NAwAAAAAAAClIT0NDX3N9gHh9k7ze////////+f//////yoxVHQAAAAAALnGBcU8pERs9T1xnZ2pzfZrU////////3qNzVWCAo8DPw49IAAAAAAAAAAA1h8n//////963kGo/AAAAAAAAAB2FwNTP2PX////5083d+v/////UjGpph6fD2tjApIdzaWBcX2dtd3NVLw8PL1dzh5WfvOj///////////+3ajcRGzpXga7a79ehXx8AAAACESdXgZOdqLe8qHNBHx0hHSQ1PUFGVVxSUks6KTA6SGeVwOXv4smkkI+TiXdnV1Vzod3///bs2tC3loBvZVxjdIeQlZ2jpKSnn5qao623u7u/u7GnoZaJd2plY2NgZ2ljXE9GRkdLTU1SZXuJkJqjrrGtraGZiW9SNR0WHSU6V2p3hZWjra6kk4mHhYeLh3hfSEE6QUtVY3eCjJOPh4mZqKiroYt7anGHq8/r///////dmk0RAAMuT1tneIB3cVxGMx8RBwwbMFGCu9TKq4txanR3gYyMmau/w62CXDkXDRYkOmOPsbedd1VHTVlbT0dHT3er2P//+ezh08q/rY9SEwAAAAAAAC5IT0NGX3F7e3h7kLLN8P/////27Pb////8zZZlKwAAAAAAMG17aUckDxg6TV9nZWpxgJrU////////3qNzVWCAo8DPw49IAAAAAAAAAAA1h8n//////963kGo/AAAAAAAAAB2FwNTP2PX////5083d+v/////UjGpph6fD2tjApIdzaWBcX2dtd3NVKw0MLlVzhZWhvOz///////////+/ajMNFjNSfbHi+uGkYBYAAAAAABhNfZCdp7fAqHE1ExEYExgvOTk5SFFIRjohDBMlOWOf2P//+dirlZOThWdNNzVcnfD////////60K2Ve2Vlc4eTlpmVk5CVjI+PkIyMkIyPj4+Pi4yMjIyJh4mJiYWCgYKBgYCAfX19gICAeHh3e3d0eHR3d3dzd3Rxc3Nzc3Ftam1xbW1tbW1tbW1tbXFxb3N0dHNzcWBNS0tDR2mZt7WaeFc9MC4wP1eP1P//////649NOkNcXEs5JRgRDwkAAAAAAAADR5/6//////Do5dOrgF9GNy4rIQMAIVFxb2BNPTU1OUtgeJWx1P//////////t2orAAAAAAAABUNjaWdgWVJNT01PUllcY2dtb3NzdGU3GAcHGDBLcZOrytrs8v//////////+m0JAAAAAAAXYIJ4WTUTAwAAAAADDxgYAAAJPW19eGllgrLi9eXGpIt0Z2NcX2NgWT0kFh9Xn8/Xyq6osauahYGWmpqdt9rl4d3h17KFWTkdDwkMERgfKSsdJTM/XIWalZOHfXtzcW9taWppWVdziZWVkI+JhYGAfX17gH2AgICAgoCAfX2BgYKFgYCAfX1xcW1zhY+VkImHgXh7cWpxd3d7eHh3c3d0cWdLOkhxlaS3vLWjj4B0b2dnZ2NnaWlqam1tcW9zdHR0d3R4d3d3d3d3cVU3HSFGZ32HjImHh4yr0Oz/////8sqrgVdHQzcpME1xeH2LkIdnRysYDwUAAAAAEyVDca7i9eXTsZWBb2pfYGNnbXN3eGNHTVlfZWmJu/D/9dO4sq6jmaPF2tjY4eHKn3hfPzArJyswNT1DR09VWVtcVz0kEwwTIUeBqMDGzej////////ewKuMXC8RAAAAAAAAFz9jb21cS0tnmsDKvLKrmqOyxtO4i1EbDwwTNWCPn5qFc1xDMy4hFwwNFydbo+L////////yzZp9Z19ge5ahk31tW1VPT09VVVtgZWltcXN7eHuAgndgOiQTFyc/WXeWrsbe//////////mogG9fZXuWqJqAXzACAAAAAAANOVyClpWJgod4XEg1KSEkIRYRMFuBkJCVk5OPjIyLjI+VlZaZmp2dn6GhoaGhoZ2hnZmZlpWTkJOMh3NPNR8bJTdNaYWx6P/////////UmmVBOVGArtfr58WBOg0AAAAAAAAAADOHxvn85c28o4BgRjUuKy41PTkzOTUzNTlPfbXd5eHT0+L/////9tCkgnR9hYWJlqiomYdzaVxXWVlfZWdtcXRzdH2FhYBzZ2+Ai5WWlpCQi4+Zo664ycrDsqOWi3h0cW1lZ3GBhYWJi4J3alxSQSknKzlGQUFSb4yoraOhn7W8vL/Au6SJaltXV1FSZ29lYF9ne4uMgnNlanSAmsPw///58uvTpHdcQSsRCQUJCRYpRmB0c2lfUUdHQT9IVWmQpLvG0Of8/O/r7N7DtaiZdFI5KRsNAAkdN1Jvd3dqX190mbe/squomp+uvMOxj1wzKSUpP2CClZCHgHFbT0Y5LiEfKzpppNf1///16+zdvJB3Z1tge5Oaj3tvXFdRUVFVV1xjZ2pvcXR4eHuAgHdjPScXGyk/W3eVrsXe//////////mogG9fZXuWqJqAXzACAAAAAAANOVyClpWJgod4XEg1KSEkIRYRMFuBkJCVk5OPjIyLjI+VlZaZmp2dn6GhoaGhoZ2hnZmZlpWTkJOMh3NPNR8bITVLZ4ex6P/////////XnWM9N0+Bstrw78l9NQIAAAAAAAAAACeJ0///8NTApH1fOikfHSEpMysnLiUlJytGfcP6///r4vD//////+ixh3iCjIyVpLy/p490Y1JPT01VW2Bnb3Fxc4CLj5CMhZCWnZ+fmpWTjI+Mi4yJi4uMjImLjIuMjIuHi4eJiYmFgoGAgYB9Y0ZPZ3d3Y1dbbXR3cWpxkMrw/////+GoaUE5NTpcfYVqVU9DMBcHAAAHFitSmuH///////bdqHdfQx0AAAAAAAAAPX2jmoBbSFl9kJ2tqKutn6i/2OXXqId9iYmFkKSrqJ+WjIKAgIGCgoeMi5CPkJWWmZqVmZWVlZWTk5CPj4yLhYB7aVJSYGqHrcXJybion4uCjKSyrpmBbVtPRkFDP0NBQUtfY2lpaWlnZ2lqZWlqam1vbW1xc3F0d3R4dHd4eHh4eHh7gYBtZXGAgGlPMyk3Z5q3uLjD2NrFo3hXPzMzOlWM0P//////4qRfLxgFAAAYQ1xqgZWPgHFXS1FneH1vW0g6MzAvJyUbDQcJEytBdK3e+v//+v/////////////Ah0sNAAAJP3OhuLKTb1I5Hw0AAAAAAAAAACE9T19pfaHD5///+uHApI+Bh6vi//////nAez8JAAAAACdxt+z//+uxgmBNLwMAAAAAAAAAPZnN1MC3w9fs/OvJrZ2HWzUnJR8bGB03b7f///////b26MWWb1c6N0Ztrvn///////zQk1UXAAAAGEiAq7WopKOkp514QQ0CDRgdNVV7jIBcRk1jbVxHPU19t/D////oxZ+WnZB0W197ncXi69qylYJxZ1tXUVFSVVxjZWpXNy9IY21qc5O/5fDUsp+rrZ+AZUEzMEh0kKO/6P/////Uk1k5OUNXfafNz7yomoFSGwAAAA1GeJ+rmndXKxMYJR8MAAAAGD10rcnY3tDJ0+H1///85cCQb0cPAAAAAAUXSI/X////9uvs///ntYBPLxsdM2eu9f///+jKq4FcQzVBc6vd////2pNVNS46T2BpZ1UlAAAAAAAAAAAbM01pnc3n9fDl5/z/////////2olIFwINQXOJnbe/p31NGAAAFiUwTXuntbvF1Nra0MCnj2MnAAAAAAAAE2qTloJze5+/yr+on7fa////////2sOymnRbRi4vSGp9e3iCkKGuo4V0Uj9IW2BVPy8hMFd7kK3Q5/z//+zQspaJhYKPte///////890QSURAAAYP1FZandqRhcAAAUnN0hlc21lamlbTUElCQkTGB85aaHQ4d7d3d7Pp3RXRzpIb5nA4ezlvJ+Qi4dzTy8uR1tneIBxcX2Ln7fAuK6dma7N5f//////////57uhiWNNQz8uDQADHS4vHw8ACSlLX3eWq8De9vno4t3DoYdfOREADBckMFWJuOX56MWjdFdSWWd3gYBZJQAAAAAAAAAMP3GkyeH//////97GspmTna28rZmCZ1JHLxcDAAk1dKO808+1o52Vk6e/u599VTclJUiBp7WxrbzGu7KjgVxHRjkwOVd7hY+Lgn1xY217eGNDHwkAAAcraq7Q1NDY6OfNqJmdq8DPz7uPTxMAAAAABzp4oa68z828qI97fYKBalVRSEE3MEZ0p8PU2s3KuJ19X0tNbZ/X9fDnzaN4Y1dHNys1XJPF6//816iJdGdSJAAAAAAADFydytPJv7u7u7iuo5mFcU0WAAAAAAAAIUZqnd3////87Pb////n2MmympaZj4WJqMne2sCrfVEuJx8PFiQvLj1PW1ljb3SBiYuaq8DGroVVJwcFJFGClZaViYKAcVU9KyQwRmWLsdjr2rWZkJOHZ01IV2dte4yQi4eLmaGdhV8vBwMfQ22Wrre1rZqapLjFu5qFd21lV1dniae3pItzZ21tY1tbZ4Gkzd7Yzc3Jxs3ArZCAgIuWn7jd6Ofh0Ma4mYB7dHFqZ2A9DQAAAAAAAAAAAA1DaZC4zdfi6+vl6Ovn18aneEETAAAAABNBeKvT4trGnXtzd4mTjIdvSy4hGyEkISU5YImy0N7w8uLQwKOCZ09LVWV4eIGPkJCMdFtNT1+ApLe4t6iQgomTob/UyrGLYD0kGDBfh5qjrcPQw7inj21cVT8uLkNcY210eIJ9dHuFgWpLLhMDAxc3cafDw7zA09fDo5mfscnX18WZXCEAAAAAFkd9o667ysa3o4t7gIWCbVVRSEE3MEZ0p8PU2s3KuJ19X0tNbZ/X9fDnzaN4Y1dHNys1XJPF6//816iJdGdSJAAAAAAADFydytPJv7u7u7iuo5mFcU0WAAAAAAAAIUZqnd3////87Pb////n2MmympaZi4KLqMni3cOoe00rIRcJDB8pKzlPW1djcXiHkI+frcPFqHc/DQAAEUaBlZaThW9jSy4TAgMkRm+k0///+sqnmpqMb1dcc32BjJ+dk4yWo7GulWowAwIhUYe3ybytloGAkKi8wKiVi4FvSzc/YIefmYBjVV9panFzd5PG/P////nr3tfApIBpb3R0cYGksrWxmYV0XFFZZ3iChXdIDAAAAAAAAAAAAAA1d6fU6+jh4t7a6/z////yu3QuAAAAAAAAJFyd2PXw0KiVn7e3pJOLhXFqd5Oon4+FlrHK2N7Qp3tjTysCAAAAAAAADE2h6P////Dw/////+uxeEcvL1GLxvb/+t21gUsXAAAAGD1vqNTs4s28tbGniVcdAAAAAAATUYy7xreooY90Z1FHUWqJlYVgPx0XL01ndIWh1P//////17+1o6i/1+HPtaeZdEgnGy5LantqRhcAAAAAAAMJHTNHW4G1+f////DXzcDD0NrKo4JvWT8zP1xpY0YpFgIFJUhqkJ+ZiX2Foc3s+ufAn2o3BwAAAAMTNVVlb4ex3v/2066VgXeCmrKymXFDIRYwYJ3Jz7ujmodxW1Vpk7i/tbGupJCQlp2rra61q5N3ZWp3dHFnd4uVlaG73fz//9eTX0EbAAADCQkdR3eryd3i2sarj3FGBwAAAAAAAAAAG0Nfc4er0+vw7OXe+f///////+ehgXR7cW10gIyAZUcpAwAAAAIpUWBXTVl3mrLDq5OFeGBLR09HP0tcfZCaoYVpX1tpd4eHjIyAYEM/OTA1NTVNb4eLgHFxjLjX2M27vMnJxri82P/////vt4FSNy8pN2CW0///79SjaUczJSU6VWpfTz0YAAAAAAAAAjdXcYmHfWVPQ1Fqgp+xuMO8t7GZd1xBMCsvS327+f///+GrgmNRWWdjTz8/PTU3UXuow8CfiX1qWUZDYI+yxtry///nzbyysrGtmnRVNw8AAAAAA0uJrbKuo52xxc3JwLiyra7F8v///////9CJSBEABytSeJOVeEYJAAAAAAcFDSVNX2l7kKGxq4txYFI6GAMNL1eCn7W8u6uBYE1NV2VzfYKCcUsfCREzW3FqY2qFn6GViYKav9rh07iklYmHi5ajxvz/////9deyiWNIMzlbibXY5+G7dzcNAAAAAAAAAAAAAAATNUFHV2d3kK7K4eLJlWNLMx0WJzU9QUtnh5ajuMrX5+jXv6iuxef////lq209JC9ShaurrrGxmXFZV2V9h4FcOSEPDy5SdIWVo8ny/////////9iWVx8AAAANL1uPwOj//9qjd2VndHFjWUcpEQIPNWqap52JhZCTj4yCe4KVqLe/vKFpQSsuQ1t3iZCTj3FPNxcNFys1P0tHPTMvN1l7mqGorrjY///////v4buTbVlZXGl0eIKCgoJxXEdLYHuPmYlgLwAAAAAbN1FlZ1dPXHN7dFxIS2OJq8Xa17eVgm9XRkNHPzo9MycXHz1qk5+ak5anq6ujp7/i+f//79OxlYudsre4xsW4qKGVfVs1Gx0nKTdPdJWWi3tjW2NziZqhmoyBgoyMhZOryt3PvKiCWzMWAAADGEeBuN3i2MCnlpCHbUsrDwICGEuFt97o1MOymoBqZ2p0e3txUSkCAAAADy5GW3ek1/D8//nw8u/XysW7n4BlZ3F3e4GToa2xrqSMaU9BMyQbEQcAAAARP3ijrq6kp7/Y2traxrutk3hjX2lxgIuJfW9teHt4b22CocPQw7KWc08/Rldqe4d7YEYuDAAAAAAAFz1leJWdn5WZmpmkqKu1w9TQwLGWfXNjUkc/Oj1RaoCTq7fJ4efYz8/Kv597VzcnGx83WXOBi5OPi4mJgYGCgImkxeL8//bQo4FlSDU3P0ZPX297cV9RVWl4gXRlY1tVWVdjgJmknYt7gImPmZqTk6Gxu7iurqiVeGNSTUhSaXiJk5CFgW1bW2BqbW1bRzUuME9zk6iuq7G4xcDDu6iWi29SOSs1QVdpcXd7h5WZj317iZCWlXtSKwcAAAcwT2+JmpWQlZaQgnFjYHeTsb/GvJ+Cb2NbV1lcV1VVRjUlHzVXd4mLi5Wjp6unrcDX5+/w4smnj4WPmZqfrq2nn52akHhZPTU3Nz9PaoeCeGpXVWN3jJ+kmpCFh4yJgYuhvMm8p5VzUTAYDAkTK1eMv97i2sWxn5mMc1UzGA0MIVGHt9rlz8CxmX1pZWlzd31xUS4FAAAADS5GWXek1/D8//nw8u/XysW7n4BlZ3F3e4GToa2xrqSMaU9BMyQbEQcAAAARP3ijrq6kp7/Y2traxrutk3hjX2lxgIuJfW9teHt4b22CocPQw7KWc08/Rldqe4l7YEYrCQAAAAAAETljfZmjpJmdn6Gnq6u3xdfPv6uPd2lZRjMkHSE5X4CfvM3Y7O/i1NPPxaiBVS4WAwwuYIKap6udj4uHeG9jWWOJqNDy//zhuJ+HalFHQz03OkNGOS4vR2eAhXNlZWNpdHuJoa2tmYF3e4CMn6Gan67Aw7WnpKitmoJpUkE9UWeBlaOosqiViYmVkIJnTTcrLkZpkK2uqKedh3NqYE9BMyUPAAAMJD9ZZWl3jKfDxruysq2ji2dBIQ0MDyVNb5a73evr4s2tlo+FhZOkt66jj3dbSE1gd4KBgIJ9alE3Hx8vQ1VlfY+VmaSusry4uMPFvKeLgW9jUUhRX2Nqe5CrxdTNrodqY19SUU09LyQlOl+FobKon5WQi3tpYGNlZVU9JREMERguSF93lrjU5efh6Pr/+uXTwKuWhYuWk4+TkIV3cW1fRykXExsnPUtbaWpnZ3SLoaefmpmWk4FxYFFIQTkvJysvP1uAkJqjrsri593Pyc/GspmMgnNqbXuQpLW7rpZ9cV9HLhYMFiE1T2B0gYGBh4uMlpqfq7exo4+CgHuFj5CHdGBRRkFHW3SMo62tpJWWn7HAv62Jak86NUNggpmjnZmWh2pSTVJfZWBfW0c1Jyk/W21zdICQpLLAxsO7rZ+FZ1E9JQ8JDBg9apq4wLiyt8DJxrGajIF9hZWjrqSfnZ+hn5+Te2lfXF9bT01XUlFSUVFXV1dfaneHkJmnuLu4tbe7u7exq5V3Y0swISEzUW+CiYJ7b2NpbW1tamVnaWNcVVtxjJCVjIB7fYuhqKOfoaSjmYmAc2pfVU1HTVt0la64q5N4ZVJZXGV4h4mBc29pXFdbX2dvc3h9e4B4cWNbUllvjKSxrqidj4VzZ1VLR0dLWXeVu9jn4c3AsZ2HeHh3d2pgVUs6MDlNaXuBfXdzfYmWpK6xra64xtPY18atmYV4ZUs/Pz1HWWlvampxgYyTi31xbWpvc3N4d3NqZWBtgpmuuKeWj4B0Z1tfaoGVmpOPgG1XR0FGUVxthY+PhYCAc3RvamNXUUtPY3uWqKutp6GdkIFzbWNSUVFRTUE/Q0hVW2BfYGBpe4eTo6GjmZCPmaS3w7+3squah3RvZ2Vvd3txamlqZ2NfXGd7kJqamZmWlZmhmpaVlY+FgIB3al9fZXOCiYyQi31xZ2NbVVJNR0tXW2NvgYyVoZ+an6OdlpCJhYKHkKe7v8PGxsW3nYJlT0dLXG2Bi5OLgGNXT1FPRj06Rk9cbYKTmp+ZjIeBgHdtampxb2dnX1lZW1lbZW90jJadnZqViYeFh4mVmpaMgHdvamlvgImPlZ2fmZaWlo+FeHdtbXiHmaSrraeZgm9SQzcwJyc1Q01jdIeQlpCCgH19fX17al9bTUE6Oj1DT1lpeIWPpLG3u7exsrfDxcC8u7Gdh4F0amNlb3iFi4+HfWNZVVdSTUNBP0NHUmV9k5qZk5CVmqiusaeWi3dnV1FRV2Nqc3RxcXuAhYKBgICLmaOjp6SdlZCMiYF3b2BZWVFSVVdganNvbWNlZ21vcW90dHuFh5OdpKSnp6Shk4mBeHd3fYGAgH1vZ2BfaXF4fXt4dGlnX2Bqd3h7c2ptbXF0fYKBgIGCgoCAhYmLh4KBgIKLmZ+hoZqPhXt0bWp0gYWJjJCMgnt0dHd9gIBzZ1tPSEtSXGdteIGJjJadpKSdk4uHfXFqY2VgX19jcXd7gYeMk5WQjImBgoeQn6GdnZOJfXt7eHt4dHd9fX2BgIB7eHd0b3Ftam1veICBgYWHj4uLjImAe3dxamppaW1tcXd7gouMkIyHh4eHgoGAgoCBfYWCfX13c3R0d3dzcW9xdHd4eHR0b3Fzd3R0c3N4fYB9fX2CiYuJh4eHiYyQj4mCfXt3c3N0e3uAfXdzcW93gImJiYeCe3d4gIWCgoB3c3R0eICBhYKAfXdtZ2VfW1lgY2l0gYuQlZCJgoB4dHRvaWNcW1VZXGNpc3SAhYyQnaSop6GamZmfoaOkqKOai4l9c21pbXN7fYKFgHNtaWlnY19bV1lbYGl3gIKAfYCCjJmdmpaPi31xZ2BjaW94gIGAgIKChYF9fXuFkJman5qWj4uCgntzcWVcW1lcX2Nqc3Rzc2ptbXFxc29zdHh9hY+Wmp2hoaGfk4mCe3t7gIKBgXt0amVjaXN3e3h4eG1pZWdteHt9dG1tb3N3gIKBgIGCgoCChYmLh4KBgIKLmZ+hoZqPhXt0bWp0gYWJjJCMgnt0dHd9gIBzZ1tPSEtSXGdteIGJjJadpKSdk4uHfXFqY2VgX19jcXd7gYeMk5WQjImBgoeQn6GdnZOJfXt7eHt4dHd9fX2BgIB4d3RzcXNtam1xeICCgYWHj4uLiYV9eHNtZ2dnZWlpanFze4eFiYeAgoWJi4mHh4KBfYGBgIB9fX19gIGBfXRzdHNxb2dpZ2lvcXN0dHR4hYWFh4ePmZmVkJCLiYeLiYF4eHRvaWllam93eHdzc3F3gIWFgX1xaWNncXuFhYKAdG9qZWNlaW1vd3t9fYKBgICAfX2BhYyQlZOLhXt4b21nY2NgY2dvfYmJk5CQj5CTk5WWj4eBd3h0d4CHkJCTjIyHfXhtZWVqbXOAhYeJh4WFhYKBfYB7c21nW1VPUl9ncXR0dHd7hYGChYKFiYuPlpmdmpOLhXt4eG9ze4GAgoGAdG9paWdlaWdlaW93fYeJiYKCgICAgH19dHNqaWppbW1xcXN0e4WFiYWHgoeChYuJjImJgHt7c21pbXF7gH2CgYCAgICAgH19fX19gYKAgH19gYGCgoCAfXdzb2ptdHh7gYGAfXh7fYCAgIB9gYKJiYuMi4uHgoKAeHNzb3F0dICCgYKFgoKAgH19fX19e3R0c3Fvc3R4e32AgYKFhYWHhYWFh4WFh4uJh4F9e317gH2AgIGCgoJ9fXRzc3N0cXNzc3iCgYKBfYB4eICAgH2BgYF9dHFpaWlnam90e4WLkI+LhYB9fYCAgICAfX10c3NxcXN0eHt9gYGAgIGBfX19dHd7gYCAgICAgIB4eHd7gYCBgoWLi4uJgoWBgn17fX10c3h7gYB4d3d4e3h7e3d7d3uBgICAgICAfX19fX19fXd3e3uBgICAgICAgIB9fX19fXh4eHd3eHuBeIGAeHh3d3t3e3d4e3d4eHR3eHt4e4F4e3t7gYCAgICAfX19fX19fX19fXh4d3uBgICAgIB4d3uBgICAgICAeICAgICBgYGAfX19fX2BgX2BfX19fX19fYCAdHR0dHeCgYCAgICAdHR4gYCAgICAdHR0dIKAgICAgICAgH2BgYGAfX19fX2BgYeFgYB9d3R3e4GAgICAgICAgICAgX19fXRzdHR3goCAgICAgICBgYGAgH19fXR3dHR4dHh4gIGAgIGBgoKCgYB9fX19fYKCgoWFgYGBgYB9fX19e3h3d3RzdHF0dHt9gYGAgIGCgoKBgIB9fX17gHh3e3d7gYCAgIF9gX19fXt4eHd3eHh4eHR3eICBgICAgYKChYWHhYWFhYWFgIF9e319d314fYCAgIB7e4B7eHd3dHNzd3t4goCAgYF9gX19fX17eHh4d3Rzc3R3e317gYCAgYKCgoGBgYGBgYGAfXh4d3d7gYCAgIGBfX19fX19fX19fYF9fX19fX19gX19gYKCfX19fX19fYGCgIKAfX19fX19fX2AgIGCgoKBgH19fXt4d3d7d3t9gYCAgHt4fXh4fYCAgICAgICAe3t4d3d7fX19gICAgIGCgICCgICCe319e3h4d3t9fX2AgICAgICAgH2BgYKCgYGBgYGBgYGBgYGAfX17eH14eH2AgICAgICAgIB7e3h9eH2AgICAgHt4fX19gICAgICAe3h3d3t3eHt7gYCAgYKCgoGBgYCAfX19fX19fX2AgICAgICAgIB7eHh9gICAgICAe3uAgICAgICAgH19fX19fYF9fX19fXt4fXh9gICAgX2BgoCC');
+    //  Load the sprites, unless we're coming back to the welcome
+    //  screen and already have. Until they load (or if they can't) we
+    //  draw plain rectangles instead.
+    if(!game.sprites) {
+        game.sprites = new SpriteSheet('./assets/sprites/spaceinvaders.png', SPRITE_FRAMES);
+        game.sprites.load();
+    }
+
+    //  Create the sounds. They're made up once the player presses
+    //  something, as browsers won't play sounds before that.
+    if(!game.sounds) {
+        game.sounds = new Sounds('spaceinvaders.volume');
+        game.sounds.init();
+    }
+
+    //  Start with the mode and difficulty that were played last.
+    this.selectedMode = GAME_MODES.indexOf(gameMode(game.mode));
+    this.selectedDifficulty = DIFFICULTIES.indexOf(difficultyPreset(game.difficulty));
+
+    this.canContinue = !!game.savedGame();
+    this.idle = 0;
+};
+
+WelcomeState.prototype.leave = function(game) {
+    this.demo = null;
+};
+
+//  The demo draws to our canvas, so it's resized with us.
+WelcomeState.prototype.resize = function(game) {
+    if(this.demo) {
+        this.demo.resize();
+    }
 };
 
 WelcomeState.prototype.update = function (game, dt) {
 
+    //  After a few seconds with nothing pressed, the autopilot starts
+    //  playing a demo. When it's lost, it starts another.
+    if(!this.demo) {
+        this.idle += dt;
+        if(this.idle >= game.config.attractDelay) {
+            this.startDemo(game);
+        }
+        return;
+    }
+    var state = this.demo.currentState();
+    if(!(state instanceof PlayState || state instanceof LevelIntroState)) {
+        this.startDemo(game);
+    }
+    this.demo.update(dt);
+};
 
+//  Starts a demo game, drawing to the same canvas and sharing our
+//  sprites and levels. It's silent, isn't recorded and doesn't count
+//  towards the stats or the high scores.
+WelcomeState.prototype.startDemo = function(game) {
+    var demo = new Game();
+    demo.config = JSON.parse(JSON.stringify(game.config));
+    demo.initialise(game.gamecanvas);
+    demo.levels = game.levels;
+    demo.sounds = new Sounds();
+    demo.sprites = game.sprites;
+    demo.newGame(undefined, 'single', 'normal');
+    demo.recorder = null;
+    demo.autopilot = new Autopilot();
+    demo.moveToState(new PlayState(demo.playConfig, 1));
+    this.demo = demo;
 };
 
-WelcomeState.prototype.draw = function(game, dt, ctx) {
+WelcomeState.prototype.draw = function(game, dt, ctx, alpha) {
 
-    //  Clear the background.
-    ctx.clearRect(0, 0, game.width, game.height);
+    //  Draw the demo (dimmed, so the title stands out over it), or
+    //  clear the background if there isn't one.
+    var demoState = this.demo ? this.demo.currentState() : null;
+    if(demoState && demoState.draw) {
+        demoState.draw(this.demo, dt, ctx, alpha);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, game.width, game.height);
+    } else {
+        ctx.clearRect(0, 0, game.width, game.height);
+    }
 
     ctx.font="30px Arial";
     ctx.fillStyle = '#ffffff';
     ctx.textBaseline="middle"; 
     ctx.textAlign="center"; 
-    ctx.fillText("Space Invaders", game.width / 2, game.height/2 - 40); 
+    ctx.fillText("Space Invaders", game.width / 2, game.height/2 - 80); 
+
+    //  Show the mode and difficulty that are chosen, with arrows to
+    //  change them.
+    ctx.font="18px Arial";
+    ctx.fillStyle = '#ffff33';
+    ctx.fillText("< " + GAME_MODES[this.selectedMode].label + " >", game.width / 2, game.height/2 - 45);
+    ctx.font="14px Arial";
+    ctx.fillText("Difficulty: " + DIFFICULTIES[this.selectedDifficulty].label + " (up and down to change)",
+        game.width / 2, game.height/2 - 22);
+    ctx.fillStyle = '#ffffff';
     ctx.font="16px Arial";
 
     ctx.fillText("Press 'Space' or touch to start.", game.width / 2, game.height/2); 
-    ctx.fillText(" (fullscreen for better experience)", game.width / 2, (game.height/2)+(game.height/8)); 
+    if(this.canContinue) {
+        ctx.fillStyle = '#ffff33';
+        ctx.fillText("Press 'Enter' to continue your last game.", game.width / 2, game.height/2 + 25);
+        ctx.fillStyle = '#ffffff';
+    }
+    ctx.fillText("Press 'F' to go fullscreen.", game.width / 2, (game.height/2)+(game.height/8));
+    ctx.fillText("Press 'H' for high scores.", game.width / 2, (game.height/2)+(game.height/8) + 30);
+    ctx.fillText("Press 'C' to change the controls.", game.width / 2, (game.height/2)+(game.height/8) + 60);
+    ctx.fillText("Press 'S' for stats and achievements.", game.width / 2, (game.height/2)+(game.height/8) + 90);
+};
+
+WelcomeState.prototype.actionDown = function(game, action) {
+    if(action === 'left') {
+        //  Left and right choose the mode.
+        this.selectedMode = (this.selectedMode + GAME_MODES.length - 1) % GAME_MODES.length;
+    } else if(action === 'right') {
+        this.selectedMode = (this.selectedMode + 1) % GAME_MODES.length;
+    } else if(action === 'up') {
+        //  Up and down choose the difficulty.
+        this.selectedDifficulty = Math.min(this.selectedDifficulty + 1, DIFFICULTIES.length - 1);
+    } else if(action === 'down') {
+        this.selectedDifficulty = Math.max(this.selectedDifficulty - 1, 0);
+    } else if(action === 'fire') {
+        //  Fire starts the game. Versus games find an opponent first.
+        game.newGame(undefined, GAME_MODES[this.selectedMode].mode, DIFFICULTIES[this.selectedDifficulty].difficulty);
+        game.moveToState(game.mode === 'versus' ? new LobbyState() :
+            new LevelIntroState(game.currentPlayer().level));
+    }
 };
 
-WelcomeState.prototype.keyDown = function(game, keyCode) {
-    if(keyCode == KEY_SPACE) {
-        //  Space starts the game.
-        game.level = 1;
-        game.score = 0;
-        game.lives = 3;
-        game.moveToState(new LevelIntroState(game.level));
+WelcomeState.prototype.inputDown = function(game, input) {
+
+    //  Pressing anything stops the demo and puts off the next one.
+    //  What's pressed to stop the demo does nothing else.
+    this.idle = 0;
+    if(this.demo) {
+        this.demo = null;
+        return true;
+    }
+    if(input === 'key:Enter' && this.canContinue) {
+        //  Enter continues the saved game.
+        this.canContinue = game.loadGame();
+        return true;
+    }
+    if(input === 'key:KeyH') {
+        //  H shows the high scores.
+        game.pushState(new LeaderboardState());
+        return true;
     }
+    if(input === 'key:KeyC') {
+        //  C changes the controls.
+        game.pushState(new ControlsState());
+        return true;
+    }
+    if(input === 'key:KeyS') {
+        //  S shows the stats and achievements.
+        game.pushState(new StatsState());
+        return true;
+    }
+    return false;
 };
 
 function GameOverState() {
 
+    //  Where each player's score came in the high score table, or -1
+    //  if it didn't get in, and the next player to check.
+    this.ranks = [];
+    this.nextHighScore = 0;
+}
+
+GameOverState.prototype.enter = function(game) {
+
+    //  The game is over, so keep the replay of it, and count its
+    //  stats. There's nothing left to continue.
+    game.stopRecording();
+    game.clearSavedGame();
+    if(game.stats) {
+        game.stats.endGame(Math.max.apply(null, game.players.map(function(player) { return player.score; })));
+    }
+
+    //  Playing against the invaders, the game only ends when every
+    //  player is out, so it's lost.
+    game.reportGameOver(false);
+};
+
+GameOverState.prototype.update = function(game, dt) {
+
+    //  If a player's score made the high score table, ask for their
+    //  name. This is done here rather than in 'enter' as we can't push
+    //  a state while we're still being moved to. We're updated again
+    //  once they're done, and go on to the next player.
+    while(this.nextHighScore < game.players.length) {
+        var index = this.nextHighScore++;
+        var player = game.players[index];
+        this.ranks[index] = -1;
+        if(game.highScores && game.highScores.qualifies(player.score)) {
+            var self = this;
+            game.pushState(new NameEntryState({
+                name: '',
+                score: player.score,
+                level: player.level,
+                date: new Date().toISOString(),
+                time: Math.round(game.playTime),
+                difficulty: game.difficulty
+            }, function(rank) {
+                self.ranks[index] = rank;
+            }, game.players.length > 1 ? "Player " + player.number : null));
+            return;
+        }
+    }
+};
+
+GameOverState.prototype.draw = function(game, dt, ctx) {
+
+    //  Clear the background.
+    ctx.clearRect(0, 0, game.width, game.height);
+
+    ctx.font="30px Arial";
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline="center"; 
+    ctx.textAlign="center"; 
+    ctx.fillText("Game Over!", game.width / 2, game.height/2 - 80); 
+    ctx.font="16px Arial";
+
+    //  Show how each player got on, two lines each.
+    var y = game.height/2 - 40;
+    for(var i=0; i<game.players.length; i++) {
+        var player = game.players[i];
+        var who = game.players.length > 1 ? "Player " + player.number : "You";
+        ctx.fillText(who + " scored " + player.score + " and got to level " + player.level, game.width / 2, y);
+        if(this.ranks[i] >= 0) {
+            ctx.fillText("That's number " + (this.ranks[i] + 1) + " on the high score table!", game.width / 2, y + 20);
+        }
+        y += 45;
+    }
+    y = Math.max(y, game.height/2 + 20);
+    ctx.fillText("Press 'Space' to play again.", game.width / 2, y);   
+    if(game.lastReplay) {
+        ctx.fillText("Press 'R' to watch the replay.", game.width / 2, y + 30);
+    }
+    if(game.highScores) {
+        ctx.fillText("Press 'H' for high scores.", game.width / 2, y + 60);
+    }
+};
+
+GameOverState.prototype.actionDown = function(game, action) {
+    if(action === 'fire') {
+        //  Fire restarts the game, in the same mode.
+        game.newGame();
+        game.moveToState(new LevelIntroState(1));
+    }
+};
+
+GameOverState.prototype.inputDown = function(game, input) {
+    if(input === 'key:KeyR' && game.lastReplay) {
+        //  R watches the replay of the game that just ended.
+        game.pushState(new ReplayState(game.lastReplay));
+        return true;
+    }
+    if(input === 'key:KeyH' && game.highScores) {
+        //  H shows the high scores.
+        game.pushState(new LeaderboardState());
+        return true;
+    }
+    return false;
+};
+
+/*
+    Name Entry State
+
+    Asks for the initials to put next to a high score, arcade style.
+    When the name is entered the score goes into the high score table,
+    'done' is called with its position, and the state is popped. The
+    heading (optional) is shown above, to say whose score it is. The
+    score goes in the game's high score table, or 'table' if it's
+    given.
+*/
+function NameEntryState(entry, done, heading, table) {
+    this.entry = entry;
+    this.done = done;
+    this.heading = heading || null;
+    this.table = table || null;
+    this.letters = ['A', 'A', 'A'];
+    this.cursor = 0;
+}
+
+NameEntryState.prototype.draw = function(game, dt, ctx) {
+
+    //  Clear the background.
+    ctx.clearRect(0, 0, game.width, game.height);
+
+    ctx.font="30px Arial";
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline="middle";
+    ctx.textAlign="center";
+    ctx.fillText("New High Score: " + this.entry.score, game.width / 2, game.height/2 - 80);
+    if(this.heading) {
+        ctx.font="18px Arial";
+        ctx.fillText(this.heading, game.width / 2, game.height/2 - 115);
+    }
+    ctx.font="16px Arial";
+    ctx.fillText("Enter your initials", game.width / 2, game.height/2 - 40);
+
+    //  Draw each letter, underlining the one we're on.
+    ctx.font="36px Arial";
+    for(var i=0; i<this.letters.length; i++) {
+        var x = game.width / 2 + (i - 1) * 40;
+        ctx.fillText(this.letters[i], x, game.height/2 + 10);
+        if(i === this.cursor) {
+            ctx.fillRect(x - 14, game.height/2 + 32, 28, 3);
+        }
+    }
+
+    ctx.font="16px Arial";
+    ctx.fillText("Type or use the arrow keys, 'Space' to save.", game.width / 2, game.height/2 + 70);
+};
+
+//  Typing a letter sets it and moves on, backspace goes back.
+NameEntryState.prototype.inputDown = function(game, input) {
+    var typed = /^key:Key([A-Z])$/.exec(input);
+    if(typed) {
+        this.letters[this.cursor] = typed[1];
+        this.cursor = Math.min(this.cursor + 1, this.letters.length - 1);
+        return true;
+    }
+    if(input === 'key:Backspace') {
+        this.cursor = Math.max(this.cursor - 1, 0);
+        return true;
+    }
+    if(input === 'key:Enter') {
+        this.save(game);
+        return true;
+    }
+    return false;
+};
+
+NameEntryState.prototype.actionDown = function(game, action) {
+    var letter = this.letters[this.cursor].charCodeAt(0);
+    if(action === 'up') {
+        //  Up and down go through the alphabet.
+        this.letters[this.cursor] = String.fromCharCode(letter == 90 ? 65 : letter + 1);
+    } else if(action === 'down') {
+        this.letters[this.cursor] = String.fromCharCode(letter == 65 ? 90 : letter - 1);
+    } else if(action === 'left') {
+        //  Left and right move between the letters.
+        this.cursor = Math.max(this.cursor - 1, 0);
+    } else if(action === 'right') {
+        this.cursor = Math.min(this.cursor + 1, this.letters.length - 1);
+    } else if(action === 'fire') {
+        this.save(game);
+    }
+};
+
+//  Saves the score and goes back.
+NameEntryState.prototype.save = function(game) {
+    this.entry.name = this.letters.join('');
+    var rank = (this.table || game.highScores).add(this.entry);
+    game.popState();
+    if(this.done) {
+        this.done(rank);
+    }
+};
+
+/*
+    Leaderboard State
+
+    Shows the high score table. Push it on top of another state, and
+    it pops itself when the player is done looking.
+*/
+function LeaderboardState() {
+    this.syncing = false;
+    this.syncError = null;
+}
+
+LeaderboardState.prototype.enter = function(game) {
+
+    //  Fetch the latest scores from the server, if there is one.
+    var self = this;
+    if(game.highScores.backend) {
+        this.syncing = true;
+        game.highScores.sync(function(err) {
+            self.syncing = false;
+            self.syncError = err;
+        });
+    }
+};
+
+LeaderboardState.prototype.draw = function(game, dt, ctx) {
+
+    //  Clear the background.
+    ctx.clearRect(0, 0, game.width, game.height);
+
+    ctx.font="30px Arial";
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline="middle";
+    ctx.textAlign="center";
+    ctx.fillText("High Scores", game.width / 2, game.gameBounds.top - 20);
+
+    var entries = game.highScores.entries;
+    ctx.font="16px Arial";
+    if(entries.length === 0) {
+        ctx.fillText("No high scores yet. Go and set one!", game.width / 2, game.height / 2);
+    }
+
+    //  Draw the table in columns. Scores from before there were
+    //  difficulties don't say which they were played at.
+    var columns = [-190, -140, -60, 15, 80, 160];
+    var y = game.gameBounds.top + 20;
+    var headings = ["", "Name", "Score", "Level", "Time", "Difficulty"];
+    for(var i=-1; i<entries.length; i++) {
+        var row = headings;
+        if(i >= 0) {
+            var entry = entries[i];
+            var time = entry.time || 0;
+            row = [(i + 1) + ".", entry.name, String(entry.score), String(entry.level),
+                formatPlayTime(time), difficultyLabel(entry.difficulty)];
+        }
+        for(var c=0; c<columns.length; c++) {
+            ctx.fillText(row[c], game.width / 2 + columns[c], y);
+        }
+        y += 22;
+    }
+
+    ctx.font="14px Arial";
+    var status = this.syncing ? "Fetching scores from the server..." :
+        (this.syncError ? "Couldn't reach the high score server." : "");
+    ctx.fillText(status, game.width / 2, game.gameBounds.bottom + 10);
+    ctx.fillText("Press 'Space' to go back.", game.width / 2, game.gameBounds.bottom + 40);
+};
+
+//  Returns the label for a difficulty saved with a high score, which
+//  may be one this version of the game doesn't know.
+function difficultyLabel(difficulty) {
+    if(!difficulty) {
+        return "-";
+    }
+    for(var i=0; i<DIFFICULTIES.length; i++) {
+        if(DIFFICULTIES[i].difficulty === difficulty) {
+            return DIFFICULTIES[i].label;
+        }
+    }
+    return String(difficulty);
 }
 
-GameOverState.prototype.update = function(game, dt) {
+LeaderboardState.prototype.actionDown = function(game, action) {
+    if(action === 'fire') {
+        game.popState();
+    }
+};
+
+LeaderboardState.prototype.inputDown = function(game, input) {
+    if(input === 'key:KeyH' || input === 'key:Escape') {
+        game.popState();
+        return true;
+    }
+    return false;
+};
+
+//  Returns a number of seconds as minutes and seconds, like '3:07'.
+function formatPlayTime(seconds) {
+    seconds = Math.floor(seconds);
+    return Math.floor(seconds / 60) + ":" + ("0" + (seconds % 60)).slice(-2);
+}
+
+/*
+    Stats State
+
+    Shows the player's lifetime stats and the achievements, with the
+    ones they've unlocked lit up. Push it on top of another state, and
+    it pops itself when the player is done looking.
+*/
+function StatsState() {
+}
+
+StatsState.prototype.draw = function(game, dt, ctx) {
+
+    //  Clear the background.
+    ctx.clearRect(0, 0, game.width, game.height);
+
+    ctx.font="30px Arial";
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline="middle";
+    ctx.textAlign="center";
+    ctx.fillText("Stats", game.width / 2, game.gameBounds.top - 20);
+
+    //  The stats down the left.
+    var stats = game.stats.lifetime;
+    var ranks = Object.keys(stats.invadersKilled).map(Number).sort(function(a, b) { return a - b; });
+    var lines = [
+        "Games played: " + stats.games,
+        "Time played: " + formatPlayTime(stats.playTime),
+        "Shots fired: " + stats.shotsFired,
+        "Accuracy: " + Math.round(statsAccuracy(stats) * 100) + "%",
+        "Invaders shot: " + totalInvadersKilled(stats),
+        "By rank: " + (ranks.length ? ranks.map(function(rank) { return stats.invadersKilled[rank]; }).join(", ") : "-"),
+        "Motherships shot: " + stats.mothershipsKilled,
+        "Lives lost to bombs: " + stats.deathsByBomb,
+        "Lives lost to invaders: " + stats.deathsByCollision,
+        "Levels without losing a life: " + stats.flawlessLevels,
+        "Longest game: " + formatPlayTime(stats.longestSurvival),
+        "Highest level: " + stats.highestLevel,
+        "Highest score: " + stats.highestScore
+    ];
+    ctx.font="14px Arial";
+    ctx.textAlign="left";
+    var left = game.width / 2 - 210;
+    for(var i=0; i<lines.length; i++) {
+        ctx.fillText(lines[i], left, game.gameBounds.top + 10 + i * 20);
+    }
+
+    //  The achievements down the right, unlocked ones in yellow.
+    var achievements = game.stats.achievements;
+    left = game.width / 2 + 20;
+    var unlocked = ACHIEVEMENTS.filter(function(achievement) { return achievements[achievement.id]; });
+    ctx.fillText("Achievements: " + unlocked.length + " of " + ACHIEVEMENTS.length, left, game.gameBounds.top + 10);
+    for(i=0; i<ACHIEVEMENTS.length; i++) {
+        var achievement = ACHIEVEMENTS[i];
+        var y = game.gameBounds.top + 34 + i * 23;
+        ctx.fillStyle = achievements[achievement.id] ? '#ffff33' : '#777777';
+        ctx.font="14px Arial";
+        ctx.fillText(achievement.label, left, y);
+        ctx.font="10px Arial";
+        ctx.fillText(achievement.description, left, y + 11);
+    }
+
+    ctx.font="14px Arial";
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign="center";
+    ctx.fillText("Press 'Space' to go back.", game.width / 2, game.gameBounds.bottom + 40);
+};
+
+StatsState.prototype.actionDown = function(game, action) {
+    if(action === 'fire') {
+        game.popState();
+    }
+};
+
+StatsState.prototype.inputDown = function(game, input) {
+    if(input === 'key:KeyS' || input === 'key:Escape') {
+        game.popState();
+        return true;
+    }
+    return false;
+};
+
+/*
+    Controls State
+
+    Shows what each action is bound to, and lets the player change
+    it. Push it on top of another state, and it pops itself when the
+    player is done.
+*/
 
-};
+//  The actions that can be changed, in the order they're listed.
+var CONTROL_ACTIONS = [
+    {action: 'left', label: "Move left"},
+    {action: 'right', label: "Move right"},
+    {action: 'fire', label: "Fire"},
+    {action: 'pause', label: "Pause"},
+    {action: 'mute', label: "Mute"},
+    {action: 'fullscreen', label: "Fullscreen"},
+    {action: 'up', label: "Menu up"},
+    {action: 'down', label: "Menu down"},
+    {action: 'left2', label: "Player 2 left"},
+    {action: 'right2', label: "Player 2 right"},
+    {action: 'fire2', label: "Player 2 fire"}
+];
+
+function ControlsState() {
+
+    //  The row that's selected. After the actions come 'Reset' and
+    //  'Done'. While 'rebinding', the next input is bound to the
+    //  selected action.
+    this.selected = 0;
+    this.rebinding = false;
+}
 
-GameOverState.prototype.draw = function(game, dt, ctx) {
+ControlsState.prototype.draw = function(game, dt, ctx) {
 
     //  Clear the background.
     ctx.clearRect(0, 0, game.width, game.height);
 
     ctx.font="30px Arial";
     ctx.fillStyle = '#ffffff';
-    ctx.textBaseline="center"; 
-    ctx.textAlign="center"; 
-    ctx.fillText("Game Over!", game.width / 2, game.height/2 - 40); 
-    ctx.font="16px Arial";
-    ctx.fillText("You scored " + game.score + " and got to level " + game.level, game.width / 2, game.height/2);
+    ctx.textBaseline="middle";
+    ctx.textAlign="center";
+    ctx.fillText("Controls", game.width / 2, game.gameBounds.top - 20);
+
+    //  Draw each action with its keys and gamepad controls.
+    var columns = [-170, -20, 130];
+    var y = game.gameBounds.top + 5;
+    var rows = [["", "Keyboard", "Gamepad"]];
+    CONTROL_ACTIONS.forEach(function(control) {
+        rows.push([control.label,
+            game.controls.inputsFor(control.action, 'key').map(describeInput).join(", ") || "-",
+            game.controls.inputsFor(control.action, 'gamepad').map(describeInput).join(", ") || "-"]);
+    });
+    rows.push(["Reset to defaults", "", ""], ["Done", "", ""]);
+
     ctx.font="16px Arial";
-    ctx.fillText("Press 'Space' to play again.", game.width / 2, game.height/2 + 40);   
+    for(var i=0; i<rows.length; i++) {
+        ctx.fillStyle = i - 1 === this.selected ? (this.rebinding ? '#ffff33' : '#33ff33') : '#ffffff';
+        for(var c=0; c<columns.length; c++) {
+            ctx.fillText(rows[i][c], game.width / 2 + columns[c], y);
+        }
+        y += 21;
+    }
+
+    ctx.font="14px Arial";
+    ctx.fillStyle = '#ffffff';
+    var help = this.rebinding ?
+        "Press a key or gamepad button for " + CONTROL_ACTIONS[this.selected].label + ", 'Escape' to cancel." :
+        "Up and down to choose, fire to change, 'Escape' to go back.";
+    ctx.fillText(help, game.width / 2, game.gameBounds.bottom + 20);
 };
 
-GameOverState.prototype.keyDown = function(game, keyCode) {
-    if(keyCode == KEY_SPACE) {
-        //  Space restarts the game.
-        game.lives = 3;
-        game.score = 0;
-        game.level = 1;
-        game.moveToState(new LevelIntroState(1));
+ControlsState.prototype.inputDown = function(game, input) {
+    if(this.rebinding) {
+        //  Touch controls are fixed, so they can't be bound here.
+        if(input !== 'key:Escape' && inputDevice(input) !== 'touch') {
+            game.controls.bind(CONTROL_ACTIONS[this.selected].action, input);
+        }
+        this.rebinding = false;
+        return true;
+    }
+    if(input === 'key:Escape') {
+        game.popState();
+        return true;
+    }
+    return false;
+};
+
+ControlsState.prototype.actionDown = function(game, action) {
+    var rowCount = CONTROL_ACTIONS.length + 2;
+    if(action === 'up') {
+        this.selected = (this.selected + rowCount - 1) % rowCount;
+    } else if(action === 'down') {
+        this.selected = (this.selected + 1) % rowCount;
+    } else if(action === 'fire') {
+        if(this.selected < CONTROL_ACTIONS.length) {
+            this.rebinding = true;
+        } else if(this.selected === CONTROL_ACTIONS.length) {
+            game.controls.reset();
+        } else {
+            game.popState();
+        }
     }
 };
 
+//  Returns where to draw an entity, 'alpha' of the way from where it
+//  was before the last step to where it is now.
+function interpolate(entity, alpha) {
+    if(entity.previousX === undefined) {
+        return {x: entity.x, y: entity.y};
+    }
+    return {
+        x: entity.previousX + (entity.x - entity.previousX) * alpha,
+        y: entity.previousY + (entity.y - entity.previousY) * alpha
+    };
+}
+
 //  Create a PlayState with the game config and the level you are on.
 function PlayState(config, level) {
     this.config = config;
     this.level = level;
 
-    //  Game state.
-    this.invaderCurrentVelocity =  10;
-    this.invaderCurrentDropDistance =  0;
-    this.invadersAreDropping =  false;
-    this.lastRocketTime = null;
-
-    //  Game entities.
-    this.ship = null;
-    this.invaders = [];
-    this.rockets = [];
-    this.bombs = [];
+    //  The simulation of the level, created when we enter the state.
+    this.sim = null;
+
+    //  The mothership's siren while it's playing, and the scores
+    //  floating up from things that have been shot.
+    this.siren = null;
+    this.popups = [];
+
+    //  The bassline the invaders march to.
+    this.bass = null;
+
+    //  The particles flying out of things that are hit, and the
+    //  screen shaking. The config can turn either off, for slow
+    //  devices.
+    this.particles = new ParticleSystem(config.particleLimit || 0);
+    this.shake = new ScreenShake(config.screenShake || 0);
+
+    //  Set when a ship is hit, which ends the turn when taking turns.
+    this.turnOver = false;
 }
 
 PlayState.prototype.enter = function(game) {
 
-    //  Create the ship.
-    this.ship = new Ship(game.width / 2, game.gameBounds.bottom);
-
-    //  Setup initial state.
-    this.invaderCurrentVelocity =  10;
-    this.invaderCurrentDropDistance =  0;
-    this.invadersAreDropping =  false;
-
-    //  Set the ship speed for this level, as well as invader params.
-    var levelMultiplier = this.level * this.config.levelDifficultyMultiplier;
-    var limitLevel = (this.level < this.config.limitLevelIncrease ? this.level : this.config.limitLevelIncrease);
-    this.shipSpeed = this.config.shipSpeed;
-    this.invaderInitialVelocity = this.config.invaderInitialVelocity + 1.5 * (levelMultiplier * this.config.invaderInitialVelocity);
-    this.bombRate = this.config.bombRate + (levelMultiplier * this.config.bombRate);
-    this.bombMinVelocity = this.config.bombMinVelocity + (levelMultiplier * this.config.bombMinVelocity);
-    this.bombMaxVelocity = this.config.bombMaxVelocity + (levelMultiplier * this.config.bombMaxVelocity);
-    this.rocketMaxFireRate = this.config.rocketMaxFireRate + 0.4 * limitLevel;
-
-    //  Create the invaders.
-    var ranks = this.config.invaderRanks + 0.1 * limitLevel;
-    var files = this.config.invaderFiles + 0.2 * limitLevel;
-    var invaders = [];
-    for(var rank = 0; rank < ranks; rank++){
-        for(var file = 0; file < files; file++) {
-            invaders.push(new Invader(
-                (game.width / 2) + ((files/2 - file) * 200 / files),
-                (game.gameBounds.top + rank * 20),
-                rank, file, 'Invader'));
-        }
-    }
-    this.invaders = invaders;
-    this.invaderCurrentVelocity = this.invaderInitialVelocity;
-    this.invaderVelocity = {x: -this.invaderInitialVelocity, y:0};
-    this.invaderNextVelocity = null;
-};
-
-PlayState.prototype.update = function(game, dt) {
-    
-    //  If the left or right arrow keys are pressed, move
-    //  the ship. Check this on ticks rather than via a keydown
-    //  event for smooth movement, otherwise the ship would move
-    //  more like a text editor caret.
-    if(game.pressedKeys[KEY_LEFT]) {
-        this.ship.x -= this.shipSpeed * dt;
+    //  If the player whose turn it is put this level aside when their
+    //  last turn ended, pick it up again.
+    var player = game.currentPlayer();
+    if(player.sim) {
+        this.sim = player.sim;
+        player.sim = null;
+        if(this.sim.mothership) {
+            this.siren = game.sounds.playSound('ufo', true);
+        }
+    } else {
 
-        document.getElementById("muteLink").className = game.sounds.mute ? "fa fa-volume-mute" : "fa fa-volume-up";
+        //  Create the simulation for this level. It shares the game's
+        //  random number generator and clock, and updates the lives
+        //  and score of the players, which is both of them when
+        //  they're playing together. Unless the shields are rebuilt
+        //  each level, it takes over the shields from the last one.
+        this.sim = new InvadersSimulation(this.config, {
+            level: this.level,
+            definition: game.levels ? game.levels.get(this.level) : null,
+            players: game.mode === 'coop' ? game.players : [player],
+            width: game.width,
+            height: game.height,
+            bounds: game.gameBounds,
+            shields: this.config.shieldsRestoredEachLevel ? null : player.shields,
+            rng: game.rng,
+            clock: game.clock,
+            adaptive: player.adaptive
+        });
+        player.shields = this.sim.shields;
+        game.emit('levelStart', {level: this.level, player: player.number});
     }
-    if(game.pressedKeys[KEY_RIGHT]) {
-        this.ship.x += this.shipSpeed * dt;
 
-        document.getElementById("muteLink").className = game.sounds.mute ? "fa fa-volume-mute" : "fa fa-volume-up";
-    }
-    if(game.pressedKeys[KEY_SPACE]) {
-        this.fireRocket();
+    this.bass = new MarchingBass(game.sounds);
+};
 
-        document.getElementById("muteLink").className = game.sounds.mute ? "fa fa-volume-mute" : "fa fa-volume-up";
-    }
+//  Moves the level along with the play area when the game is resized.
+PlayState.prototype.resize = function(game) {
+    this.sim.resize(game.width, game.height, game.gameBounds);
+};
 
-    //  Keep the ship in bounds.
-    if(this.ship.x < game.gameBounds.left) {
-        this.ship.x = game.gameBounds.left;
-    }
-    if(this.ship.x > game.gameBounds.right) {
-        this.ship.x = game.gameBounds.right;
-    }
+PlayState.prototype.leave = function(game) {
 
-    //  Move each bomb.
-    for(var i=0; i<this.bombs.length; i++) {
-        var bomb = this.bombs[i];
-        bomb.y += dt * bomb.velocity;
+    //  Don't leave the siren going after the level.
+    game.sounds.stopSound(this.siren);
+    this.siren = null;
 
-        //  If the rocket has gone off the screen remove it.
-        if(bomb.y > this.height) {
-            this.bombs.splice(i--, 1);
-        }
-    }
+    //  Power ups only last for the level (or turn) they were
+    //  collected in, so the next one starts without them.
+    this.sim.expirePowerUps();
+    this.sim.takeEvents();
+};
 
-    //  Move each rocket.
-    for(i=0; i<this.rockets.length; i++) {
-        var rocket = this.rockets[i];
-        rocket.y -= dt * rocket.velocity;
+//  Returns what's needed to carry on with the level later (see
+//  'Game.saveGame').
+PlayState.prototype.save = function(game) {
+    return {state: 'play', level: this.level, sim: this.sim.serialise()};
+};
 
-        //  If the rocket has gone off the screen remove it.
-        if(rocket.y < 0) {
-            this.rockets.splice(i--, 1);
-        }
-    }
+PlayState.prototype.update = function(game, dt) {
 
-    //  Move the invaders.
-    var hitLeft = false, hitRight = false, hitBottom = false;
-    for(i=0; i<this.invaders.length; i++) {
-        var invader = this.invaders[i];
-        var newx = invader.x + this.invaderVelocity.x * dt;
-        var newy = invader.y + this.invaderVelocity.y * dt;
-        if(hitLeft == false && newx < game.gameBounds.left) {
-            hitLeft = true;
-        }
-        else if(hitRight == false && newx > game.gameBounds.right) {
-            hitRight = true;
-        }
-        else if(hitBottom == false && newy > game.gameBounds.bottom) {
-            hitBottom = true;
+    this.step(game, dt);
+
+    //  Taking turns, losing a life (or the invaders landing) ends the
+    //  turn. The level is put aside until the player's next turn,
+    //  unless they're out.
+    var player = game.currentPlayer();
+    if(game.mode === 'alternate' && this.turnOver && this.sim.status !== 'won') {
+        this.turnOver = false;
+        var next = game.nextTurn();
+        if(next !== -1 && next !== game.turn) {
+            if(this.sim.status === 'playing') {
+                this.sim.clearShots();
+                player.sim = this.sim;
+            }
+            game.turn = next;
+            game.moveToState(new LevelIntroState(game.currentPlayer().level));
+            return;
         }
+    }
 
-        if(!hitLeft && !hitRight && !hitBottom) {
-            invader.x = newx;
-            invader.y = newy;
-        }
+    //  Check for failure.
+    if(this.sim.status === 'lost') {
+        game.moveToState(new GameOverState());
     }
 
-    //  Update invader velocities.
-    if(this.invadersAreDropping) {
-        this.invaderCurrentDropDistance += this.invaderVelocity.y * dt;
-        if(this.invaderCurrentDropDistance >= this.config.invaderDropDistance) {
-            this.invadersAreDropping = false;
-            this.invaderVelocity = this.invaderNextVelocity;
-            this.invaderCurrentDropDistance = 0;
+    //  Check for victory. Playing together, both players go up a
+    //  level, even one who's out.
+    if(this.sim.status === 'won') {
+        game.emit('levelComplete', {level: this.level, player: player.number, score: player.score});
+        var winners = game.mode === 'coop' ? game.players : [player];
+        for(var p=0; p<winners.length; p++) {
+            winners[p].level += 1;
         }
+        game.moveToState(new LevelIntroState(player.level));
     }
-    //  If we've hit the left, move down then right.
-    if(hitLeft) {
-        this.invaderCurrentVelocity += this.config.invaderAcceleration;
-        this.invaderVelocity = {x: 0, y:this.invaderCurrentVelocity };
-        this.invadersAreDropping = true;
-        this.invaderNextVelocity = {x: this.invaderCurrentVelocity , y:0};
-    }
-    //  If we've hit the right, move down then left.
-    if(hitRight) {
-        this.invaderCurrentVelocity += this.config.invaderAcceleration;
-        this.invaderVelocity = {x: 0, y:this.invaderCurrentVelocity };
-        this.invadersAreDropping = true;
-        this.invaderNextVelocity = {x: -this.invaderCurrentVelocity , y:0};
-    }
-    //  If we've hit the bottom, it's game over.
-    if(hitBottom) {
-        game.lives = 0;
+};
+
+//  Steps the simulation, with the actions that are held down, and
+//  plays the sounds and moves the popups along. Returns the events
+//  from the simulation.
+PlayState.prototype.step = function(game, dt) {
+
+    game.playTime += dt;
+
+    //  Step the simulation with the actions that are held down.
+    //  Playing together, each player has their own controls. Taking
+    //  turns, whoever's turn it is can use either.
+    var actions = game.actions;
+    var player1 = {left: !!actions.left, right: !!actions.right, fire: !!actions.fire};
+    var player2 = {left: !!actions.left2, right: !!actions.right2, fire: !!actions.fire2};
+    if(game.mode === 'coop') {
+        this.sim.step(dt, [player1, player2]);
+    } else {
+        this.sim.step(dt, {
+            left: player1.left || player2.left,
+            right: player1.right || player2.right,
+            fire: player1.fire || player2.fire
+        });
     }
-    
-    //  Check for rocket/invader collisions.
-    for(i=0; i<this.invaders.length; i++) {
-        var invader = this.invaders[i];
-        var bang = false;
-
-        for(var j=0; j<this.rockets.length; j++){
-            var rocket = this.rockets[j];
-
-            if(rocket.x >= (invader.x - invader.width/2) && rocket.x <= (invader.x + invader.width/2) &&
-                rocket.y >= (invader.y - invader.height/2) && rocket.y <= (invader.y + invader.height/2)) {
-                
-                //  Remove the rocket, set 'bang' so we don't process
-                //  this rocket again.
-                this.rockets.splice(j--, 1);
-                bang = true;
-                game.score += this.config.pointsPerInvader;
-                break;
-            }
-        }
-        if(bang) {
-            this.invaders.splice(i--, 1);
-            game.sounds.playSound('bang');
-        }
+    var events = this.handleEvents(game);
+    if(game.stats) {
+        game.stats.progress(dt);
     }
 
-    //  Find all of the front rank invaders.
-    var frontRankInvaders = {};
-    for(var i=0; i<this.invaders.length; i++) {
-        var invader = this.invaders[i];
-        //  If we have no invader for game file, or the invader
-        //  for game file is futher behind, set the front
-        //  rank invader to game one.
-        if(!frontRankInvaders[invader.file] || frontRankInvaders[invader.file].rank < invader.rank) {
-            frontRankInvaders[invader.file] = invader;
-        }
-    }
+    //  March on, faster the fewer invaders are left.
+    this.bass.update(dt, this.sim.invaderCount ? this.sim.invaders.length / this.sim.invaderCount : 0);
 
-    //  Give each front rank invader a chance to drop a bomb.
-    for(var i=0; i<this.config.invaderFiles; i++) {
-        var invader = frontRankInvaders[i];
-        if(!invader) continue;
-        var chance = this.bombRate * dt;
-        if(chance > Math.random()) {
-            //  Fire!
-            this.bombs.push(new Bomb(invader.x, invader.y + invader.height / 2, 
-                this.bombMinVelocity + Math.random()*(this.bombMaxVelocity - this.bombMinVelocity)));
-        }
-    }
+    this.particles.update(dt);
+    this.shake.update(dt);
 
-    //  Check for bomb/ship collisions.
-    for(var i=0; i<this.bombs.length; i++) {
-        var bomb = this.bombs[i];
-        if(bomb.x >= (this.ship.x - this.ship.width/2) && bomb.x <= (this.ship.x + this.ship.width/2) &&
-                bomb.y >= (this.ship.y - this.ship.height/2) && bomb.y <= (this.ship.y + this.ship.height/2)) {
-            this.bombs.splice(i--, 1);
-            game.lives--;
-            game.sounds.playSound('explosion');
+    //  Float the popups up, and get rid of old ones.
+    for(var i=0; i<this.popups.length; i++) {
+        var popup = this.popups[i];
+        popup.time += dt;
+        popup.y -= 20 * dt;
+        if(popup.time > 1) {
+            this.popups.splice(i--, 1);
         }
-                
     }
+    return events;
+};
 
-    //  Check for invader/ship collisions.
-    for(var i=0; i<this.invaders.length; i++) {
-        var invader = this.invaders[i];
-        if((invader.x + invader.width/2) > (this.ship.x - this.ship.width/2) && 
-            (invader.x - invader.width/2) < (this.ship.x + this.ship.width/2) &&
-            (invader.y + invader.height/2) > (this.ship.y - this.ship.height/2) &&
-            (invader.y - invader.height/2) < (this.ship.y + this.ship.height/2)) {
-            //  Dead by collision!
-            game.lives = 0;
+//  Plays the sounds and shows the popups for anything that happened
+//  in the simulation, returning what happened.
+PlayState.prototype.handleEvents = function(game) {
+    var events = this.sim.takeEvents();
+    if(game.stats) {
+        game.stats.observe(events);
+    }
+    for(var i=0; i<events.length; i++) {
+        var event = events[i];
+        if(event.type === 'rocketFired') {
+            game.sounds.playSound('shoot');
+        } else if(event.type === 'invaderKilled') {
+            game.sounds.playSound('bang');
+            this.emit('debris', event.invader.x, event.invader.y, ['#33ff33', '#ffffff']);
+            this.emit('sparks', event.invader.x, event.invader.y, '#ffaa33');
+            this.scorePopup(event.invader.x, event.invader.y, event.points);
+        } else if(event.type === 'shipHit') {
             game.sounds.playSound('explosion');
+            var ship = this.sim.ships[event.ship];
+            this.emit('debris', ship.x, ship.y, PLAYER_COLOURS[event.ship]);
+            this.emit('sparks', ship.x, ship.y, ['#ffaa33', '#ffff33']);
+            this.emit('smoke', ship.x, ship.y, ['#555555', '#888888']);
+            this.shake.shake(8);
+            this.turnOver = true;
+            var loser = game.mode === 'coop' ? game.players[event.ship] : game.currentPlayer();
+            game.emit('lifeLost', {player: loser.number, lives: loser.lives, cause: event.cause});
+        } else if(event.type === 'invadersLanded') {
+            this.shake.shake(12);
+            this.turnOver = true;
+
+            //  Every player still in play loses the rest of their lives.
+            for(var j=0; j<event.ships.length; j++) {
+                var landedOn = game.mode === 'coop' ? game.players[event.ships[j]] : game.currentPlayer();
+                game.emit('lifeLost', {player: landedOn.number, lives: 0, cause: 'landed'});
+            }
+        } else if(event.type === 'shieldHit') {
+            this.emit('debris', event.x, event.y, '#33ff33', 0.25);
+        } else if(event.type === 'mothershipAppeared') {
+            this.siren = game.sounds.playSound('ufo', true);
+        } else if(event.type === 'mothershipKilled' || event.type === 'mothershipEscaped') {
+            game.sounds.stopSound(this.siren);
+            this.siren = null;
+            if(event.type === 'mothershipKilled') {
+                game.sounds.playSound('bang');
+                this.emit('debris', event.mothership.x, event.mothership.y, ['#ff3333', '#ffffff']);
+                this.emit('sparks', event.mothership.x, event.mothership.y, '#ffff33', 2);
+                this.shake.shake(4);
+                this.scorePopup(event.mothership.x, event.mothership.y, event.points);
+            }
+        } else if(event.type === 'powerUpCollected') {
+            game.sounds.playSound('powerup');
+            var catcher = this.sim.ships[event.ship];
+            this.emit('sparks', catcher.x, catcher.y, POWER_UP_COLOURS[event.powerUp]);
+            this.popups.push({x: catcher.x, y: catcher.y - 20, text: PowerUpTypes[event.powerUp].label, time: 0});
         }
     }
+    return events;
+};
 
-    //  Check for failure
-    if(game.lives <= 0) {
-        game.moveToState(new GameOverState());
-    }
+//  Sends out particles (see 'ParticleSystem.emit'), as many as the
+//  config's 'particleScale' says. 'scale' changes how many more.
+PlayState.prototype.emit = function(kind, x, y, colours, scale) {
+    this.particles.emit(kind, x, y, colours, this.config.particleScale * (scale === undefined ? 1 : scale));
+};
 
-    //  Check for victory
-    if(this.invaders.length === 0) {
-        game.score += this.level * 50;
-        game.level += 1;
-        game.moveToState(new LevelIntroState(game.level));
+//  Floats the points scored for something up from it, unless the
+//  config has turned that off.
+PlayState.prototype.scorePopup = function(x, y, points) {
+    if(this.config.scorePopups) {
+        this.popups.push({x: x, y: y, text: String(points), time: 0});
     }
 };
 
-PlayState.prototype.draw = function(game, dt, ctx) {
+PlayState.prototype.draw = function(game, dt, ctx, alpha) {
+
+    var sim = this.sim;
+    var sprites = game.sprites;
+
+    //  Things are drawn part way between where they were at the last
+    //  step and where they are now.
+    alpha = alpha === undefined ? 1 : alpha;
 
     //  Clear the background.
     ctx.clearRect(0, 0, game.width, game.height);
+
+    //  Everything in the play area shakes with the screen, but not
+    //  the info below it.
+    ctx.save();
+    ctx.translate(this.shake.x, this.shake.y);
     
-    //  Draw ship.
-    ctx.fillStyle = '#999999';
-    ctx.fillRect(this.ship.x - (this.ship.width / 2), this.ship.y - (this.ship.height / 2), this.ship.width, this.ship.height);
+    //  Draw the ships that are still in. If a sprite can't be drawn,
+    //  we fall back to a rectangle, here and below. With more than
+    //  one ship, each is labelled with its player's number. Ships
+    //  that have just been hit blink until they can be hit again.
+    ctx.font="10px Arial";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    for(var i=0; i<sim.ships.length; i++) {
+        var ship = sim.ships[i];
+        if(!ship.alive || Math.floor(ship.invulnerable * 10) % 2 === 1) {
+            continue;
+        }
+        var at = interpolate(ship, alpha);
+        if(!sprites || !sprites.draw(ctx, 'ship', ship.animation.frame, at.x, at.y, ship.width, ship.height)) {
+            ctx.fillStyle = PLAYER_COLOURS[i];
+            ctx.fillRect(at.x - (ship.width / 2), at.y - (ship.height / 2), ship.width, ship.height);
+        }
+        if(sim.ships.length > 1) {
+            ctx.fillStyle = PLAYER_COLOURS[i];
+            ctx.fillText(String(i + 1), at.x, at.y + ship.height);
+        }
+    }
 
     //  Draw invaders.
     ctx.fillStyle = '#006600';
-    for(var i=0; i<this.invaders.length; i++) {
-        var invader = this.invaders[i];
-        ctx.fillRect(invader.x - invader.width/2, invader.y - invader.height/2, invader.width, invader.height);
+    for(var i=0; i<sim.invaders.length; i++) {
+        var invader = sim.invaders[i];
+        var at = interpolate(invader, alpha);
+        var sprite = InvaderTypes.hasOwnProperty(invader.type) ? invader.type :
+            INVADER_SPRITES[Math.min(invader.rank, INVADER_SPRITES.length - 1)];
+        if(!sprites || !sprites.draw(ctx, sprite, invader.animation.frame, at.x, at.y, invader.width, invader.height)) {
+            ctx.fillRect(at.x - invader.width/2, at.y - invader.height/2, invader.width, invader.height);
+        }
+    }
+
+    //  If the ships have a shield, draw it around each of them.
+    if(sim.hasPowerUp('shield')) {
+        ctx.strokeStyle = POWER_UP_COLOURS.shield;
+        for(var i=0; i<sim.ships.length; i++) {
+            var ship = sim.ships[i];
+            if(ship.alive) {
+                var at = interpolate(ship, alpha);
+                ctx.beginPath();
+                ctx.arc(at.x, at.y, ship.width * 0.8, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+    }
+
+    //  Draw the falling power ups, with the first letter of their name.
+    ctx.font="10px Arial";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    for(var i=0; i<sim.powerUps.length; i++) {
+        var powerUp = sim.powerUps[i];
+        var at = interpolate(powerUp, alpha);
+        ctx.fillStyle = POWER_UP_COLOURS[powerUp.type];
+        ctx.fillRect(at.x - powerUp.width/2, at.y - powerUp.height/2, powerUp.width, powerUp.height);
+        ctx.fillStyle = '#000000';
+        ctx.fillText(PowerUpTypes[powerUp.type].label.charAt(0), at.x, at.y);
+    }
+
+    //  Draw the mothership.
+    var mothership = sim.mothership;
+    if(mothership) {
+        var at = interpolate(mothership, alpha);
+        if(!sprites || !sprites.draw(ctx, 'mothership', mothership.animation.frame,
+            at.x, at.y, mothership.width, mothership.height)) {
+            ctx.fillStyle = '#ff3333';
+            ctx.fillRect(at.x - mothership.width/2, at.y - mothership.height/2, mothership.width, mothership.height);
+        }
+    }
+
+    //  Draw shields, a cell at a time.
+    ctx.fillStyle = '#33ff33';
+    for(var i=0; i<sim.shields.length; i++) {
+        var shield = sim.shields[i];
+        var left = shield.x - shield.width / 2;
+        var top = shield.y - shield.height / 2;
+        for(var cell=0; cell<shield.cells.length; cell++) {
+            if(shield.cells[cell]) {
+                ctx.fillRect(left + (cell % shield.columns) * shield.cellSize,
+                    top + Math.floor(cell / shield.columns) * shield.cellSize,
+                    shield.cellSize, shield.cellSize);
+            }
+        }
     }
 
     //  Draw bombs.
     ctx.fillStyle = '#ff5555';
-    for(var i=0; i<this.bombs.length; i++) {
-        var bomb = this.bombs[i];
-        ctx.fillRect(bomb.x - 2, bomb.y - 2, 4, 4);
+    for(var i=0; i<sim.bombs.length; i++) {
+        var bomb = sim.bombs[i];
+        var at = interpolate(bomb, alpha);
+        if(!sprites || !sprites.draw(ctx, 'bomb', bomb.animation.frame, at.x, at.y, 6, 14)) {
+            ctx.fillRect(at.x - 2, at.y - 2, 4, 4);
+        }
     }
 
     //  Draw rockets.
     ctx.fillStyle = '#ff0000';
-    for(var i=0; i<this.rockets.length; i++) {
-        var rocket = this.rockets[i];
-        ctx.fillRect(rocket.x, rocket.y - 2, 1, 4);
+    for(var i=0; i<sim.rockets.length; i++) {
+        var at = interpolate(sim.rockets[i], alpha);
+        if(!sprites || !sprites.draw(ctx, 'rocket', 0, at.x, at.y, 2, 8)) {
+            ctx.fillRect(at.x, at.y - 2, 1, 4);
+        }
+    }
+
+    //  Draw explosions.
+    ctx.fillStyle = '#ffaa33';
+    for(var i=0; i<sim.explosions.length; i++) {
+        var explosion = sim.explosions[i];
+        var sprite = explosion.type === 'ship' ? 'shipExplosion' : 'invaderExplosion';
+        if(!sprites || !sprites.draw(ctx, sprite, explosion.animation.frame, explosion.x, explosion.y, explosion.width, explosion.height)) {
+            ctx.fillRect(explosion.x - explosion.width/2, explosion.y - 1, explosion.width, 2);
+            ctx.fillRect(explosion.x - 1, explosion.y - explosion.height/2, 2, explosion.height);
+        }
+    }
+
+    //  Draw the bits flying out of what's been hit.
+    this.particles.draw(ctx);
+
+    //  Draw the score popups, fading out as they go.
+    ctx.font="14px Arial";
+    ctx.textAlign = "center";
+    ctx.fillStyle = '#ffffff';
+    for(var i=0; i<this.popups.length; i++) {
+        var popup = this.popups[i];
+        ctx.globalAlpha = Math.max(0, 1 - popup.time);
+        ctx.fillText(popup.text, popup.x, popup.y);
     }
+    ctx.globalAlpha = 1;
+    ctx.restore();
 
     //  Draw info.
-    var textYpos = game.gameBounds.top + ((game.height + game.gameBounds.top) / 2) - 69;
+    var textYpos = game.gameBounds.bottom + 20;
 
     ctx.font="14px Arial";
     ctx.fillStyle = '#ffffff';
-    var info = "Lives: " + game.lives;
+    var player = game.currentPlayer();
+    if(game.mode === 'coop') {
+
+        //  Playing together, each player's lives and score are on
+        //  their own side, with the level they share below.
+        for(var i=0; i<game.players.length; i++) {
+            ctx.fillStyle = PLAYER_COLOURS[i];
+            ctx.textAlign = i === 0 ? "left" : "right";
+            ctx.fillText("P" + game.players[i].number + " Lives: " + game.players[i].lives + ", Score: " + game.players[i].score,
+                i === 0 ? game.gameBounds.left : game.gameBounds.right, textYpos);
+        }
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = "center";
+        ctx.fillText("Level: " + player.level, game.width / 2, textYpos + 20);
+    } else {
+        var info = (game.players.length > 1 ? "Player " + player.number + " " : "") + "Lives: " + player.lives;
+        ctx.textAlign = "left";
+        ctx.fillText(info, game.gameBounds.left, textYpos);
+        info = "Score: " + player.score + ", Level: " + player.level;
+        ctx.textAlign = "right";
+        ctx.fillText(info, game.gameBounds.right, textYpos);
+
+        //  Taking turns, show how the others are doing below.
+        var others = [];
+        for(var i=0; i<game.players.length; i++) {
+            if(game.players[i] !== player) {
+                others.push("Player " + game.players[i].number + " Lives: " + game.players[i].lives +
+                    ", Score: " + game.players[i].score);
+            }
+        }
+        ctx.textAlign = "center";
+        ctx.fillText(others.join("  "), game.width / 2, textYpos + 20);
+    }
+
+    //  Show the difficulty, and at the adaptive difficulty, how much
+    //  harder or easier it's being made.
+    ctx.fillStyle = '#ffffff';
     ctx.textAlign = "left";
-    ctx.fillText(info, game.gameBounds.left, textYpos);
-    info = "Score: " + game.score + ", Level: " + game.level;
-    ctx.textAlign = "right";
-    ctx.fillText(info, game.gameBounds.right, textYpos);
+    ctx.fillText(difficultyPreset(game.difficulty).label +
+        (sim.adaptive ? " " + sim.difficultyFactor().toFixed(1) + "x" : ""), game.gameBounds.left, textYpos + 20);
+
+    //  Show the power ups the ship has, and how long they've got left.
+    var powerUps = [];
+    for(var name in sim.activePowerUps) {
+        var timeLeft = sim.activePowerUps[name];
+        powerUps.push(PowerUpTypes[name].label + (timeLeft === Infinity ? "" : " " + Math.ceil(timeLeft)));
+    }
+    ctx.textAlign = "center";
+    ctx.fillStyle = '#ffff33';
+    ctx.fillText(powerUps.join("  "), game.width / 2, textYpos);
+
+    //  Draw the touch controls over the top.
+    if(game.touchControls) {
+        game.touchControls.draw(ctx);
+    }
 
     //  If we're in debug mode, draw bounds.
     if(this.config.debugMode) {
@@ -615,36 +2252,22 @@ PlayState.prototype.draw = function(game, dt, ctx) {
 
 };
 
-PlayState.prototype.keyDown = function(game, keyCode) {
+PlayState.prototype.actionDown = function(game, action) {
 
-    if(keyCode == KEY_SPACE) {
-        //  Fire!
-        this.fireRocket();
+    if(action === 'fire' || action === 'fire2') {
+        //  Fire! Player 2's fire is their own ship's when playing
+        //  together, otherwise it's whoever's turn it is.
+        this.sim.fireRocket(action === 'fire2' && game.mode === 'coop' ? 1 : 0);
+        this.handleEvents(game);
     }
-    if(keyCode == 80) {
-        //  Push the pause state.
+    if(action === 'pause') {
+        //  Push the pause state, and save the game, as the player
+        //  might not come back to it.
         game.pushState(new PauseState());
+        game.saveGame();
     }
-    if(keyCode == 77){
-      game.mute();
-    }
-};
-
-PlayState.prototype.keyUp = function(game, keyCode) {
-
-};
-
-PlayState.prototype.fireRocket = function() {
-    //  If we have no last rocket time, or the last rocket time 
-    //  is older than the max rocket rate, we can fire.
-    if(this.lastRocketTime === null || ((new Date()).valueOf() - this.lastRocketTime) > (1000 / this.rocketMaxFireRate))
-    {   
-        //  Add a rocket.
-        this.rockets.push(new Rocket(this.ship.x, this.ship.y - 12, this.config.rocketVelocity));
-        this.lastRocketTime = (new Date()).valueOf();
-
-        //  Play the 'shoot' sound.
-        game.sounds.playSound('shoot');
+    if(action === 'mute') {
+        game.mute();
     }
 };
 
@@ -652,9 +2275,13 @@ function PauseState() {
 
 }
 
-PauseState.prototype.keyDown = function(game, keyCode) {
+PauseState.prototype.save = function(game) {
+    return {state: 'pause'};
+};
+
+PauseState.prototype.actionDown = function(game, action) {
 
-    if(keyCode == 80) {
+    if(action === 'pause') {
         //  Pop the pause state.
         game.popState();
     }
@@ -677,13 +2304,19 @@ PauseState.prototype.draw = function(game, dt, ctx) {
     Level Intro State
 
     The Level Intro state shows a 'Level X' message and
-    a countdown for the level.
+    a countdown for the level. When players take turns, it says
+    whose turn it is too.
 */
 function LevelIntroState(level) {
     this.level = level;
     this.countdownMessage = "3";
 }
 
+//  The countdown starts again when the game is continued.
+LevelIntroState.prototype.save = function(game) {
+    return {state: 'levelIntro', level: this.level};
+};
+
 LevelIntroState.prototype.update = function(game, dt) {
 
     //  Update the countdown.
@@ -700,7 +2333,7 @@ LevelIntroState.prototype.update = function(game, dt) {
     } 
     if(this.countdown <= 0) {
         //  Move to the next level, popping this state.
-        game.moveToState(new PlayState(game.config, this.level));
+        game.moveToState(new PlayState(game.playConfig, this.level));
     }
 
 };
@@ -717,63 +2350,200 @@ LevelIntroState.prototype.draw = function(game, dt, ctx) {
     ctx.fillText("Level " + this.level, game.width / 2, game.height/2);
     ctx.font="24px Arial";
     ctx.fillText("Ready in " + this.countdownMessage, game.width / 2, game.height/2 + 36);      
+
+    //  Campaign levels have names too.
+    var definition = game.levels ? game.levels.get(this.level) : null;
+    if(definition && definition.name) {
+        ctx.font="18px Arial";
+        ctx.fillText(definition.name, game.width / 2, game.height/2 - 36);
+    }
+    if(game.mode === 'alternate') {
+        ctx.font="24px Arial";
+        ctx.fillStyle = PLAYER_COLOURS[game.turn];
+        ctx.fillText("Player " + game.currentPlayer().number, game.width / 2, game.height/2 - 72);
+    }
     return;
 };
 
 
 /*
- 
-  Ship
-
-  The ship has a position and that's about it.
+    Replay Recorder
 
+    Records every input event of a game along with the frame it
+    happened on. With the seed and config of the game, that is all
+    that's needed to play the game back exactly.
 */
-function Ship(x, y) {
-    this.x = x;
-    this.y = y;
-    this.width = 20;
-    this.height = 16;
+function ReplayRecorder(game) {
+    this.seed = game.seed;
+    this.mode = game.mode;
+    this.difficulty = game.difficulty;
+    this.config = JSON.parse(JSON.stringify(game.config));
+    this.levels = game.levels ? game.levels.data : null;
+
+    //  Actions can already be held when the game starts (like the
+    //  fire that started it), so remember them.
+    this.actions = Object.keys(game.actions);
+    this.events = [];
 }
 
-/*
-    Rocket
-
-    Fired by the ship, they've got a position, velocity and state.
+//  Records an event as [frame, type, value]. The types are 'd' and
+//  'u' for an action starting and stopping, the value is the action.
+ReplayRecorder.prototype.record = function(frame, type, value) {
+    var event = [frame, type];
+    if(value !== undefined) {
+        event.push(value);
+    }
+    this.events.push(event);
+};
 
-    */
-function Rocket(x, y, velocity) {
-    this.x = x;
-    this.y = y;
-    this.velocity = velocity;
-}
+//  Returns the finished replay, ready to be saved as JSON. This is
+//  called as the game ends, during the update of the last frame, so
+//  that frame is counted too.
+ReplayRecorder.prototype.finish = function(game) {
+    return {
+        version: REPLAY_VERSION,
+        seed: this.seed,
+        mode: this.mode,
+        difficulty: this.difficulty,
+        config: this.config,
+        levels: this.levels,
+        actions: this.actions,
+        events: this.events,
+        frames: game.frame + 1,
+        players: game.players.map(function(player) {
+            return {score: player.score, level: player.level};
+        })
+    };
+};
 
 /*
-    Bomb
-
-    Dropped by invaders, they've got position, velocity.
+    Replay State
 
+    Plays back a replay. It runs a second Game with the seed and
+    config of the replay, and feeds it the recorded input instead
+    of the live keys, so it goes through exactly the same states.
 */
-function Bomb(x, y, velocity) {
-    this.x = x;
-    this.y = y;
-    this.velocity = velocity;
+function ReplayState(replay) {
+    this.replay = replay;
+    this.replayGame = null;
+    this.nextEvent = 0;
+    this.finished = false;
 }
- 
-/*
-    Invader 
 
-    Invader's have position, type, rank/file and that's about it. 
-*/
+ReplayState.prototype.enter = function(game) {
+
+    //  Create the game to replay, drawing to the same canvas and
+    //  sharing our sounds.
+    var replayGame = new Game();
+    replayGame.config = JSON.parse(JSON.stringify(this.replay.config));
+    replayGame.initialise(game.gamecanvas);
+    replayGame.levels = this.replay.levels ? new LevelSet(this.replay.levels) : null;
+    replayGame.sounds = game.sounds;
+    replayGame.sprites = game.sprites;
+
+    //  Start it the way the recorded game started. We're playing
+    //  back, not recording.
+    replayGame.newGame(this.replay.seed, this.replay.mode, this.replay.difficulty);
+    replayGame.recorder = null;
+    for(var i=0; i<this.replay.actions.length; i++) {
+        replayGame.actions[this.replay.actions[i]] = true;
+    }
+    replayGame.moveToState(new LevelIntroState(1));
 
-function Invader(x, y, rank, file, type) {
-    this.x = x;
-    this.y = y;
-    this.rank = rank;
-    this.file = file;
-    this.type = type;
-    this.width = 18;
-    this.height = 14;
-}
+    this.replayGame = replayGame;
+};
+
+//  The replayed game draws to our canvas, so it's resized with us.
+ReplayState.prototype.resize = function(game) {
+    if(this.replayGame) {
+        this.replayGame.resize();
+    }
+};
+
+ReplayState.prototype.update = function(game, dt) {
+
+    if(this.finished) {
+        return;
+    }
+
+    //  Feed in the input recorded for this frame, then update the
+    //  replayed game at the rate it was recorded at.
+    var replayGame = this.replayGame;
+    var events = this.replay.events;
+    while(this.nextEvent < events.length && events[this.nextEvent][0] <= replayGame.frame) {
+        this.playEvent(events[this.nextEvent++]);
+    }
+    replayGame.update(1 / replayGame.config.fps);
+
+    if(replayGame.frame >= this.replay.frames) {
+        this.finished = true;
+    }
+};
+
+//  Passes a recorded event to the replayed game.
+ReplayState.prototype.playEvent = function(event) {
+    var replayGame = this.replayGame;
+    var type = event[1];
+
+    //  Muting isn't part of the game, so don't replay it.
+    if(event[2] === 'mute') {
+        return;
+    }
+    if(type === 'd') {
+        replayGame.actionDown(event[2]);
+    } else if(type === 'u') {
+        replayGame.actionUp(event[2]);
+    }
+};
+
+ReplayState.prototype.draw = function(game, dt, ctx, alpha) {
+
+    if(!this.finished) {
+
+        //  Draw the replayed game, with a label so it's clear it's a replay.
+        var state = this.replayGame.currentState();
+        if(state && state.draw) {
+            state.draw(this.replayGame, dt, ctx, alpha);
+        }
+        ctx.font="14px Arial";
+        ctx.fillStyle = '#ffffff';
+        ctx.textBaseline="top";
+        ctx.textAlign="center";
+        ctx.fillText("REPLAY - press 'Space' to stop", game.width / 2, 10);
+        return;
+    }
+
+    //  Clear the background.
+    ctx.clearRect(0, 0, game.width, game.height);
+
+    ctx.font="30px Arial";
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline="middle";
+    ctx.textAlign="center";
+    ctx.fillText("Replay finished", game.width / 2, game.height/2 - 40);
+    ctx.font="16px Arial";
+
+    //  A replay that doesn't end with the scores it recorded has
+    //  been tampered with, or came from a different engine.
+    var players = this.replayGame.players;
+    var y = game.height/2;
+    for(var i=0; i<players.length; i++) {
+        var recorded = this.replay.players[i];
+        var verified = recorded && recorded.score === players[i].score && recorded.level === players[i].level;
+        ctx.fillText((players.length > 1 ? "Player " + players[i].number + " s" : "S") + "cored " + players[i].score +
+            " and got to level " + players[i].level +
+            (verified ? " (verified)" : " (does not match the recorded score!)"), game.width / 2, y);
+        y += 20;
+    }
+    ctx.fillText("Press 'Space' to go back.", game.width / 2, y + 20);
+};
+
+ReplayState.prototype.actionDown = function(game, action) {
+    if(action === 'fire') {
+        //  Fire stops the replay.
+        game.popState();
+    }
+};
 
 /*
     Game State
@@ -784,77 +2554,256 @@ function Invader(x, y, rank, file, type) {
     of seconds to update or draw).
 
 */
-function GameState(updateProc, drawProc, keyDown, keyUp, enter, leave) {
+function GameState(updateProc, drawProc, actionDown, actionUp, enter, leave) {
     this.updateProc = updateProc;
     this.drawProc = drawProc;
-    this.keyDown = keyDown;
-    this.keyUp = keyUp;
+    this.actionDown = actionDown;
+    this.actionUp = actionUp;
     this.enter = enter;
     this.leave = leave;
 }
 
 /*
+    Space Invaders
 
-    Sounds
-
-    The sounds class is used to asynchronously load sounds and allow
-    them to be played.
+    A game put on a page, listening to the keyboard and to touches on
+    its canvas, which is what 'createSpaceInvaders' returns. The game
+    itself is 'game', for anything this doesn't cover.
 
+    Call 'start' to show the title screen and 'stop' to stop it, and
+    'destroy' when the game is taken off the page for good. Listen
+    for the game's events (see GAME_EVENTS) with 'on'.
 */
-function Sounds() {
-
-    //  The audio context.
-    this.audioContext = null;
+function SpaceInvaders(canvas, options) {
+    options = options || {};
+
+    //  Create the game, with any config, sounds and high score table
+    //  it's been given, on the canvas.
+    this.game = new Game();
+    for(var name in options.config) {
+        this.game.config[name] = options.config[name];
+    }
+    this.game.sounds = options.sounds || null;
+    this.game.highScores = options.highScores || null;
+    this.game.initialise(canvas);
+
+    //  Sounds shared with the page are left to it when we're done.
+    this.sharedSounds = !!options.sounds;
+
+    //  The loop to run on (a new one if it's not given), whether to
+    //  listen to the keyboard and touches, and whether it's running.
+    this.loop = options.loop || null;
+    this.keyboard = options.keyboard !== false;
+    this.touch = options.touch !== false;
+    this.running = false;
+
+    //  The listeners added while it's running, as [target, type,
+    //  listener, options], to take away again when it stops.
+    this.inputListeners = [];
+}
 
-    //  The actual set of loaded sounds.
-    this.sounds = {};
+//  Creates a space invaders game on 'canvas'. The options are:
+//
+//  loop        a FrameLoop to share with the rest of the page.
+//  config      changes to the game's config.
+//  keyboard    false to leave the keyboard alone.
+//  touch       false to leave touches on the canvas alone.
+//  sounds      Sounds to share with the rest of the page.
+//  highScores  a HighScoreTable to keep the high scores in.
+function createSpaceInvaders(canvas, options) {
+    return new SpaceInvaders(canvas, options);
 }
 
-Sounds.prototype.init = function() {
+//  Starts the game at the title screen, and listens to the player.
+SpaceInvaders.prototype.start = function() {
+    if(this.running) {
+        return;
+    }
+    var game = this.game;
+    game.start(this.loop);
+    this.loop = game.loop;
+    this.running = true;
+
+    //  Listen for keyboard events. Stop the keys the game uses from
+    //  scrolling the page.
+    if(this.keyboard) {
+        this.listen(window, 'keydown', function(e) {
+            if(game.controls.actionFor('key:' + e.code)) {
+                e.preventDefault();
+            }
+            game.keyDown(e.code);
+        });
+        this.listen(window, 'keyup', function(e) {
+            game.keyUp(e.code);
+        });
+    }
 
-    //  Create the audio context, paying attention to webkit browsers.
-    context = window.AudioContext || window.webkitAudioContext;
-    this.audioContext = new AudioContext();
-    this.mute = false;
+    //  Listen for touches on the canvas only, so the page round it
+    //  still works. Stop the browser scrolling or zooming while the
+    //  game is being played.
+    if(this.touch) {
+        var canvas = game.gamecanvas;
+        this.listen(canvas, 'touchstart', function(e) {
+            e.preventDefault();
+            game.touchstart(e);
+        }, {passive: false});
+        this.listen(canvas, 'touchmove', function(e) {
+            e.preventDefault();
+            game.touchmove(e);
+        }, {passive: false});
+        this.listen(canvas, 'touchend', function(e) {
+            e.preventDefault();
+            game.touchend(e);
+        }, {passive: false});
+        this.listen(canvas, 'touchcancel', function(e) {
+            game.touchend(e);
+        });
+    }
 };
 
-Sounds.prototype.loadSound = function(name, url) {
+//  Adds a listener, to be taken away when the game stops.
+SpaceInvaders.prototype.listen = function(target, type, listener, options) {
+    target.addEventListener(type, listener, options);
+    this.inputListeners.push([target, type, listener, options]);
+};
 
-    //  Reference to ourselves for closures.
-    var self = this;
+//  Stops the game and stops listening to the player. Starting it
+//  again goes back to the title screen.
+SpaceInvaders.prototype.stop = function() {
+    if(!this.running) {
+        return;
+    }
+    this.game.stop();
+    this.inputListeners.forEach(function(added) {
+        added[0].removeEventListener(added[1], added[2], added[3]);
+    });
+    this.inputListeners = [];
+    this.running = false;
+};
 
-    //  Create an entry in the sounds object.
-    this.sounds[name] = null;
+//  Stops the game for good, leaving its states (so nothing is left
+//  playing or connected) and dropping its listeners.
+SpaceInvaders.prototype.destroy = function() {
+    var game = this.game;
+    this.stop();
+    while(game.currentState()) {
+        game.popState();
+    }
+    if(game.sounds && !this.sharedSounds) {
+        game.sounds.stopListening();
+    }
+    game.eventListeners = {};
+};
 
-    //  Create an asynchronous request for the sound.
-    var req = new XMLHttpRequest();
-    req.open('GET', url, true);
-    req.responseType = 'arraybuffer';
-    req.onload = function() {
-        self.audioContext.decodeAudioData(req.response, function(buffer) {
-            self.sounds[name] = {buffer: buffer};
-        });
-    };
-    try {
-      req.send();
-    } catch(e) {
-      console.log("An exception occured getting sound the sound " + name + " this might be " +
-         "because the page is running from the file system, not a webserver.");
-      console.log(e);
+SpaceInvaders.prototype.pause = function() {
+    this.game.pause();
+};
+
+SpaceInvaders.prototype.resume = function() {
+    this.game.resume();
+};
+
+SpaceInvaders.prototype.moveShip = function(direction) {
+    this.game.moveShip(direction);
+};
+
+SpaceInvaders.prototype.shipFire = function() {
+    this.game.shipFire();
+};
+
+//  Mutes or unmutes the game, or toggles it if 'mute' isn't given.
+SpaceInvaders.prototype.mute = function(mute) {
+    this.game.mute(mute);
+};
+
+//  Returns where the (first player's) ship is, in pixels from the
+//  top left of the canvas, as {x, y}, or null if there's no ship in
+//  play. A page can have things follow it, like a starfield.
+SpaceInvaders.prototype.shipPosition = function() {
+    var game = this.game;
+    for(var i=game.stateStack.length-1; i>=0; i--) {
+        var sim = game.stateStack[i].sim;
+        if(sim && sim.ship) {
+            if(!sim.ship.alive || !game.width) {
+                return null;
+            }
+            var canvas = game.gamecanvas;
+            var scale = (canvas.clientWidth || canvas.width) / game.width;
+            return {x: sim.ship.x * scale, y: sim.ship.y * scale};
+        }
     }
+    return null;
 };
 
-Sounds.prototype.playSound = function(name) {
+SpaceInvaders.prototype.on = function(event, listener) {
+    this.game.on(event, listener);
+};
 
-    //  If we've not got the sound, don't bother playing it.
-    if(this.sounds[name] === undefined || this.sounds[name] === null || this.mute === true) {
-        return;
+SpaceInvaders.prototype.off = function(event, listener) {
+    this.game.off(event, listener);
+};
+
+/*
+    Space Invaders Arcade State
+
+    Plays space invaders in the arcade (see arcade.js). The game runs
+    on the arcade's loop and canvas, with its sounds and high score
+    table, and gets all of the player's inputs. It has its own title
+    screen, pausing and muting, and going to the menu from its title
+    screen goes back to the arcade's.
+*/
+function SpaceInvadersArcadeState() {
+    this.invaders = null;
+}
+
+SpaceInvadersArcadeState.prototype.enter = function(arcade) {
+    var invaders = this.invaders = createSpaceInvaders(arcade.canvas, {
+        loop: arcade.loop,
+        keyboard: false,
+        sounds: arcade.sounds,
+        highScores: arcade.scoreTable('spaceinvaders')
+    });
+
+    //  Let the arcade know when the game is muted or over.
+    invaders.on('muteChange', function(e) {
+        arcade.emit('muteChange', e);
+    });
+    invaders.on('gameOver', function(e) {
+        arcade.emit('gameOver', {
+            id: 'spaceinvaders',
+            score: Math.max.apply(null, e.players.map(function(player) { return player.score; }))
+        });
+    });
+    invaders.start();
+};
+
+SpaceInvadersArcadeState.prototype.leave = function(arcade) {
+    this.invaders.destroy();
+};
+
+SpaceInvadersArcadeState.prototype.inputDown = function(arcade, input) {
+    var game = this.invaders.game;
+    if(arcade.controls.actionFor(input) === 'menu' && game.currentState() instanceof WelcomeState) {
+        arcade.showMenu();
+    } else {
+        game.inputDown(input);
     }
+    return true;
+};
 
-    //  Create a sound source, set the buffer, connect to the speakers and
-    //  play the sound.
-    var source = this.audioContext.createBufferSource();
-    source.buffer = this.sounds[name].buffer;
-    source.connect(this.audioContext.destination);
-    source.start(0);
+SpaceInvadersArcadeState.prototype.inputUp = function(arcade, input) {
+    this.invaders.game.inputUp(input);
+    return true;
 };
+
+//  Put the game in the arcade, if the page has one.
+if(typeof registerArcadeGame !== 'undefined') {
+    registerArcadeGame({
+        id: 'spaceinvaders',
+        name: "Space Invaders",
+        description: "Shoot the invaders before they land.",
+        start: function(arcade) {
+            return new SpaceInvadersArcadeState();
+        }
+    });
+}
@@ -0,0 +1,62 @@
+/*
+  sprites.js
+
+  loads a sprite sheet image and draws frames from it.
+
+*/
+
+/*
+    Sprite Sheet
+
+    A single image holding many sprites. 'frames' maps each sprite
+    name to a list of its animation frames, each one a rectangle
+    ({x, y, w, h}) in the image.
+
+    Call 'load' to start loading the image. Until it has loaded (or
+    if it fails to load) 'draw' returns false, so the caller can
+    draw something else instead.
+*/
+function SpriteSheet(url, frames) {
+    this.url = url;
+    this.frames = frames;
+    this.image = null;
+    this.loaded = false;
+    this.failed = false;
+}
+
+//  Starts loading the image. The callback (optional) is called with
+//  an error, or null once the sheet is ready to draw.
+SpriteSheet.prototype.load = function(callback) {
+    var self = this;
+    var image = new Image();
+    image.onload = function() {
+        self.loaded = true;
+        if(callback) callback(null);
+    };
+    image.onerror = function() {
+        self.failed = true;
+        console.log("Couldn't load the sprite sheet " + self.url + ", drawing without sprites.");
+        if(callback) callback(new Error("Couldn't load " + self.url));
+    };
+    image.src = this.url;
+    this.image = image;
+};
+
+//  Draws frame 'frame' of sprite 'name', centred on x, y and scaled
+//  to fit in width x height without stretching it. Returns false if
+//  there was nothing to draw.
+SpriteSheet.prototype.draw = function(ctx, name, frame, x, y, width, height) {
+    var frames = this.frames[name];
+    if(!this.loaded || !frames) {
+        return false;
+    }
+    var rect = frames[frame % frames.length];
+    var scale = Math.min(width / rect.w, height / rect.h);
+    var w = rect.w * scale;
+    var h = rect.h * scale;
+
+    //  Keep the pixel art crisp.
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(this.image, rect.x, rect.y, rect.w, rect.h, x - w / 2, y - h / 2, w, h);
+    return true;
+};
@@ -1,18 +1,94 @@
 /*
 	Starfield lets you take a div and turn it into a starfield.
 
+	It fills the div, and keeps filling it as the div changes size.
+	There can be as many on a page as you like, and each only runs
+	while it can be seen.
+
+	It runs on a FrameLoop (frameloop.js), which must be loaded first.
+
 */
 
-//	Define the starfield class.
-function Starfield() {
-	this.fps = 30;
+//	The options a starfield has, unless it's given others:
+//
+//	layers		the layers of stars, farthest first, for parallax. Each
+//				can have its own 'stars', velocities, sizes, 'colours'
+//				and 'twinkle', and uses the options below for any it
+//				doesn't. Leave it out for a single layer.
+//	stars		how many stars there are (in each layer).
+//	minVelocity, maxVelocity
+//				how fast the stars move, in pixels a second.
+//	minSize, maxSize
+//				how big the stars are, in pixels.
+//	colours		the colours stars are, each picked at random.
+//	twinkle		how much the stars twinkle, from 0 (not at all) to 1
+//				(fading right out).
+//	direction	'down' for stars falling down the screen, 'warp' for
+//				stars flying out from the middle, or 'follow' for
+//				stars flying towards a target (see 'setTarget').
+//	followMouse	whether, when the direction is 'follow', the target
+//				is the mouse.
+//	background	the colour to fill the background with, or null to
+//				leave it transparent, to show the page behind.
+var STARFIELD_DEFAULTS = {
+	layers: null,
+	stars: 100,
+	minVelocity: 15,
+	maxVelocity: 30,
+	minSize: 1,
+	maxSize: 4,
+	colours: ['#ffffff'],
+	twinkle: 0,
+	direction: 'down',
+	followMouse: true,
+	background: '#000000'
+};
+
+//	The options each layer can have of its own.
+var STARFIELD_LAYER_OPTIONS = ['stars', 'minVelocity', 'maxVelocity', 'minSize', 'maxSize', 'colours', 'twinkle'];
+
+//	Define the starfield class. 'options' (optional) change any of
+//	STARFIELD_DEFAULTS.
+function Starfield(options) {
+	options = options || {};
+
+	//	The options, with the defaults for any not given.
+	this.options = {};
+	for(var name in STARFIELD_DEFAULTS) {
+		this.options[name] = options[name] !== undefined ? options[name] : STARFIELD_DEFAULTS[name];
+	}
+
+	//	The layers, each with its options and its stars (once the
+	//	starfield is started).
+	var self = this;
+	this.layers = (this.options.layers || [{}]).map(function(layer) {
+		var layerOptions = {};
+		STARFIELD_LAYER_OPTIONS.forEach(function(name) {
+			layerOptions[name] = layer[name] !== undefined ? layer[name] : self.options[name];
+		});
+		return {options: layerOptions, stars: []};
+	});
+
 	this.canvas = null;
+	this.containerDiv = null;
 	this.width = 0;
-	this.width = 0;
-	this.minVelocity = 15;
-	this.maxVelocity = 30;
-	this.stars = 100;
-	this.intervalId = 0;
+	this.height = 0;
+
+	//	The seconds the starfield has been running, which the stars
+	//	twinkle with, and the point they fly towards when following.
+	this.time = 0;
+	this.target = null;
+
+	//	Whether the div is on the screen. The stars only move and are
+	//	only drawn when it is.
+	this.visible = true;
+
+	this.loop = null;
+	this.loopEntry = null;
+	this.resizeObserver = null;
+	this.visibilityObserver = null;
+	this.resizeListener = null;
+	this.mouseListener = null;
 }
 
 //	The main function - initialises the starfield.
@@ -21,57 +97,211 @@ Starfield.prototype.initialise = function(div) {
 
 	//	Store the div.
 	this.containerDiv = div;
-	self.width = window.innerWidth;
-	self.height = window.innerHeight;
-
-	window.onresize = function(event) {
-		self.width = window.innerWidth;
-		self.height = window.innerHeight;
-		self.canvas.width = self.width;
-		self.canvas.height = self.height;
-		self.draw();
- 	}
-
-	//	Create the canvas.
+
+	//	Create the canvas, the size of the div. It's a block so it
+	//	doesn't leave a gap under it, which would grow the div.
 	var canvas = document.createElement('canvas');
+	canvas.style.display = 'block';
 	div.appendChild(canvas);
 	this.canvas = canvas;
-	this.canvas.width = this.width;
-	this.canvas.height = this.height;
+	this.resize(div.clientWidth, div.clientHeight);
+
+	//	Fit the div whenever it changes size. Browsers that can't
+	//	watch the div get the window resizing instead.
+	if(typeof ResizeObserver !== 'undefined') {
+		this.resizeObserver = new ResizeObserver(function() {
+			self.resize(div.clientWidth, div.clientHeight);
+		});
+		this.resizeObserver.observe(div);
+	} else {
+		this.resizeListener = function() {
+			self.resize(div.clientWidth, div.clientHeight);
+		};
+		window.addEventListener('resize', this.resizeListener);
+	}
+
+	//	Stop moving and drawing the stars while the div is scrolled
+	//	off the screen.
+	if(typeof IntersectionObserver !== 'undefined') {
+		this.visibilityObserver = new IntersectionObserver(function(entries) {
+			self.visible = entries[entries.length - 1].isIntersecting;
+		});
+		this.visibilityObserver.observe(div);
+	}
+
+	//	If we're following the mouse, keep the target where it is.
+	if(this.options.direction === 'follow' && this.options.followMouse) {
+		this.mouseListener = function(e) {
+			var rect = self.canvas.getBoundingClientRect();
+			self.setTarget(e.clientX - rect.left, e.clientY - rect.top);
+		};
+		window.addEventListener('mousemove', this.mouseListener);
+	}
 };
 
-Starfield.prototype.start = function() {
+//	Starts the starfield, on 'loop' if it's given (to share it with
+//	a game, say), or on a loop of its own.
+Starfield.prototype.start = function(loop) {
 
-	//	Create the stars.
-	var stars = [];
-	for(var i=0; i<this.stars; i++) {
-		stars[i] = new Star(Math.random()*this.width, Math.random()*this.height, Math.random()*3+1,
-		 (Math.random()*(this.maxVelocity - this.minVelocity))+this.minVelocity);
+	//	Create the stars, all over the starfield.
+	for(var l=0; l<this.layers.length; l++) {
+		var layer = this.layers[l];
+		layer.stars = [];
+		for(var i=0; i<layer.options.stars; i++) {
+			layer.stars.push(this.newStar(layer, Math.random()*this.width, Math.random()*this.height));
+		}
 	}
-	this.stars = stars;
 
 	var self = this;
-	//	Start the timer.
-	this.intervalId = setInterval(function() {
-		self.update();
-		self.draw();	
-	}, 1000 / this.fps);
+	//	Update and draw every frame the starfield can be seen.
+	this.loop = loop || new FrameLoop();
+	this.loopEntry = this.loop.add(0, function(dt) {
+		if(self.visible) {
+			self.update(dt);
+		}
+	}, function() {
+		if(self.visible) {
+			self.draw();
+		}
+	});
+	this.loop.start();
 };
 
 Starfield.prototype.stop = function() {
-	clearInterval(this.intervalId);
+	if(this.loop) {
+		this.loop.remove(this.loopEntry);
+		this.loopEntry = null;
+	}
+};
+
+//	Stops the starfield for good, removing its canvas and everything
+//	it was listening to.
+Starfield.prototype.destroy = function() {
+	this.stop();
+	if(this.resizeObserver) {
+		this.resizeObserver.disconnect();
+		this.resizeObserver = null;
+	}
+	if(this.visibilityObserver) {
+		this.visibilityObserver.disconnect();
+		this.visibilityObserver = null;
+	}
+	if(this.resizeListener) {
+		window.removeEventListener('resize', this.resizeListener);
+		this.resizeListener = null;
+	}
+	if(this.mouseListener) {
+		window.removeEventListener('mousemove', this.mouseListener);
+		this.mouseListener = null;
+	}
+	if(this.canvas && this.canvas.parentNode) {
+		this.canvas.parentNode.removeChild(this.canvas);
+	}
+	this.canvas = null;
+};
+
+//	Sizes the starfield to 'width' by 'height' pixels. The stars are
+//	spread out (or squeezed in) to match, so they still fill it.
+Starfield.prototype.resize = function(width, height) {
+	var oldWidth = this.width, oldHeight = this.height;
+	this.width = width;
+	this.height = height;
+	this.canvas.width = width;
+	this.canvas.height = height;
+
+	for(var l=0; l<this.layers.length; l++) {
+		var stars = this.layers[l].stars;
+		for(var i=0; i<stars.length; i++) {
+			//	If there was no room for the stars before, scatter them.
+			stars[i].x = oldWidth ? stars[i].x * width / oldWidth : Math.random() * width;
+			stars[i].y = oldHeight ? stars[i].y * height / oldHeight : Math.random() * height;
+		}
+	}
+	if(this.target) {
+		this.target.x = oldWidth ? this.target.x * width / oldWidth : width / 2;
+		this.target.y = oldHeight ? this.target.y * height / oldHeight : height / 2;
+	}
+	this.draw();
 };
 
-Starfield.prototype.update = function() {
-	var dt = 1 / this.fps;
+//	Sets the point (in pixels, from the top left of the starfield)
+//	the stars fly towards when the direction is 'follow', like the
+//	mouse or the ship in a game (see 'SpaceInvaders.shipPosition').
+//	With no point, the stars go back to falling down.
+Starfield.prototype.setTarget = function(x, y) {
+	this.target = x === undefined || x === null ? null : {x: x, y: y};
+};
+
+//	Creates a star for a layer at 'x', 'y', with a random size,
+//	velocity and colour.
+Starfield.prototype.newStar = function(layer, x, y) {
+	var options = layer.options;
+	var colours = [].concat(options.colours);
+	return new Star(x, y, Math.random()*(options.maxSize - options.minSize)+options.minSize,
+		(Math.random()*(options.maxVelocity - options.minVelocity))+options.minVelocity,
+		colours[Math.floor(Math.random()*colours.length)], Math.random()*Math.PI*2);
+};
 
-	for(var i=0; i<this.stars.length; i++) {
-		var star = this.stars[i];
-		star.y += dt * star.velocity;
-		//	If the star has moved from the bottom of the screen, spawn it at the top.
-		if(star.y > this.height) {
-			this.stars[i] = new Star(Math.random()*this.width, 0, Math.random()*3+1, 
-		 	(Math.random()*(this.maxVelocity - this.minVelocity))+this.minVelocity);
+//	Returns the direction stars move in, as a unit vector, when
+//	they're not warping.
+Starfield.prototype.heading = function() {
+	if(this.options.direction === 'follow' && this.target) {
+		var dx = this.target.x - this.width / 2;
+		var dy = this.target.y - this.height / 2;
+		var length = Math.sqrt(dx*dx + dy*dy);
+		if(length >= 1) {
+			return {x: dx / length, y: dy / length};
+		}
+	}
+	return {x: 0, y: 1};
+};
+
+//	Moves the stars on by 'dt' seconds.
+Starfield.prototype.update = function(dt) {
+
+	this.time += dt;
+	var warp = this.options.direction === 'warp';
+	var heading = this.heading();
+	var centreX = this.width / 2, centreY = this.height / 2;
+	var reach = Math.max(this.width, this.height) / 2;
+
+	for(var l=0; l<this.layers.length; l++) {
+		var layer = this.layers[l];
+		for(var i=0; i<layer.stars.length; i++) {
+			var star = layer.stars[i];
+
+			//	Warping, stars fly out from the middle, faster the
+			//	further out they are. Otherwise they all go the same way.
+			var dx = heading.x, dy = heading.y;
+			if(warp) {
+				dx = star.x - centreX;
+				dy = star.y - centreY;
+				var distance = Math.sqrt(dx*dx + dy*dy) || 1;
+				var speed = 0.2 + 2 * distance / reach;
+				dx = dx / distance * speed;
+				dy = dy / distance * speed;
+			}
+			star.x += dt * star.velocity * dx;
+			star.y += dt * star.velocity * dy;
+
+			//	If the star has moved off the screen, spawn a new one
+			//	where stars come from: the middle when warping, or the
+			//	side they're coming in from.
+			if(star.x < 0 || star.x > this.width || star.y < 0 || star.y > this.height) {
+				var x, y;
+				if(warp) {
+					var angle = Math.random()*Math.PI*2, radius = Math.random()*reach*0.2;
+					x = centreX + Math.cos(angle)*radius;
+					y = centreY + Math.sin(angle)*radius;
+				} else if(Math.abs(heading.y) >= Math.abs(heading.x)) {
+					x = Math.random()*this.width;
+					y = heading.y > 0 ? 0 : this.height;
+				} else {
+					x = heading.x > 0 ? 0 : this.width;
+					y = Math.random()*this.height;
+				}
+				layer.stars[i] = this.newStar(layer, x, y);
+			}
 		}
 	}
 };
@@ -81,21 +311,42 @@ Starfield.prototype.draw = function() {
 	//	Get the drawing context.
 	var ctx = this.canvas.getContext("2d");
 
-	//	Draw the background.
- 	ctx.fillStyle = '#000000';
-	ctx.fillRect(0, 0, this.width, this.height);
+	//	Draw the background, or clear it to show the page behind.
+	if(this.options.background) {
+		ctx.fillStyle = this.options.background;
+		ctx.fillRect(0, 0, this.width, this.height);
+	} else {
+		ctx.clearRect(0, 0, this.width, this.height);
+	}
 
-	//	Draw stars.
-	ctx.fillStyle = '#ffffff';
-	for(var i=0; i<this.stars.length;i++) {
-		var star = this.stars[i];
-		ctx.fillRect(star.x, star.y, star.size, star.size);
+	//	Draw stars, the farthest layer first. Warping, they get
+	//	bigger as they come closer.
+	var warp = this.options.direction === 'warp';
+	var reach = Math.max(this.width, this.height) / 2;
+	for(var l=0; l<this.layers.length; l++) {
+		var layer = this.layers[l];
+		var twinkle = layer.options.twinkle;
+		for(var i=0; i<layer.stars.length;i++) {
+			var star = layer.stars[i];
+			var size = star.size;
+			if(warp) {
+				var dx = star.x - this.width / 2, dy = star.y - this.height / 2;
+				size *= 0.5 + Math.sqrt(dx*dx + dy*dy) / reach;
+			}
+			ctx.globalAlpha = 1 - twinkle * (0.5 + 0.5 * Math.sin(this.time * 3 + star.phase));
+			ctx.fillStyle = star.colour;
+			ctx.fillRect(star.x, star.y, size, size);
+		}
 	}
+	ctx.globalAlpha = 1;
 };
 
-function Star(x, y, size, velocity) {
+//	A star, with its colour, and where it is in its twinkle.
+function Star(x, y, size, velocity, colour, phase) {
 	this.x = x;
-	this.y = y; 
+	this.y = y;
 	this.size = size;
 	this.velocity = velocity;
+	this.colour = colour || '#ffffff';
+	this.phase = phase || 0;
 }
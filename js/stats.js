@@ -0,0 +1,325 @@
+/*
+  stats.js
+
+  keeps the player's statistics, for the game being played and for
+  all the games they've played, and the achievements they unlock.
+  it's all kept in localStorage.
+
+*/
+
+/*
+    Player Stats
+
+    Keeps the stats for every game played, saved under 'key' in the
+    storage (localStorage by default), along with the achievements
+    that have been unlocked.
+
+    Call 'startGame' when a game starts, pass the simulation's events
+    to 'observe' and the time played to 'progress' as it's played,
+    and call 'endGame' when it's over. Achievements unlocked along
+    the way are queued until 'takeUnlocked' is called.
+*/
+function PlayerStats(key, storage) {
+    this.key = key;
+    this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+    //  The stats of all the games that have finished, and of the one
+    //  being played (or null if there isn't one).
+    this.lifetime = newStats();
+    this.game = null;
+
+    //  The achievements unlocked so far, mapped to the date (an ISO
+    //  string) they were unlocked, and the ones unlocked since the
+    //  last call to 'takeUnlocked'.
+    this.achievements = {};
+    this.unlocked = [];
+
+    //  The lives lost on the level being played, for working out if
+    //  it was cleared without losing one.
+    this.levelDeaths = 0;
+
+    this.load();
+}
+
+//  Returns a set of stats with nothing in them yet.
+//
+//  The counts are added up from game to game, the rest ('longest'
+//  and 'highest') are the best of any game. 'invadersKilled' has the
+//  count for each rank, from the back rank (0) forwards.
+function newStats() {
+    return {
+        games: 0,
+        playTime: 0,
+        shotsFired: 0,
+        hits: 0,
+        invadersKilled: {},
+        mothershipsKilled: 0,
+        deathsByBomb: 0,
+        deathsByCollision: 0,
+        flawlessLevels: 0,
+        longestSurvival: 0,
+        highestLevel: 0,
+        highestScore: 0
+    };
+}
+
+//  The stats that are added up, and the ones that are the best of any
+//  game.
+var STATS_COUNTS = ['games', 'playTime', 'shotsFired', 'hits', 'mothershipsKilled', 'deathsByBomb',
+    'deathsByCollision', 'flawlessLevels'];
+var STATS_BESTS = ['longestSurvival', 'highestLevel', 'highestScore'];
+
+//  Returns two sets of stats put together.
+function mergeStats(a, b) {
+    var merged = newStats();
+    STATS_COUNTS.forEach(function(name) {
+        merged[name] = a[name] + b[name];
+    });
+    STATS_BESTS.forEach(function(name) {
+        merged[name] = Math.max(a[name], b[name]);
+    });
+    [a, b].forEach(function(stats) {
+        for(var rank in stats.invadersKilled) {
+            merged.invadersKilled[rank] = (merged.invadersKilled[rank] || 0) + stats.invadersKilled[rank];
+        }
+    });
+    return merged;
+}
+
+//  Returns the total number of invaders killed in a set of stats.
+function totalInvadersKilled(stats) {
+    var total = 0;
+    for(var rank in stats.invadersKilled) {
+        total += stats.invadersKilled[rank];
+    }
+    return total;
+}
+
+//  Returns the fraction of shots that hit, from 0 to 1.
+function statsAccuracy(stats) {
+    return stats.shotsFired > 0 ? Math.min(1, stats.hits / stats.shotsFired) : 0;
+}
+
+//  Returns stats read from saved data, with anything missing or
+//  invalid left at nothing, or null if it isn't stats at all.
+function readStats(saved) {
+    if(!saved || typeof saved !== 'object') {
+        return null;
+    }
+    var stats = newStats();
+    STATS_COUNTS.concat(STATS_BESTS).forEach(function(name) {
+        if(typeof saved[name] === 'number' && isFinite(saved[name])) {
+            stats[name] = saved[name];
+        }
+    });
+    if(saved.invadersKilled && typeof saved.invadersKilled === 'object') {
+        for(var rank in saved.invadersKilled) {
+            if(typeof saved.invadersKilled[rank] === 'number') {
+                stats.invadersKilled[rank] = saved.invadersKilled[rank];
+            }
+        }
+    }
+    return stats;
+}
+
+//  Loads the stats and achievements from storage.
+PlayerStats.prototype.load = function() {
+    if(!this.storage) {
+        return;
+    }
+    try {
+        var saved = JSON.parse(this.storage.getItem(this.key));
+        if(saved) {
+            this.use(saved);
+        }
+    } catch(e) {
+        console.log("Couldn't load the stats, starting from nothing.");
+        console.log(e);
+    }
+};
+
+//  Saves the stats and achievements to storage.
+PlayerStats.prototype.save = function() {
+    if(this.storage) {
+        this.storage.setItem(this.key, this.exportJSON());
+    }
+};
+
+//  Uses saved stats and achievements, throwing an error if they
+//  aren't valid.
+PlayerStats.prototype.use = function(saved) {
+    var lifetime = readStats(saved && saved.lifetime);
+    if(!lifetime) {
+        throw new Error("Those aren't space invaders stats.");
+    }
+    var achievements = {};
+    for(var id in saved.achievements) {
+        if(typeof saved.achievements[id] === 'string') {
+            achievements[id] = saved.achievements[id];
+        }
+    }
+    this.lifetime = lifetime;
+    this.achievements = achievements;
+};
+
+//  Returns the stats and achievements as JSON, to back them up or
+//  move them to another browser.
+PlayerStats.prototype.exportJSON = function() {
+    return JSON.stringify({lifetime: this.lifetime, achievements: this.achievements});
+};
+
+//  Replaces the stats and achievements with ones from 'exportJSON'.
+//  Throws an error if they aren't valid, leaving the stats as they
+//  were.
+PlayerStats.prototype.importJSON = function(json) {
+    this.use(JSON.parse(json));
+    this.save();
+};
+
+//  Starts counting the stats for a new game. Any game that wasn't
+//  finished isn't counted.
+PlayerStats.prototype.startGame = function() {
+    this.game = newStats();
+    this.game.highestLevel = 1;
+    this.levelDeaths = 0;
+};
+
+//  Counts what happened in a list of the simulation's events.
+PlayerStats.prototype.observe = function(events) {
+    var game = this.game;
+    if(!game || events.length === 0) {
+        return;
+    }
+    for(var i=0; i<events.length; i++) {
+        var event = events[i];
+        if(event.type === 'rocketFired') {
+            game.shotsFired++;
+        } else if(event.type === 'invaderKilled') {
+            game.hits++;
+            game.invadersKilled[event.invader.rank] = (game.invadersKilled[event.invader.rank] || 0) + 1;
+        } else if(event.type === 'mothershipKilled') {
+            game.hits++;
+            game.mothershipsKilled++;
+        } else if(event.type === 'shipHit') {
+            if(event.cause === 'bomb') {
+                game.deathsByBomb++;
+            } else {
+                game.deathsByCollision++;
+            }
+            this.levelDeaths++;
+        } else if(event.type === 'invadersLanded') {
+            //  The invaders getting to the bottom is a death by
+            //  invader too, even though no ship was hit.
+            game.deathsByCollision++;
+            this.levelDeaths++;
+        } else if(event.type === 'levelComplete') {
+            game.highestLevel = Math.max(game.highestLevel, event.level + 1);
+            if(this.levelDeaths === 0) {
+                game.flawlessLevels++;
+            }
+            this.levelDeaths = 0;
+        }
+    }
+    this.checkAchievements();
+};
+
+//  Counts 'dt' seconds more of the game being played.
+PlayerStats.prototype.progress = function(dt) {
+    var game = this.game;
+    if(!game) {
+        return;
+    }
+    var seconds = Math.floor(game.playTime);
+    game.playTime += dt;
+    game.longestSurvival = game.playTime;
+
+    //  Only check the achievements once a second, nothing else
+    //  changes that often.
+    if(Math.floor(game.playTime) !== seconds) {
+        this.checkAchievements();
+    }
+};
+
+//  Finishes the game being played, with the best score in it, adding
+//  its stats to the lifetime ones.
+PlayerStats.prototype.endGame = function(score) {
+    var game = this.game;
+    if(!game) {
+        return;
+    }
+    game.games = 1;
+    game.highestScore = Math.max(game.highestScore, score || 0);
+    this.checkAchievements();
+    this.lifetime = mergeStats(this.lifetime, game);
+    this.game = null;
+    this.save();
+};
+
+//  Returns the lifetime stats including the game being played.
+PlayerStats.prototype.total = function() {
+    return this.game ? mergeStats(this.lifetime, this.game) : this.lifetime;
+};
+
+//  Unlocks any achievements that have been earned.
+PlayerStats.prototype.checkAchievements = function() {
+    var game = this.game || newStats();
+    var total = this.total();
+    var unlocked = false;
+    for(var i=0; i<ACHIEVEMENTS.length; i++) {
+        var achievement = ACHIEVEMENTS[i];
+        if(!this.achievements[achievement.id] && achievement.test(game, total)) {
+            this.achievements[achievement.id] = new Date().toISOString();
+            this.unlocked.push(achievement);
+            unlocked = true;
+        }
+    }
+    if(unlocked) {
+        this.save();
+    }
+};
+
+//  Returns the achievements unlocked since the last call, and clears
+//  them.
+PlayerStats.prototype.takeUnlocked = function() {
+    var unlocked = this.unlocked;
+    this.unlocked = [];
+    return unlocked;
+};
+
+//  The achievements there are to unlock. Each has a test, which is
+//  given the stats of the game being played and the lifetime stats
+//  including that game, and returns true once it's earned.
+var ACHIEVEMENTS = [
+    {id: 'first-blood', label: "First Blood", description: "Shoot an invader.",
+        test: function(game, total) { return totalInvadersKilled(total) >= 1; }},
+    {id: 'centurion', label: "Centurion", description: "Shoot 100 invaders.",
+        test: function(game, total) { return totalInvadersKilled(total) >= 100; }},
+    {id: 'exterminator', label: "Exterminator", description: "Shoot 1,000 invaders.",
+        test: function(game, total) { return totalInvadersKilled(total) >= 1000; }},
+    {id: 'ufo-hunter', label: "UFO Hunter", description: "Shoot down a mothership.",
+        test: function(game, total) { return total.mothershipsKilled >= 1; }},
+    {id: 'untouchable', label: "Untouchable", description: "Clear a level without losing a life.",
+        test: function(game, total) { return total.flawlessLevels >= 1; }},
+    {id: 'sharpshooter', label: "Sharpshooter", description: "Hit with 75% of 50 or more shots in a game.",
+        test: function(game, total) { return game.shotsFired >= 50 && statsAccuracy(game) >= 0.75; }},
+    {id: 'survivor', label: "Survivor", description: "Last five minutes in a game.",
+        test: function(game, total) { return game.longestSurvival >= 300; }},
+    {id: 'level-5', label: "Holding The Line", description: "Reach level 5.",
+        test: function(game, total) { return total.highestLevel >= 5; }},
+    {id: 'level-10', label: "Veteran", description: "Reach level 10.",
+        test: function(game, total) { return total.highestLevel >= 10; }},
+    {id: 'high-scorer', label: "High Scorer", description: "Score 10,000 points in a game.",
+        test: function(game, total) { return total.highestScore >= 10000; }},
+    {id: 'regular', label: "Regular", description: "Play 10 games.",
+        test: function(game, total) { return total.games >= 10; }}
+];
+
+//  In node, export the stats so they can be loaded without a browser.
+if(typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PlayerStats: PlayerStats,
+        ACHIEVEMENTS: ACHIEVEMENTS,
+        mergeStats: mergeStats,
+        statsAccuracy: statsAccuracy
+    };
+}
@@ -0,0 +1,540 @@
+/*
+  versus.js
+
+  online versus games: two players, each clearing their own wave of
+  invaders, where shooting invaders sends more invaders or faster
+  bombs to the other player. the players are put together by the
+  relay server in server/versus.js.
+
+  it adds states to the game in spaceinvaders.js, so load it after
+  that.
+
+*/
+
+/*
+    Versus Client
+
+    A connection to the relay server. Messages are sent and received
+    as JSON. The messages received are queued until 'takeMessages' is
+    called, so states deal with them as they update rather than as
+    they arrive. If the connection goes, a {type: 'closed'} message
+    is queued.
+*/
+function VersusClient(url) {
+    this.url = url;
+
+    //  'connecting', 'open' or 'closed', and whether it ever opened.
+    this.status = 'connecting';
+    this.opened = false;
+
+    this.messages = [];
+    this.socket = null;
+
+    var self = this;
+    try {
+        this.socket = new WebSocket(url);
+    } catch(e) {
+        console.log("Couldn't connect to the versus server at " + url + ".");
+        console.log(e);
+        this.disconnected();
+        return;
+    }
+    this.socket.onopen = function() {
+        self.status = 'open';
+        self.opened = true;
+    };
+    this.socket.onmessage = function(e) {
+        try {
+            self.messages.push(JSON.parse(e.data));
+        } catch(err) {
+            console.log("The versus server sent a message that isn't JSON, ignoring it.");
+        }
+    };
+    this.socket.onclose = function() {
+        self.disconnected();
+    };
+    this.socket.onerror = function(e) {
+        console.log("An error occured talking to the versus server at " + url + ".");
+        console.log(e);
+    };
+}
+
+//  Notes that the connection has gone, unless we closed it ourselves.
+VersusClient.prototype.disconnected = function() {
+    if(this.status !== 'closed') {
+        this.status = 'closed';
+        this.messages.push({type: 'closed'});
+    }
+};
+
+//  Sends a message, if we're connected.
+VersusClient.prototype.send = function(message) {
+    if(this.status === 'open') {
+        this.socket.send(JSON.stringify(message));
+    }
+};
+
+//  Returns the messages received since the last call, and clears them.
+VersusClient.prototype.takeMessages = function() {
+    var messages = this.messages;
+    this.messages = [];
+    return messages;
+};
+
+//  Closes the connection.
+VersusClient.prototype.close = function() {
+    this.status = 'closed';
+    if(this.socket) {
+        this.socket.close();
+    }
+};
+
+/*
+    Lobby State
+
+    Connects to the relay server and gets two players into a room.
+    One player makes a room and is given its code, which they tell
+    the other player, who types it in to join. Once both are in, the
+    game starts.
+*/
+function LobbyState() {
+    this.client = null;
+
+    //  The code being typed, the code of the room we've made, and
+    //  what went wrong, if anything did.
+    this.code = '';
+    this.room = null;
+    this.error = null;
+
+    //  Set once the game starts, which takes over the connection.
+    this.started = false;
+}
+
+LobbyState.prototype.enter = function(game) {
+    this.client = new VersusClient(game.versusServer);
+};
+
+LobbyState.prototype.leave = function(game) {
+    if(!this.started) {
+        this.client.close();
+    }
+};
+
+LobbyState.prototype.update = function(game, dt) {
+    var messages = this.client.takeMessages();
+    for(var i=0; i<messages.length; i++) {
+        var message = messages[i];
+        if(message.type === 'created') {
+            this.room = message.room;
+        } else if(message.type === 'error') {
+            this.error = message.message;
+            this.code = '';
+        } else if(message.type === 'start') {
+            this.started = true;
+            game.moveToState(new VersusState(this.client));
+            return;
+        } else if(message.type === 'closed') {
+            this.room = null;
+            this.error = this.client.opened ? "Lost the connection to the server." :
+                "Couldn't connect to the server at " + this.client.url + ".";
+        }
+    }
+};
+
+LobbyState.prototype.draw = function(game, dt, ctx) {
+
+    //  Clear the background.
+    ctx.clearRect(0, 0, game.width, game.height);
+
+    ctx.font="30px Arial";
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline="middle";
+    ctx.textAlign="center";
+    ctx.fillText("Online Versus", game.width / 2, game.height/2 - 80);
+
+    ctx.font="16px Arial";
+    if(this.client.status === 'connecting') {
+        ctx.fillText("Connecting...", game.width / 2, game.height/2 - 30);
+    } else if(this.room) {
+        ctx.fillText("Your room code is", game.width / 2, game.height/2 - 30);
+        ctx.font="36px Arial";
+        ctx.fillText(this.room, game.width / 2, game.height/2 + 10);
+        ctx.font="16px Arial";
+        ctx.fillText("Waiting for the other player to join...", game.width / 2, game.height/2 + 50);
+    } else if(this.client.status === 'open') {
+        ctx.fillText("Type a room code and press 'Space' to join,", game.width / 2, game.height/2 - 30);
+        ctx.fillText("or just press 'Space' to make a room.", game.width / 2, game.height/2 - 10);
+
+        //  Show the code typed so far, with blanks for the rest.
+        ctx.font="36px Arial";
+        ctx.fillText((this.code + '____').slice(0, 4).split('').join(' '), game.width / 2, game.height/2 + 30);
+    }
+
+    if(this.error) {
+        ctx.font="16px Arial";
+        ctx.fillStyle = '#ff5555';
+        ctx.fillText(this.error, game.width / 2, game.height/2 + 80);
+    }
+    ctx.font="16px Arial";
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText("Press 'Escape' to go back.", game.width / 2, game.height/2 + 110);
+};
+
+//  Typing letters enters a room code, backspace deletes one, and
+//  escape goes back to the welcome screen.
+LobbyState.prototype.inputDown = function(game, input) {
+    if(input === 'key:Escape') {
+        game.moveToState(new WelcomeState());
+        return true;
+    }
+    if(this.room || this.client.status !== 'open') {
+        return false;
+    }
+    var typed = /^key:Key([A-Z])$/.exec(input);
+    if(typed) {
+        if(this.code.length < 4) {
+            this.code += typed[1];
+        }
+        return true;
+    }
+    if(input === 'key:Backspace') {
+        this.code = this.code.slice(0, -1);
+        return true;
+    }
+    return false;
+};
+
+//  Fire joins the room whose code has been typed, or makes a room if
+//  nothing has been.
+LobbyState.prototype.actionDown = function(game, action) {
+    if(action !== 'fire' || this.room || this.client.status !== 'open') {
+        return;
+    }
+    if(this.code.length === 0) {
+        this.client.send({type: 'create'});
+        this.error = null;
+    } else if(this.code.length === 4) {
+        this.client.send({type: 'join', room: this.code});
+        this.error = null;
+    }
+};
+
+/*
+    Versus State
+
+    Plays a versus match. Our own wave is played by a PlayState, and
+    the opponent's is shown small in the corner, from the snapshots
+    of their simulation they send us.
+
+    Every few invaders shot sends an attack to the opponent: a rank
+    of invaders added to their formation, or faster bombs for a
+    while. Clearing a wave just starts the next one. The first
+    player to lose all their lives loses the match, and if the other
+    player goes (or the connection does), the match is over.
+*/
+function VersusState(client) {
+    this.client = client;
+
+    //  The PlayState playing our wave, and its simulation.
+    this.play = null;
+    this.sim = null;
+
+    //  The seconds until the match starts.
+    this.countdown = 3;
+
+    //  The invaders shot towards the next attack, and the number of
+    //  attacks sent, which take turns at each type.
+    this.kills = 0;
+    this.attacks = 0;
+
+    //  The last snapshot the opponent sent, and the seconds until we
+    //  send ours.
+    this.opponent = null;
+    this.snapshotTimer = 0;
+}
+
+//  The types of attack, in the order they're sent.
+var VERSUS_ATTACKS = ['rank', 'bombs'];
+
+VersusState.prototype.enter = function(game) {
+    this.startWave(game, game.currentPlayer().level);
+};
+
+VersusState.prototype.leave = function(game) {
+    this.play.leave(game);
+    this.client.close();
+};
+
+//  Starts playing a wave.
+VersusState.prototype.startWave = function(game, level) {
+    if(this.play) {
+        this.play.leave(game);
+    }
+    this.play = new PlayState(game.playConfig, level);
+    this.play.enter(game);
+    this.sim = this.play.sim;
+};
+
+//  Moves the wave along with the play area when the game is resized.
+//  The opponent's snapshots don't need moving, they're relative to
+//  the play area.
+VersusState.prototype.resize = function(game) {
+    this.play.resize(game);
+};
+
+VersusState.prototype.update = function(game, dt) {
+    var player = game.currentPlayer();
+
+    //  Deal with what the opponent has sent.
+    var messages = this.client.takeMessages();
+    for(var i=0; i<messages.length; i++) {
+        var message = messages[i];
+        if(message.type === 'state') {
+            //  A snapshot we can't draw is ignored, keeping the last one.
+            if(isSnapshot(message.state)) {
+                this.opponent = message.state;
+            }
+        } else if(message.type === 'attack') {
+            this.receiveAttack(game, message.attack);
+        } else if(message.type === 'lost') {
+            game.moveToState(new VersusResultState(true, "Your opponent ran out of lives.", this.opponent));
+            return;
+        } else if(message.type === 'left') {
+            game.moveToState(new VersusResultState(true, "Your opponent left the game.", this.opponent));
+            return;
+        } else if(message.type === 'closed') {
+            game.moveToState(new VersusResultState(null, "Lost the connection to the server.", this.opponent));
+            return;
+        }
+    }
+
+    //  Wait for the countdown before starting.
+    if(this.countdown > 0) {
+        this.countdown -= dt;
+        return;
+    }
+
+    //  Play our wave, sending an attack every few invaders shot.
+    var events = this.play.step(game, dt);
+    for(i=0; i<events.length; i++) {
+        if(events[i].type === 'invaderKilled' && ++this.kills >= this.play.config.versusAttackKills) {
+            this.kills = 0;
+            this.sendAttack(game);
+        }
+    }
+
+    //  Keep the opponent up to date with how we're doing.
+    this.snapshotTimer -= dt;
+    if(this.snapshotTimer <= 0) {
+        this.snapshotTimer = this.play.config.versusSnapshotInterval;
+        this.client.send({type: 'state', state: this.sim.snapshot()});
+    }
+
+    //  If we're out of lives we've lost. If we've cleared the wave,
+    //  on to the next one, straight away.
+    if(this.sim.status === 'lost') {
+        this.client.send({type: 'gameOver'});
+        game.moveToState(new VersusResultState(false, "You ran out of lives.", this.opponent));
+    } else if(this.sim.status === 'won') {
+        game.emit('levelComplete', {level: player.level, player: player.number, score: player.score});
+        player.level += 1;
+        this.startWave(game, player.level);
+    }
+};
+
+//  Sends the next attack to the opponent.
+VersusState.prototype.sendAttack = function(game) {
+    var attack = VERSUS_ATTACKS[this.attacks++ % VERSUS_ATTACKS.length];
+    this.client.send({type: 'attack', attack: attack});
+    this.popup(game, attack === 'rank' ? "Invaders sent!" : "Faster bombs sent!");
+};
+
+//  Adds an attack from the opponent to our wave.
+VersusState.prototype.receiveAttack = function(game, attack) {
+    var config = this.play.config;
+    if(attack === 'rank') {
+        this.sim.addInvaderRank();
+        this.popup(game, "Incoming invaders!");
+    } else if(attack === 'bombs') {
+        this.sim.boostBombs(config.versusBombBoost, config.versusBombBoostDuration);
+        this.popup(game, "Faster bombs!");
+    }
+};
+
+//  Shows a message floating up the middle of the play area.
+VersusState.prototype.popup = function(game, text) {
+    this.play.popups.push({x: game.width / 2, y: game.height / 2, text: text, time: 0});
+};
+
+VersusState.prototype.draw = function(game, dt, ctx, alpha) {
+    this.play.draw(game, dt, ctx, alpha);
+
+    //  Show the opponent's wave above the top right of the play area,
+    //  as big as will fit, with their score and lives next to it.
+    var opponent = this.opponent;
+    var bounds = game.gameBounds;
+    if(opponent) {
+        var scale = Math.min(0.25, (bounds.top - 10) / opponent.height);
+        if(scale > 0) {
+            drawSnapshot(ctx, opponent, bounds.right - opponent.width * scale, 5, scale);
+        }
+        ctx.font="14px Arial";
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = "left";
+        ctx.textBaseline = "middle";
+        ctx.fillText("Opponent Lives: " + opponent.lives + ", Score: " + opponent.score, bounds.left, 15);
+    }
+
+    //  Count down to the start.
+    if(this.countdown > 0) {
+        ctx.font="24px Arial";
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText("Ready in " + Math.ceil(this.countdown), game.width / 2, game.height / 2);
+    }
+};
+
+//  There's no pausing a versus match, the opponent plays on.
+VersusState.prototype.actionDown = function(game, action) {
+    if(action === 'fire' || action === 'fire2' || action === 'mute') {
+        this.play.actionDown(game, action);
+    }
+};
+
+//  Returns true if 'snapshot' (sent by the opponent, so it could be
+//  anything) has everything 'drawSnapshot' needs, in the shape that
+//  'InvadersSimulation.snapshot' makes it.
+function isSnapshot(snapshot) {
+    function isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+    function isPlaced(entity) {
+        return !!entity && isNumber(entity.x) && isNumber(entity.y) &&
+            (entity.width === undefined || isNumber(entity.width)) &&
+            (entity.height === undefined || isNumber(entity.height));
+    }
+    function allPlaced(list) {
+        return Array.isArray(list) && list.every(isPlaced);
+    }
+    if(!snapshot || typeof snapshot !== 'object') {
+        return false;
+    }
+    if(!isNumber(snapshot.width) || !isNumber(snapshot.height) || snapshot.width <= 0 || snapshot.height <= 0 ||
+        !isNumber(snapshot.level) || !isNumber(snapshot.score) || !isNumber(snapshot.lives)) {
+        return false;
+    }
+    if(!allPlaced(snapshot.ships) || !allPlaced(snapshot.invaders) || !allPlaced(snapshot.rockets) ||
+        !allPlaced(snapshot.bombs) || !allPlaced(snapshot.shields) ||
+        (snapshot.mothership !== null && !isPlaced(snapshot.mothership))) {
+        return false;
+    }
+    return snapshot.shields.every(function(shield) {
+        return isNumber(shield.columns) && shield.columns > 0 && isNumber(shield.cellSize) &&
+            typeof shield.cells === 'string' && shield.cells.length % shield.columns === 0;
+    });
+}
+
+//  Draws a snapshot of a simulation (see InvadersSimulation.snapshot)
+//  with its top left at 'x', 'y', 'scale' times the size. It's only
+//  small, so everything is drawn as rectangles, and bombs and rockets
+//  (which have no size of their own) are given one.
+function drawSnapshot(ctx, snapshot, x, y, scale) {
+    function box(entity, width, height) {
+        width = entity.width || width;
+        height = entity.height || height;
+        ctx.fillRect(x + (entity.x - width / 2) * scale, y + (entity.y - height / 2) * scale,
+            Math.max(1, width * scale), Math.max(1, height * scale));
+    }
+    var i;
+
+    ctx.strokeStyle = '#666666';
+    ctx.strokeRect(x, y, snapshot.width * scale, snapshot.height * scale);
+
+    ctx.fillStyle = '#006600';
+    for(i=0; i<snapshot.invaders.length; i++) {
+        box(snapshot.invaders[i]);
+    }
+    ctx.fillStyle = '#33ff33';
+    for(i=0; i<snapshot.shields.length; i++) {
+        var shield = snapshot.shields[i];
+        var rows = shield.cells.length / shield.columns;
+        var left = shield.x - shield.columns * shield.cellSize / 2;
+        var top = shield.y - rows * shield.cellSize / 2;
+        for(var cell=0; cell<shield.cells.length; cell++) {
+            if(shield.cells.charAt(cell) === '#') {
+                ctx.fillRect(x + (left + (cell % shield.columns) * shield.cellSize) * scale,
+                    y + (top + Math.floor(cell / shield.columns) * shield.cellSize) * scale,
+                    Math.max(1, shield.cellSize * scale), Math.max(1, shield.cellSize * scale));
+            }
+        }
+    }
+    for(i=0; i<snapshot.ships.length; i++) {
+        if(snapshot.ships[i].alive) {
+            ctx.fillStyle = PLAYER_COLOURS[i];
+            box(snapshot.ships[i]);
+        }
+    }
+    if(snapshot.mothership) {
+        ctx.fillStyle = '#ff3333';
+        box(snapshot.mothership);
+    }
+    ctx.fillStyle = '#ff5555';
+    for(i=0; i<snapshot.bombs.length; i++) {
+        box(snapshot.bombs[i], 4, 4);
+    }
+    ctx.fillStyle = '#ff0000';
+    for(i=0; i<snapshot.rockets.length; i++) {
+        box(snapshot.rockets[i], 1, 4);
+    }
+}
+
+/*
+    Versus Result State
+
+    Shows how a versus match ended. 'won' is true or false, or null
+    if the match couldn't be finished. 'opponent' is the last
+    snapshot of the opponent's game, if we had one.
+*/
+function VersusResultState(won, reason, opponent) {
+    this.won = won;
+    this.reason = reason;
+    this.opponent = opponent || null;
+}
+
+//  The match is over, so count its stats and let the page know.
+VersusResultState.prototype.enter = function(game) {
+    if(game.stats) {
+        game.stats.endGame(game.currentPlayer().score);
+    }
+    game.reportGameOver(this.won);
+};
+
+VersusResultState.prototype.draw = function(game, dt, ctx) {
+
+    //  Clear the background.
+    ctx.clearRect(0, 0, game.width, game.height);
+
+    ctx.font="30px Arial";
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline="middle";
+    ctx.textAlign="center";
+    ctx.fillText(this.won === true ? "You Win!" : this.won === false ? "You Lose!" : "Game Over",
+        game.width / 2, game.height/2 - 80);
+
+    ctx.font="16px Arial";
+    ctx.fillText(this.reason, game.width / 2, game.height/2 - 40);
+    var player = game.currentPlayer();
+    ctx.fillText("You scored " + player.score + " and got to level " + player.level, game.width / 2, game.height/2);
+    if(this.opponent) {
+        ctx.fillText("Your opponent scored " + this.opponent.score + " and got to level " + this.opponent.level,
+            game.width / 2, game.height/2 + 25);
+    }
+    ctx.fillText("Press 'Space' to go back to the start.", game.width / 2, game.height/2 + 70);
+};
+
+VersusResultState.prototype.actionDown = function(game, action) {
+    if(action === 'fire') {
+        game.moveToState(new WelcomeState());
+    }
+};
@@ -0,0 +1,96 @@
+/*
+  soak.js
+
+  soak tests the difficulties of space invaders: the autopilot plays
+  games at each one, as fast as it can, and it reports the level it
+  got to and its score. it plays the simulation straight from
+  js/spaceinvaders-core.js, a level after another the way the game
+  does, so it needs nothing but node to run.
+
+  run it with:
+
+    node scripts/soak.js [games] [seconds] [levels.json]
+
+  to play 'games' games at each difficulty (10), cutting each one
+  short after 'seconds' of play (600). every difficulty plays the same
+  seeds, so runs can be compared. with a level set (like
+  levels/campaign.json) it's played before the endless levels, as in
+  the game.
+
+*/
+
+var fs = require('fs');
+var core = require('../js/spaceinvaders-core.js');
+var Autopilot = require('../js/autopilot.js').Autopilot;
+
+var games = Number(process.argv[2]) || 10;
+var maxTime = Number(process.argv[3]) || 600;
+var levels = process.argv[4] ? new core.LevelSet(JSON.parse(fs.readFileSync(process.argv[4], 'utf8'))) : null;
+
+//  Plays a game at a difficulty with the autopilot, returning the
+//  level it got to, its score, and whether it was cut short.
+function playGame(difficulty, seed) {
+    var config = core.difficultyConfig(core.DEFAULT_CONFIG, difficulty);
+    var adaptive = core.difficultyPreset(difficulty).adaptive ? new core.AdaptiveDifficulty(config) : null;
+    var player = {lives: 3, score: 0};
+    var rng = new core.Random(seed);
+    var clock = new core.SimulationClock();
+    var autopilot = new Autopilot();
+
+    //  The play area is in the middle of the smallest screen the game
+    //  fits on.
+    var width = config.minimumWidth, height = config.minimumHeight;
+    var bounds = {
+        left: (width - config.gameWidth) / 2,
+        right: (width + config.gameWidth) / 2,
+        top: (height - config.gameHeight) / 2,
+        bottom: (height + config.gameHeight) / 2
+    };
+
+    var dt = 1 / config.fps;
+    var time = 0;
+    var level = 1;
+    var shields = null;
+    while(time < maxTime) {
+        var sim = new core.InvadersSimulation(config, {
+            level: level,
+            definition: levels ? levels.get(level) : null,
+            player: player,
+            width: width,
+            height: height,
+            bounds: bounds,
+            shields: config.shieldsRestoredEachLevel ? null : shields,
+            rng: rng,
+            clock: clock,
+            adaptive: adaptive
+        });
+        shields = sim.shields;
+        while(sim.status === 'playing' && time < maxTime) {
+            clock.advance(dt);
+            sim.step(dt, autopilot.decide(sim, 0));
+            sim.takeEvents();
+            time += dt;
+        }
+        if(sim.status !== 'won') {
+            break;
+        }
+        level++;
+    }
+    return {level: level, score: player.score, cutShort: time >= maxTime};
+}
+
+core.DIFFICULTIES.forEach(function(preset) {
+    var totalLevel = 0, bestLevel = 0, totalScore = 0, cutShort = 0;
+    for(var i=0; i<games; i++) {
+        var played = playGame(preset.difficulty, i + 1);
+        totalLevel += played.level;
+        bestLevel = Math.max(bestLevel, played.level);
+        totalScore += played.score;
+        if(played.cutShort) {
+            cutShort++;
+        }
+    }
+    console.log(preset.label + ": level " + (totalLevel / games).toFixed(1) + " on average (best " + bestLevel +
+        "), scoring " + Math.round(totalScore / games) + " on average. " + cutShort + " of " + games +
+        " games were cut short.");
+});
@@ -0,0 +1,86 @@
+/*
+  highscores.js
+
+  a stub high score server, for trying out the HttpHighScoreBackend
+  locally. scores are only kept in memory.
+
+  run it with:
+
+    node server/highscores.js [port]
+
+  then open extras.html?highscores=http://localhost:8081/scores
+
+*/
+
+var http = require('http');
+
+var port = Number(process.argv[2]) || 8081;
+
+//  The scores we've been sent, best first.
+var scores = [];
+
+//  Only keep this many.
+var maxScores = 50;
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+var server = http.createServer(function(req, res) {
+
+    if(req.url !== '/scores') {
+        send(res, 404, {error: 'not found'});
+        return;
+    }
+
+    if(req.method === 'OPTIONS') {
+        send(res, 204);
+    } else if(req.method === 'GET') {
+        send(res, 200, scores);
+    } else if(req.method === 'POST') {
+        var body = '';
+        req.on('data', function(chunk) {
+            body += chunk;
+            //  Nobody needs more than this for a high score.
+            if(body.length > 4096) {
+                req.destroy();
+            }
+        });
+        req.on('end', function() {
+            var entry;
+            try {
+                entry = JSON.parse(body);
+            } catch(e) {
+                send(res, 400, {error: 'invalid json'});
+                return;
+            }
+            if(!entry || typeof entry.name !== 'string' || typeof entry.score !== 'number') {
+                send(res, 400, {error: 'an entry needs a name and a score'});
+                return;
+            }
+            scores.push({
+                name: entry.name.slice(0, 3),
+                score: entry.score,
+                level: Number(entry.level) || 1,
+                date: String(entry.date || new Date().toISOString()),
+                time: Number(entry.time) || 0,
+                difficulty: typeof entry.difficulty === 'string' ? entry.difficulty.slice(0, 16) : undefined
+            });
+            scores.sort(function(a, b) { return b.score - a.score; });
+            scores.length = Math.min(scores.length, maxScores);
+            send(res, 201, {ok: true});
+        });
+    } else {
+        send(res, 405, {error: 'method not allowed'});
+    }
+});
+
+server.listen(port, function() {
+    console.log('High score stub server listening on http://localhost:' + port + '/scores');
+});
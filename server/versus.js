@@ -0,0 +1,322 @@
+/*
+  versus.js
+
+  a tiny relay server for playing space invaders online against a
+  friend. it pairs players up in rooms and passes their messages to
+  each other, the games themselves run in the browsers.
+
+  it speaks just enough of the websocket protocol for the game, so it
+  needs nothing but node to run. rooms are only kept in memory.
+
+  run it with:
+
+    node server/versus.js [port]
+
+  then open extras.html?versus=ws://localhost:8082 in two browsers.
+
+  messages are JSON. the server understands:
+
+    {type: 'create'}              makes a room, and replies with
+                                  {type: 'created', room: 'ABCD'}
+    {type: 'join', room: 'ABCD'}  joins a room with one player in it
+
+  once a room has two players, both are sent {type: 'start'}. after
+  that, the game's own messages ({type: 'state'} and {type: 'attack'})
+  are passed on to the other player. a player who runs out of lives
+  sends {type: 'gameOver'}, and the other is sent {type: 'lost'}. if
+  one of them goes, the other is sent {type: 'left'}. the server's own
+  messages can't be sent by a player. problems are sent as
+  {type: 'error', message: '...'}.
+
+*/
+
+var http = require('http');
+var crypto = require('crypto');
+
+var port = Number(process.argv[2]) || 8082;
+
+//  The rooms, by code. Each is a list of the clients in it.
+var rooms = {};
+
+//  The messages players send each other, which are passed on as they
+//  are. Anything else is the server's to send.
+var relayedTypes = ['state', 'attack'];
+
+//  Nobody needs bigger messages than this for the game.
+var maxMessageSize = 65536;
+
+//  The letters room codes are made from, without ones that are
+//  easily mistaken for each other.
+var codeLetters = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+//  The GUID the websocket handshake is worked out with (RFC 6455).
+var websocketGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+//  Makes up a room code that isn't in use.
+function newRoomCode() {
+    var code;
+    do {
+        code = '';
+        for(var i=0; i<4; i++) {
+            code += codeLetters.charAt(Math.floor(Math.random() * codeLetters.length));
+        }
+    } while(rooms[code]);
+    return code;
+}
+
+/*
+    Client
+
+    A player connected over a websocket. Reads the frames coming in
+    from the socket, calling 'onmessage' with each text message, and
+    'onclose' once when the connection goes. 'head' is anything that
+    came in with the upgrade request, which is read first.
+*/
+function Client(socket, head) {
+    var self = this;
+    this.socket = socket;
+    this.room = null;
+    this.closed = false;
+    this.onmessage = null;
+    this.onclose = null;
+
+    //  Bytes read but not yet made into a frame, and the parts of a
+    //  message split over more than one frame, with their length.
+    this.buffer = head ? Buffer.from(head) : Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentsLength = 0;
+
+    socket.on('data', function(data) {
+        self.buffer = Buffer.concat([self.buffer, data]);
+        self.readFrames();
+    });
+    socket.on('close', function() {
+        self.close();
+    });
+    socket.on('error', function() {
+        self.close();
+    });
+}
+
+//  Reads every complete frame in the buffer.
+Client.prototype.readFrames = function() {
+    while(!this.closed) {
+        var buffer = this.buffer;
+        if(buffer.length < 2) {
+            return;
+        }
+        var fin = (buffer[0] & 0x80) !== 0;
+        var opcode = buffer[0] & 0x0f;
+        var masked = (buffer[1] & 0x80) !== 0;
+        var length = buffer[1] & 0x7f;
+        var offset = 2;
+        if(length === 126) {
+            if(buffer.length < 4) {
+                return;
+            }
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if(length === 127) {
+            if(buffer.length < 10) {
+                return;
+            }
+            //  Anything this long is too big anyway.
+            length = buffer.readUInt32BE(2) > 0 ? Infinity : buffer.readUInt32BE(6);
+            offset = 10;
+        }
+        if(length > maxMessageSize || !masked) {
+            //  Clients must mask what they send.
+            this.close(1009);
+            return;
+        }
+        if(buffer.length < offset + 4 + length) {
+            return;
+        }
+        var mask = buffer.slice(offset, offset + 4);
+        var payload = Buffer.alloc(length);
+        for(var i=0; i<length; i++) {
+            payload[i] = buffer[offset + 4 + i] ^ mask[i % 4];
+        }
+        this.buffer = buffer.slice(offset + 4 + length);
+        this.handleFrame(fin, opcode, payload);
+    }
+};
+
+//  Handles a frame: text (and the frames continuing it), close and ping.
+Client.prototype.handleFrame = function(fin, opcode, payload) {
+    if(opcode === 0x1 || opcode === 0x0) {
+
+        //  A message split over frames can't be any bigger than one
+        //  in a single frame.
+        this.fragmentsLength += payload.length;
+        if(this.fragmentsLength > maxMessageSize) {
+            this.close(1009);
+            return;
+        }
+        this.fragments.push(payload);
+        if(fin) {
+            var message = Buffer.concat(this.fragments).toString('utf8');
+            this.fragments = [];
+            this.fragmentsLength = 0;
+            if(this.onmessage) {
+                this.onmessage(message);
+            }
+        }
+    } else if(opcode === 0x8) {
+        this.close(1000);
+    } else if(opcode === 0x9) {
+        this.sendFrame(0xA, payload);
+    }
+};
+
+//  Sends a frame. Frames from the server aren't masked.
+Client.prototype.sendFrame = function(opcode, payload) {
+    if(this.closed) {
+        return;
+    }
+    var header;
+    if(payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if(payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeUInt32BE(0, 2);
+        header.writeUInt32BE(payload.length, 6);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+};
+
+//  Sends a message, as JSON.
+Client.prototype.send = function(message) {
+    this.sendFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+};
+
+//  Closes the connection, with a close frame if it's still open.
+Client.prototype.close = function(code) {
+    if(this.closed) {
+        return;
+    }
+    if(code) {
+        var payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.sendFrame(0x8, payload);
+    }
+    this.closed = true;
+    this.socket.end();
+    if(this.onclose) {
+        this.onclose();
+    }
+};
+
+//  Returns the other client in a client's room, if there is one.
+function opponentOf(client) {
+    var room = rooms[client.room];
+    if(!room) {
+        return null;
+    }
+    return room[0] === client ? room[1] || null : room[0];
+}
+
+//  Handles a message from a client.
+function handleMessage(client, text) {
+    var message;
+    try {
+        message = JSON.parse(text);
+    } catch(e) {
+        client.send({type: 'error', message: 'invalid json'});
+        return;
+    }
+    if(!message || typeof message.type !== 'string') {
+        client.send({type: 'error', message: 'a message needs a type'});
+        return;
+    }
+
+    if(message.type === 'create' || message.type === 'join') {
+        if(client.room) {
+            client.send({type: 'error', message: 'already in a room'});
+            return;
+        }
+        if(message.type === 'create') {
+            client.room = newRoomCode();
+            rooms[client.room] = [client];
+            client.send({type: 'created', room: client.room});
+            return;
+        }
+        var code = String(message.room || '').toUpperCase();
+        var room = rooms[code];
+        if(!room) {
+            client.send({type: 'error', message: 'there is no room ' + code});
+        } else if(room.length > 1) {
+            client.send({type: 'error', message: 'room ' + code + ' is full'});
+        } else {
+            client.room = code;
+            room.push(client);
+            room[0].send({type: 'start'});
+            room[1].send({type: 'start'});
+        }
+        return;
+    }
+
+    //  The game's own messages are for the other player, and so is
+    //  the news that this one's lost.
+    var opponent = opponentOf(client);
+    if(message.type === 'gameOver') {
+        if(opponent) {
+            opponent.send({type: 'lost'});
+        }
+    } else if(relayedTypes.indexOf(message.type) !== -1) {
+        if(opponent) {
+            opponent.send(message);
+        }
+    } else {
+        client.send({type: 'error', message: "players can't send '" + message.type + "' messages"});
+    }
+}
+
+//  A client has gone, so tell the other player and close the room.
+function handleClose(client) {
+    var opponent = opponentOf(client);
+    if(opponent) {
+        opponent.send({type: 'left'});
+        opponent.room = null;
+    }
+    delete rooms[client.room];
+    client.room = null;
+}
+
+var server = http.createServer(function(req, res) {
+    res.writeHead(426, {'Content-Type': 'text/plain', 'Upgrade': 'websocket'});
+    res.end('This is a websocket server for space invaders versus games.\n');
+});
+
+server.on('upgrade', function(req, socket, head) {
+    var key = req.headers['sec-websocket-key'];
+    if(String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    var accept = crypto.createHash('sha1').update(key + websocketGuid).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+
+    var client = new Client(socket, head);
+    client.onmessage = function(text) {
+        handleMessage(client, text);
+    };
+    client.onclose = function() {
+        handleClose(client);
+    };
+    client.readFrames();
+});
+
+server.listen(port, function() {
+    console.log('Versus relay server listening on ws://localhost:' + port);
+});